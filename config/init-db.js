@@ -1,6 +1,50 @@
 const mysql = require("mysql2/promise");
 require("dotenv").config();
 
+// Allowed notifications.type values, shared by CREATE TABLE and the ENUM migration below
+const NOTIFICATION_TYPES = [
+  "mention",
+  "answer",
+  "comment",
+  "upvote",
+  "accepted",
+  "follow_answer",
+  "follow_comment",
+  "follow_accepted",
+  "closed",
+  "reopened",
+  "edited",
+  "badge",
+  "flag_resolved",
+  "warning",
+]
+  .map((type) => `'${type}'`)
+  .join(", ");
+
+// Reasons a question can be closed for (questions.closed_reason, close_votes.reason)
+const CLOSE_REASONS = [
+  "duplicate",
+  "off_topic",
+  "needs_detail",
+  "resolved_elsewhere",
+]
+  .map((reason) => `'${reason}'`)
+  .join(", ");
+
+// Why a post was flagged (flags.reason), and what a moderator did about it
+// (flags.status, once it's no longer pending)
+const FLAG_REASONS = ["spam", "rude", "outdated", "other"]
+  .map((reason) => `'${reason}'`)
+  .join(", ");
+const FLAG_STATUSES = ["pending", "dismissed", "edited", "deleted", "warned"]
+  .map((status) => `'${status}'`)
+  .join(", ");
+
+// Team roles (team_members.role); 'custom' uses one of the team's team_roles
+const TEAM_ROLES = ["viewer", "member", "moderator", "admin", "custom"]
+  .map((role) => `'${role}'`)
+  .join(", ");
+
 async function initializeDatabase() {
   let connection;
 
@@ -30,6 +74,13 @@ async function initializeDatabase() {
                 avatar_url VARCHAR(500),
                 bio TEXT,
                 location VARCHAR(200),
+                auto_follow BOOLEAN DEFAULT TRUE,
+                token_version INT NOT NULL DEFAULT 0,
+                digest_frequency ENUM('off', 'daily', 'weekly') DEFAULT 'off',
+                last_digest_at TIMESTAMP NULL DEFAULT NULL,
+                totp_secret VARCHAR(64) DEFAULT NULL,
+                totp_enabled_at TIMESTAMP NULL DEFAULT NULL,
+                totp_last_step BIGINT DEFAULT NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                 INDEX idx_email (email)
@@ -43,6 +94,12 @@ async function initializeDatabase() {
                 company_name VARCHAR(255),
                 company_size VARCHAR(50),
                 primary_goal VARCHAR(255),
+                close_votes_required INT DEFAULT 3,
+                flags_to_hide INT DEFAULT 3,
+                sso_domains VARCHAR(500) DEFAULT NULL,
+                sso_group VARCHAR(255) DEFAULT NULL,
+                sso_admin_group VARCHAR(255) DEFAULT NULL,
+                require_two_factor ENUM('off', 'admins', 'all') DEFAULT 'off',
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                 INDEX idx_slug (slug)
@@ -53,10 +110,15 @@ async function initializeDatabase() {
                 id INT PRIMARY KEY AUTO_INCREMENT,
                 user_id INT NOT NULL,
                 team_id INT NOT NULL,
-                role ENUM('admin', 'member') DEFAULT 'member',
+                role ENUM(${TEAM_ROLES}) DEFAULT 'member',
+                custom_role_id INT DEFAULT NULL,
                 joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 started_at DATE DEFAULT NULL,
                 ended_at DATE DEFAULT NULL,
+                reputation INT DEFAULT 1,
+                sso_managed BOOLEAN NOT NULL DEFAULT FALSE,
+                sso_prior_role ENUM(${TEAM_ROLES}) DEFAULT NULL,
+                sso_prior_custom_role_id INT DEFAULT NULL,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
                 FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
                 UNIQUE KEY unique_membership (user_id, team_id),
@@ -74,6 +136,11 @@ async function initializeDatabase() {
                 score INT DEFAULT 0,
                 answer_count INT DEFAULT 0,
                 is_closed BOOLEAN DEFAULT FALSE,
+                closed_reason ENUM(${CLOSE_REASONS}) DEFAULT NULL,
+                closed_at TIMESTAMP NULL DEFAULT NULL,
+                duplicate_of_id INT DEFAULT NULL,
+                deleted_at TIMESTAMP NULL DEFAULT NULL,
+                deleted_by INT DEFAULT NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                 last_activity_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -84,6 +151,7 @@ async function initializeDatabase() {
                 INDEX idx_created (created_at),
                 INDEX idx_activity (last_activity_at),
                 INDEX idx_score (score),
+                INDEX idx_deleted (deleted_at),
                 FULLTEXT idx_search (title, body)
             )`,
 
@@ -95,13 +163,17 @@ async function initializeDatabase() {
                 body TEXT NOT NULL,
                 score INT DEFAULT 0,
                 is_accepted BOOLEAN DEFAULT FALSE,
+                deleted_at TIMESTAMP NULL DEFAULT NULL,
+                deleted_by INT DEFAULT NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                 FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
                 INDEX idx_question (question_id),
                 INDEX idx_user (user_id),
-                INDEX idx_accepted (is_accepted)
+                INDEX idx_accepted (is_accepted),
+                INDEX idx_deleted (deleted_at),
+                FULLTEXT idx_search (body)
             )`,
 
       // Comments table (for both questions and answers)
@@ -111,11 +183,15 @@ async function initializeDatabase() {
                 parent_id INT NOT NULL,
                 user_id INT NOT NULL,
                 body TEXT NOT NULL,
+                deleted_at TIMESTAMP NULL DEFAULT NULL,
+                deleted_by INT DEFAULT NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
                 INDEX idx_parent (parent_type, parent_id),
-                INDEX idx_user (user_id)
+                INDEX idx_user (user_id),
+                INDEX idx_deleted (deleted_at),
+                FULLTEXT idx_search (body)
             )`,
 
       // Votes table (for questions and answers)
@@ -160,10 +236,13 @@ async function initializeDatabase() {
                 id INT PRIMARY KEY AUTO_INCREMENT,
                 user_id INT NOT NULL,
                 actor_id INT,
+                team_id INT,
                 question_id INT,
                 answer_id INT,
                 comment_id INT,
-                type ENUM('mention', 'answer', 'comment', 'upvote', 'accepted') NOT NULL,
+                type ENUM(${NOTIFICATION_TYPES}) NOT NULL,
+                badge VARCHAR(50),
+                flag_id INT,
                 is_read BOOLEAN DEFAULT FALSE,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
@@ -215,12 +294,409 @@ async function initializeDatabase() {
                 INDEX idx_token (token),
                 INDEX idx_team_status (team_id, status)
             )`,
+
+      // Revision history for questions and answers (full snapshot per edit)
+      `CREATE TABLE IF NOT EXISTS post_revisions (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                post_type ENUM('question', 'answer') NOT NULL,
+                post_id INT NOT NULL,
+                revision_number INT NOT NULL,
+                user_id INT NOT NULL,
+                title VARCHAR(500),
+                body TEXT NOT NULL,
+                tags JSON,
+                edit_summary VARCHAR(300),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_revision (post_type, post_id, revision_number),
+                INDEX idx_post (post_type, post_id)
+            )`,
+
+      // Reputation ledger (one row per point change; team_members.reputation caches the total)
+      `CREATE TABLE IF NOT EXISTS reputation_events (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                team_id INT NOT NULL,
+                user_id INT NOT NULL,
+                actor_id INT,
+                event_type ENUM('upvote_received', 'downvote_received', 'downvote_given', 'answer_accepted') NOT NULL,
+                post_type ENUM('question', 'answer') NOT NULL,
+                post_id INT NOT NULL,
+                points INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_team_user (team_id, user_id, created_at),
+                INDEX idx_post (post_type, post_id)
+            )`,
+
+      // Per-team overrides of the reputation needed for each privilege
+      `CREATE TABLE IF NOT EXISTS team_privileges (
+                team_id INT NOT NULL,
+                action VARCHAR(50) NOT NULL,
+                min_reputation INT NOT NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (team_id, action),
+                FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+            )`,
+
+      // Pending close/reopen votes (close votes stay while the question is closed)
+      `CREATE TABLE IF NOT EXISTS close_votes (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                question_id INT NOT NULL,
+                user_id INT NOT NULL,
+                vote_type ENUM('close', 'reopen') NOT NULL,
+                reason ENUM(${CLOSE_REASONS}) DEFAULT NULL,
+                duplicate_of_id INT DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_close_vote (question_id, user_id, vote_type)
+            )`,
+
+      // Badges awarded to members (subject_id is 0 for badges not tied to a post or tag)
+      `CREATE TABLE IF NOT EXISTS user_badges (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                team_id INT NOT NULL,
+                user_id INT NOT NULL,
+                badge VARCHAR(50) NOT NULL,
+                subject_type ENUM('question', 'answer', 'tag') DEFAULT NULL,
+                subject_id INT NOT NULL DEFAULT 0,
+                awarded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_award (team_id, user_id, badge, subject_id),
+                INDEX idx_team_badge (team_id, badge)
+            )`,
+
+      // Single-use password reset tokens (stored as SHA-256 hashes)
+      `CREATE TABLE IF NOT EXISTS password_resets (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                token_hash CHAR(64) NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                used_at TIMESTAMP NULL DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_token (token_hash)
+            )`,
+
+      // Outgoing email, delivered and retried by lib/mail
+      `CREATE TABLE IF NOT EXISTS mail_outbox (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                to_address VARCHAR(255) NOT NULL,
+                template VARCHAR(50) NOT NULL,
+                subject VARCHAR(500) NOT NULL,
+                text_body MEDIUMTEXT NOT NULL,
+                html_body MEDIUMTEXT,
+                status ENUM('pending', 'sending', 'sent', 'failed') DEFAULT 'pending',
+                attempts INT NOT NULL DEFAULT 0,
+                last_error TEXT,
+                next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                sent_at TIMESTAMP NULL DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_due (status, next_attempt_at)
+            )`,
+
+      // Tags a user follows (for digest emails)
+      `CREATE TABLE IF NOT EXISTS tag_follows (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                tag_id INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_tag_follow (user_id, tag_id)
+            )`,
+
+      // Sign-in sessions holding the (hashed) rotating refresh token
+      `CREATE TABLE IF NOT EXISTS sessions (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                refresh_token_hash CHAR(64) NOT NULL,
+                previous_token_hash CHAR(64) DEFAULT NULL,
+                user_agent VARCHAR(500),
+                ip_address VARCHAR(45),
+                two_factor BOOLEAN NOT NULL DEFAULT FALSE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP NOT NULL,
+                revoked_at TIMESTAMP NULL DEFAULT NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_refresh_token (refresh_token_hash),
+                INDEX idx_previous_token (previous_token_hash),
+                INDEX idx_user (user_id)
+            )`,
+
+      // Personal API tokens (stored as SHA-256 hashes)
+      `CREATE TABLE IF NOT EXISTS api_tokens (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                team_id INT DEFAULT NULL,
+                name VARCHAR(100) NOT NULL,
+                token_prefix VARCHAR(16) NOT NULL,
+                token_hash CHAR(64) NOT NULL,
+                scopes SET('read', 'write', 'admin') NOT NULL,
+                expires_at TIMESTAMP NULL DEFAULT NULL,
+                last_used_at TIMESTAMP NULL DEFAULT NULL,
+                last_used_ip VARCHAR(45),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_token (token_hash),
+                INDEX idx_user (user_id)
+            )`,
+
+      // Single sign-on identities linked to users (provider issuer + subject)
+      `CREATE TABLE IF NOT EXISTS user_identities (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                issuer VARCHAR(255) NOT NULL,
+                subject VARCHAR(255) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_identity (issuer, subject),
+                INDEX idx_user (user_id)
+            )`,
+
+      // Two-factor recovery codes (stored as SHA-256 hashes, single use)
+      `CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                code_hash CHAR(64) NOT NULL,
+                used_at TIMESTAMP NULL DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user_code (user_id, code_hash)
+            )`,
+
+      // Rate limit counters (RATE_LIMIT_STORE=mysql); reset_at is in milliseconds
+      `CREATE TABLE IF NOT EXISTS rate_limits (
+                rate_key VARCHAR(191) PRIMARY KEY,
+                count INT NOT NULL DEFAULT 0,
+                reset_at BIGINT NOT NULL,
+                INDEX idx_reset (reset_at)
+            )`,
+
+      // Custom team roles: a named set of actions (see lib/privileges)
+      `CREATE TABLE IF NOT EXISTS team_roles (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                team_id INT NOT NULL,
+                name VARCHAR(50) NOT NULL,
+                permissions VARCHAR(500) NOT NULL DEFAULT '',
+                reputation_privileges BOOLEAN NOT NULL DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_team_role (team_id, name)
+            )`,
+      // Append-only log of admin and moderation actions (see lib/audit)
+      `CREATE TABLE IF NOT EXISTS audit_log (
+                id BIGINT PRIMARY KEY AUTO_INCREMENT,
+                team_id INT NOT NULL,
+                actor_id INT DEFAULT NULL,
+                action VARCHAR(50) NOT NULL,
+                target_type VARCHAR(30) NOT NULL,
+                target_id INT DEFAULT NULL,
+                before_data JSON DEFAULT NULL,
+                after_data JSON DEFAULT NULL,
+                ip_address VARCHAR(45),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+                FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_team_created (team_id, created_at),
+                INDEX idx_team_action (team_id, action),
+                INDEX idx_target (target_type, target_id)
+            )`,
+
+      // Members' reports of spam, rude or outdated posts (see lib/flags)
+      `CREATE TABLE IF NOT EXISTS flags (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                team_id INT NOT NULL,
+                flaggable_type ENUM('question', 'answer', 'comment') NOT NULL,
+                flaggable_id INT NOT NULL,
+                user_id INT NOT NULL,
+                reason ENUM(${FLAG_REASONS}) NOT NULL,
+                note VARCHAR(500) DEFAULT NULL,
+                status ENUM(${FLAG_STATUSES}) NOT NULL DEFAULT 'pending',
+                resolved_by INT DEFAULT NULL,
+                resolved_at TIMESTAMP NULL DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL,
+                UNIQUE KEY unique_flag (flaggable_type, flaggable_id, user_id),
+                INDEX idx_team_status (team_id, status)
+            )`,
     ];
 
     for (const tableSQL of tables) {
       await connection.query(tableSQL);
     }
 
+    // Columns added after a table was first released. CREATE TABLE IF NOT EXISTS
+    // leaves existing tables untouched, so add any that are missing.
+    const columns = [
+      ["users", "auto_follow", "BOOLEAN DEFAULT TRUE AFTER location"],
+      ["users", "token_version", "INT NOT NULL DEFAULT 0 AFTER auto_follow"],
+      [
+        "users",
+        "digest_frequency",
+        "ENUM('off', 'daily', 'weekly') DEFAULT 'off' AFTER token_version",
+      ],
+      [
+        "users",
+        "last_digest_at",
+        "TIMESTAMP NULL DEFAULT NULL AFTER digest_frequency",
+      ],
+      ["users", "totp_secret", "VARCHAR(64) DEFAULT NULL AFTER last_digest_at"],
+      [
+        "users",
+        "totp_enabled_at",
+        "TIMESTAMP NULL DEFAULT NULL AFTER totp_secret",
+      ],
+      ["users", "totp_last_step", "BIGINT DEFAULT NULL AFTER totp_enabled_at"],
+      ["team_members", "reputation", "INT DEFAULT 1 AFTER ended_at"],
+      ["team_members", "custom_role_id", "INT DEFAULT NULL AFTER role"],
+      [
+        "team_members",
+        "sso_managed",
+        "BOOLEAN NOT NULL DEFAULT FALSE AFTER reputation",
+      ],
+      [
+        "team_members",
+        "sso_prior_role",
+        `ENUM(${TEAM_ROLES}) DEFAULT NULL AFTER sso_managed`,
+      ],
+      [
+        "team_members",
+        "sso_prior_custom_role_id",
+        "INT DEFAULT NULL AFTER sso_prior_role",
+      ],
+      ["teams", "close_votes_required", "INT DEFAULT 3 AFTER primary_goal"],
+      ["teams", "flags_to_hide", "INT DEFAULT 3 AFTER close_votes_required"],
+      [
+        "teams",
+        "sso_domains",
+        "VARCHAR(500) DEFAULT NULL AFTER close_votes_required",
+      ],
+      ["teams", "sso_group", "VARCHAR(255) DEFAULT NULL AFTER sso_domains"],
+      [
+        "teams",
+        "sso_admin_group",
+        "VARCHAR(255) DEFAULT NULL AFTER sso_group",
+      ],
+      [
+        "teams",
+        "require_two_factor",
+        "ENUM('off', 'admins', 'all') DEFAULT 'off' AFTER sso_admin_group",
+      ],
+      [
+        "sessions",
+        "two_factor",
+        "BOOLEAN NOT NULL DEFAULT FALSE AFTER ip_address",
+      ],
+      [
+        "questions",
+        "closed_reason",
+        `ENUM(${CLOSE_REASONS}) DEFAULT NULL AFTER is_closed`,
+      ],
+      [
+        "questions",
+        "closed_at",
+        "TIMESTAMP NULL DEFAULT NULL AFTER closed_reason",
+      ],
+      ["questions", "duplicate_of_id", "INT DEFAULT NULL AFTER closed_at"],
+      ["notifications", "team_id", "INT AFTER actor_id"],
+      ["notifications", "badge", "VARCHAR(50) AFTER type"],
+      ["notifications", "flag_id", "INT AFTER badge"],
+      [
+        "questions",
+        "deleted_at",
+        "TIMESTAMP NULL DEFAULT NULL AFTER duplicate_of_id",
+      ],
+      ["questions", "deleted_by", "INT DEFAULT NULL AFTER deleted_at"],
+      ["answers", "deleted_at", "TIMESTAMP NULL DEFAULT NULL AFTER is_accepted"],
+      ["answers", "deleted_by", "INT DEFAULT NULL AFTER deleted_at"],
+      ["comments", "deleted_at", "TIMESTAMP NULL DEFAULT NULL AFTER body"],
+      ["comments", "deleted_by", "INT DEFAULT NULL AFTER deleted_at"],
+    ];
+
+    for (const [table, column, definition] of columns) {
+      const [existing] = await connection.query(
+        `SELECT 1 FROM information_schema.COLUMNS
+                 WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column],
+      );
+
+      if (existing.length === 0) {
+        await connection.query(
+          `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`,
+        );
+      }
+    }
+
+    // Indexes added after a table was first released
+    const indexes = [
+      ["answers", "idx_search", "FULLTEXT idx_search (body)"],
+      ["comments", "idx_search", "FULLTEXT idx_search (body)"],
+      ["questions", "idx_deleted", "INDEX idx_deleted (deleted_at)"],
+      ["answers", "idx_deleted", "INDEX idx_deleted (deleted_at)"],
+      ["comments", "idx_deleted", "INDEX idx_deleted (deleted_at)"],
+    ];
+
+    for (const [table, index, definition] of indexes) {
+      const [existing] = await connection.query(
+        `SELECT 1 FROM information_schema.STATISTICS
+                 WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+        [table, index],
+      );
+
+      if (existing.length === 0) {
+        await connection.query(`ALTER TABLE ${table} ADD ${definition}`);
+      }
+    }
+
+    // Column definitions that changed after release (safe to re-run)
+    const modifications = [
+      `ALTER TABLE notifications MODIFY type ENUM(${NOTIFICATION_TYPES}) NOT NULL`,
+      `ALTER TABLE team_members MODIFY role ENUM(${TEAM_ROLES}) DEFAULT 'member'`,
+    ];
+
+    for (const modificationSQL of modifications) {
+      await connection.query(modificationSQL);
+    }
+
+    // Revision 1 for posts from before revision history existed, so reading
+    // the history never has to create it (safe to re-run)
+    const initialRevisions = [
+      `INSERT INTO post_revisions
+         (post_type, post_id, revision_number, user_id, title, body, tags, created_at)
+       SELECT 'question', q.id, 1, q.user_id, q.title, q.body,
+              COALESCE(
+                (SELECT CAST(CONCAT('[', GROUP_CONCAT(JSON_QUOTE(t.name) ORDER BY t.name), ']') AS JSON)
+                 FROM question_tags qt
+                 JOIN tags t ON t.id = qt.tag_id
+                 WHERE qt.question_id = q.id),
+                JSON_ARRAY()
+              ),
+              q.created_at
+       FROM questions q
+       WHERE NOT EXISTS (
+         SELECT 1 FROM post_revisions r WHERE r.post_type = 'question' AND r.post_id = q.id
+       )`,
+      `INSERT INTO post_revisions
+         (post_type, post_id, revision_number, user_id, title, body, tags, created_at)
+       SELECT 'answer', a.id, 1, a.user_id, NULL, a.body, NULL, a.created_at
+       FROM answers a
+       WHERE NOT EXISTS (
+         SELECT 1 FROM post_revisions r WHERE r.post_type = 'answer' AND r.post_id = a.id
+       )`,
+    ];
+
+    for (const revisionSQL of initialRevisions) {
+      await connection.query(revisionSQL);
+    }
+
     // console.log('✓ All database tables created successfully');
 
     await connection.end();
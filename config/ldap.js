@@ -0,0 +1,35 @@
+require("dotenv").config();
+
+// Sign-in against an LDAP directory (Active Directory, OpenLDAP). Enabled
+// when LDAP_URL is set; local passwords keep working for accounts that
+// aren't in the directory.
+module.exports = {
+  enabled: !!process.env.LDAP_URL,
+  // e.g. ldap://ldap.example.com:389 or ldaps://dc1.example.com:636
+  url: process.env.LDAP_URL,
+  // Upgrade ldap:// connections with STARTTLS
+  startTls: process.env.LDAP_STARTTLS === "true",
+  // Set to false only for self-signed test servers
+  tlsRejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== "false",
+  timeout: parseInt(process.env.LDAP_TIMEOUT_MS, 10) || 5000,
+  // Service account used to look users up (anonymous if empty)
+  bindDn: process.env.LDAP_BIND_DN,
+  bindPassword: process.env.LDAP_BIND_PASSWORD,
+  searchBase: process.env.LDAP_SEARCH_BASE,
+  // {{username}} is replaced with what the user typed (escaped)
+  searchFilter:
+    process.env.LDAP_SEARCH_FILTER || "(|(uid={{username}})(mail={{username}}))",
+  attributes: {
+    email: process.env.LDAP_EMAIL_ATTRIBUTE || "mail",
+    firstName: process.env.LDAP_FIRST_NAME_ATTRIBUTE || "givenName",
+    lastName: process.env.LDAP_LAST_NAME_ATTRIBUTE || "sn",
+    // Group DNs on the user entry (AD, OpenLDAP memberof overlay)
+    groups: process.env.LDAP_GROUP_ATTRIBUTE || "memberOf",
+  },
+  // Optional group search for directories without memberOf. {{dn}} is the
+  // user's DN.
+  groupSearchBase: process.env.LDAP_GROUP_SEARCH_BASE,
+  groupSearchFilter:
+    process.env.LDAP_GROUP_SEARCH_FILTER ||
+    "(|(member={{dn}})(uniqueMember={{dn}}))",
+};
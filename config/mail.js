@@ -0,0 +1,25 @@
+require("dotenv").config();
+
+// Outgoing mail. MAIL_TRANSPORT picks how messages are delivered:
+//   smtp    - send through the SMTP server below
+//   file    - write each message as an .eml file to MAIL_DIR
+//   console - print messages to the server log (default)
+// The file and console transports let self-hosted installs without a mail
+// server still read password reset links.
+module.exports = {
+  transport: process.env.MAIL_TRANSPORT || "console",
+  from: process.env.MAIL_FROM || "KnowHow <noreply@localhost>",
+  dir: process.env.MAIL_DIR || "mail",
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+  },
+  // Delivery attempts before a queued message is marked failed
+  maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5,
+  // Base URL used in links, e.g. https://knowhow.example.com. Required for
+  // password reset and invite emails, which aren't sent without it.
+  appUrl: process.env.APP_URL,
+};
@@ -0,0 +1,28 @@
+require("dotenv").config();
+
+// Single sign-on through an OpenID Connect provider. SSO is enabled when
+// OIDC_ISSUER is set; password sign-in keeps working alongside it.
+module.exports = {
+  enabled: !!process.env.OIDC_ISSUER,
+  // Discovery URL base, e.g. https://login.example.com/realms/acme
+  issuer: process.env.OIDC_ISSUER,
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  // Defaults to <APP_URL>/api/auth/oidc/callback
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || "openid email profile",
+  // Label for the sign-in button
+  providerName: process.env.OIDC_PROVIDER_NAME || "SSO",
+  // Claim holding the user's groups, used for team auto-join and admin mapping
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || "groups",
+  // Only trust emails the provider has verified (set to false for providers
+  // that don't send email_verified)
+  requireVerifiedEmail: process.env.OIDC_REQUIRE_VERIFIED_EMAIL !== "false",
+  // acr values that mean the provider did multi-factor sign-in, on top of an
+  // amr claim listing "mfa". Otherwise people with two-factor on still enter
+  // their KnowHow code after SSO.
+  mfaAcrValues: (process.env.OIDC_MFA_ACR || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean),
+};
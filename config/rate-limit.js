@@ -0,0 +1,42 @@
+require("dotenv").config();
+
+const number = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Rate limits and sign-in throttling. Counters live in memory by default; use
+// RATE_LIMIT_STORE=mysql when running more than one app instance so they
+// share counts.
+module.exports = {
+  enabled: process.env.RATE_LIMIT_ENABLED !== "false",
+  store: process.env.RATE_LIMIT_STORE || "memory",
+  // Requests per IP to /api, per window
+  api: {
+    max: number(process.env.RATE_LIMIT_API_MAX, 600),
+    windowSeconds: number(process.env.RATE_LIMIT_API_WINDOW_SECONDS, 60),
+  },
+  login: {
+    // Sign-in attempts per IP, per window (any account)
+    ipMax: number(process.env.LOGIN_IP_MAX, 30),
+    ipWindowSeconds: number(process.env.LOGIN_IP_WINDOW_SECONDS, 15 * 60),
+    // Failed attempts per account before it's locked
+    accountMaxFailures: number(process.env.LOGIN_MAX_FAILURES, 5),
+    accountWindowSeconds: number(process.env.LOGIN_FAILURE_WINDOW_SECONDS, 15 * 60),
+    // First lockout; each further lockout within a day doubles it, up to the max
+    lockoutSeconds: number(process.env.LOGIN_LOCKOUT_SECONDS, 60),
+    maxLockoutSeconds: number(process.env.LOGIN_MAX_LOCKOUT_SECONDS, 60 * 60),
+  },
+  // Requests per IP to endpoints that send email or create accounts, per hour
+  sensitive: {
+    max: number(process.env.RATE_LIMIT_SENSITIVE_MAX, 10),
+    windowSeconds: 60 * 60,
+  },
+  // Content each user may create per hour
+  quotas: {
+    questions: number(process.env.QUOTA_QUESTIONS_PER_HOUR, 30),
+    answers: number(process.env.QUOTA_ANSWERS_PER_HOUR, 60),
+    comments: number(process.env.QUOTA_COMMENTS_PER_HOUR, 120),
+    votes: number(process.env.QUOTA_VOTES_PER_HOUR, 300),
+  },
+};
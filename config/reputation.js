@@ -0,0 +1,18 @@
+require("dotenv").config();
+
+// Reputation points awarded (or taken) per event. Each value can be
+// overridden with an environment variable, e.g. REPUTATION_ANSWER_UPVOTE=5.
+function points(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+module.exports = {
+  // Every member starts with this much reputation in each team
+  base: points("REPUTATION_BASE", 1),
+  questionUpvote: points("REPUTATION_QUESTION_UPVOTE", 5),
+  answerUpvote: points("REPUTATION_ANSWER_UPVOTE", 10),
+  downvoteReceived: points("REPUTATION_DOWNVOTE_RECEIVED", -2),
+  downvoteGiven: points("REPUTATION_DOWNVOTE_GIVEN", -1),
+  answerAccepted: points("REPUTATION_ANSWER_ACCEPTED", 15),
+};
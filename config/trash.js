@@ -0,0 +1,10 @@
+require("dotenv").config();
+
+const retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+
+// Deleted questions, answers and comments stay in the trash (restorable by
+// team admins) for this many days before they're purged for good. 0 keeps
+// them forever.
+module.exports = {
+  retentionDays: Number.isNaN(retentionDays) ? 30 : retentionDays,
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// Personal API tokens for scripts and bots, sent as "Authorization: Bearer
+// kh_...". Only a SHA-256 hash is stored; the token itself is shown once when
+// it is created. A token acts as its owner, limited by:
+//   scopes - read (GET requests), write (everything else), admin (team admin
+//            routes and admin overrides)
+//   team   - if set, the token only works in that team
+//   expiry - optional
+
+const TOKEN_PREFIX = 'kh_';
+const SCOPES = ['read', 'write', 'admin'];
+
+// Requests that only need the read scope
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isApiToken(token) {
+    return token.startsWith(TOKEN_PREFIX);
+}
+
+// Create a token; returns the stored row plus the plain token
+async function createApiToken({ userId, name, scopes, teamId = null, expiresInDays = null }) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(20).toString('hex');
+
+    const [result] = await db.query(
+        `INSERT INTO api_tokens (user_id, team_id, name, token_prefix, token_hash, scopes, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? DAY)))`,
+        [userId, teamId, name, token.slice(0, 11), hashToken(token), scopes.join(','), expiresInDays, expiresInDays]
+    );
+
+    const [tokens] = await db.query(
+        `SELECT id, team_id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, created_at
+         FROM api_tokens WHERE id = ?`,
+        [result.insertId]
+    );
+
+    return { ...tokens[0], scopes, token };
+}
+
+// Look up a token and record its use. Returns the req.user payload, or null
+// if the token is unknown or expired.
+async function verifyApiToken(token, req = null) {
+    const [tokens] = await db.query(
+        `SELECT t.id, t.user_id, t.team_id, t.scopes, u.email, u.totp_enabled_at
+         FROM api_tokens t
+         JOIN users u ON t.user_id = u.id
+         WHERE t.token_hash = ? AND (t.expires_at IS NULL OR t.expires_at > NOW())`,
+        [hashToken(token)]
+    );
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const apiToken = tokens[0];
+
+    // At most one write a minute per token
+    await db.query(
+        `UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ?
+         WHERE id = ? AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL 1 MINUTE)`,
+        [req ? req.ip : null, apiToken.id]
+    );
+
+    return {
+        userId: apiToken.user_id,
+        email: apiToken.email,
+        // Tokens count as two-factor if their owner has it set up
+        twoFactor: !!apiToken.totp_enabled_at,
+        apiToken: {
+            id: apiToken.id,
+            teamId: apiToken.team_id,
+            scopes: apiToken.scopes ? apiToken.scopes.split(',') : []
+        }
+    };
+}
+
+// Whether req.user may use a scope. Signed-in users have every scope.
+function hasScope(user, scope) {
+    return !user.apiToken || user.apiToken.scopes.includes(scope);
+}
+
+// Whether req.user may act in a team. Only team-restricted tokens are limited.
+function allowsTeam(user, teamId) {
+    return !user.apiToken || !user.apiToken.teamId || user.apiToken.teamId === parseInt(teamId);
+}
+
+// Why an API token can't be used for a request, or null if it can
+function requestDenial(user, req) {
+    if (!user.apiToken) {
+        return null;
+    }
+
+    const scope = READ_METHODS.includes(req.method) ? 'read' : 'write';
+    if (!hasScope(user, scope)) {
+        return `This token does not have the ${scope} scope.`;
+    }
+
+    const teamId = req.params.teamId || req.query.teamId || (req.body && req.body.teamId);
+    if (teamId && !allowsTeam(user, teamId)) {
+        return 'This token is restricted to another team.';
+    }
+
+    return null;
+}
+
+async function listApiTokens(userId) {
+    const [tokens] = await db.query(
+        `SELECT t.id, t.team_id, tm.name as team_name, t.name, t.token_prefix, t.scopes,
+                t.expires_at, t.last_used_at, t.last_used_ip, t.created_at,
+                (t.expires_at IS NOT NULL AND t.expires_at <= NOW()) as expired
+         FROM api_tokens t
+         LEFT JOIN teams tm ON t.team_id = tm.id
+         WHERE t.user_id = ?
+         ORDER BY t.created_at DESC`,
+        [userId]
+    );
+
+    return tokens.map(token => ({
+        ...token,
+        scopes: token.scopes ? token.scopes.split(',') : [],
+        expired: !!token.expired
+    }));
+}
+
+async function deleteApiToken(tokenId, userId) {
+    const [result] = await db.query(
+        'DELETE FROM api_tokens WHERE id = ? AND user_id = ?',
+        [tokenId, userId]
+    );
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    SCOPES,
+    isApiToken,
+    createApiToken,
+    verifyApiToken,
+    hasScope,
+    allowsTeam,
+    requestDenial,
+    listApiTokens,
+    deleteApiToken
+};
@@ -0,0 +1,131 @@
+const db = require('../config/database');
+
+// Append-only log of admin and moderation actions (audit_log). Rows are only
+// ever inserted; nothing in the app updates or deletes them, except that they
+// go with their team.
+//
+// Actions are "<target>.<verb>", e.g. member.role_changed or question.closed.
+// before and after are JSON snapshots of whatever changed (null when there's
+// nothing to show, e.g. before a create).
+
+// Record an action by req.user. Failing to write the log doesn't undo or fail
+// the action itself.
+async function recordAudit(req, { teamId, action, targetType, targetId, before = null, after = null }) {
+    try {
+        await db.query(
+            `INSERT INTO audit_log (team_id, actor_id, action, target_type, target_id, before_data, after_data, ip_address)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                teamId,
+                req.user ? req.user.userId : null,
+                action,
+                targetType,
+                targetId || null,
+                before === null ? null : JSON.stringify(before),
+                after === null ? null : JSON.stringify(after),
+                req.ip || null
+            ]
+        );
+    } catch (error) {
+        console.error('Record audit error:', error);
+    }
+}
+
+// Entries for a team, newest first. filters: action (exact, or a prefix
+// ending in '.' such as 'member.'), actorId, targetType, targetId, from and to
+// (dates). Returns { entries, total }; limit null returns every entry.
+async function getAuditLog(teamId, filters = {}, { limit = 50, offset = 0 } = {}) {
+    const conditions = ['a.team_id = ?'];
+    const params = [teamId];
+
+    if (filters.action) {
+        if (filters.action.endsWith('.')) {
+            conditions.push('a.action LIKE ?');
+            params.push(`${filters.action}%`);
+        } else {
+            conditions.push('a.action = ?');
+            params.push(filters.action);
+        }
+    }
+    if (filters.actorId) {
+        conditions.push('a.actor_id = ?');
+        params.push(filters.actorId);
+    }
+    if (filters.targetType) {
+        conditions.push('a.target_type = ?');
+        params.push(filters.targetType);
+    }
+    if (filters.targetId) {
+        conditions.push('a.target_id = ?');
+        params.push(filters.targetId);
+    }
+    if (filters.from) {
+        conditions.push('a.created_at >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        conditions.push('a.created_at < ?');
+        params.push(filters.to);
+    }
+
+    const where = conditions.join(' AND ');
+
+    const [count] = await db.query(`SELECT COUNT(*) as total FROM audit_log a WHERE ${where}`, params);
+
+    const [entries] = await db.query(
+        `SELECT a.id, a.action, a.target_type, a.target_id, a.before_data, a.after_data,
+                a.ip_address, a.created_at,
+                a.actor_id, u.email as actor_email, u.first_name as actor_first_name, u.last_name as actor_last_name
+         FROM audit_log a
+         LEFT JOIN users u ON a.actor_id = u.id
+         WHERE ${where}
+         ORDER BY a.created_at DESC, a.id DESC
+         ${limit === null ? '' : 'LIMIT ? OFFSET ?'}`,
+        limit === null ? params : [...params, limit, offset]
+    );
+
+    return { entries, total: count[0].total };
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString()
+        : typeof value === 'object' ? JSON.stringify(value)
+            : String(value);
+
+    // Keep spreadsheets from running cell contents as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Entries from getAuditLog as CSV, with a header row
+function auditLogCsv(entries) {
+    const header = ['id', 'created_at', 'actor_id', 'actor_email', 'action', 'target_type', 'target_id', 'before', 'after', 'ip_address'];
+
+    const rows = entries.map(entry => [
+        entry.id,
+        entry.created_at,
+        entry.actor_id,
+        entry.actor_email,
+        entry.action,
+        entry.target_type,
+        entry.target_id,
+        entry.before_data,
+        entry.after_data,
+        entry.ip_address
+    ].map(csvField).join(','));
+
+    return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    recordAudit,
+    getAuditLog,
+    auditLogCsv
+};
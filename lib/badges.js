@@ -0,0 +1,194 @@
+const db = require('../config/database');
+
+// Badges are declared as data: each has a rule type with parameters, and the
+// rule types below know how to find the members who qualify. Badges tied to
+// a post or tag (e.g. "question with score 10") are awarded once per subject;
+// the rest once per member and team.
+const BADGES = {
+    helper: {
+        name: 'Helper',
+        description: 'First approved answer',
+        tier: 'bronze',
+        rule: { type: 'accepted_answers', count: 1 }
+    },
+    expert: {
+        name: 'Expert',
+        description: '10 approved answers',
+        tier: 'silver',
+        rule: { type: 'accepted_answers', count: 10 }
+    },
+    good_question: {
+        name: 'Good Question',
+        description: 'Question with a score of 10',
+        tier: 'silver',
+        rule: { type: 'question_score', score: 10 }
+    },
+    good_answer: {
+        name: 'Good Answer',
+        description: 'Answer with a score of 10',
+        tier: 'silver',
+        rule: { type: 'answer_score', score: 10 }
+    },
+    tag_specialist: {
+        name: 'Tag Specialist',
+        description: 'Answered 10 questions with the same tag',
+        tier: 'silver',
+        rule: { type: 'tag_answers', count: 10 }
+    },
+    centurion: {
+        name: 'Centurion',
+        description: '100 days of team membership',
+        tier: 'bronze',
+        rule: { type: 'membership_days', days: 100 }
+    },
+    veteran: {
+        name: 'Veteran',
+        description: 'One year of team membership',
+        tier: 'gold',
+        rule: { type: 'membership_days', days: 365 }
+    }
+};
+
+// Deleted posts don't count towards badges (ones already awarded are kept)
+const LIVE_ANSWER = 'a.deleted_at IS NULL AND q.deleted_at IS NULL';
+
+// Rule types: which events can change the outcome, and a query returning the
+// qualifying { user_id, subject_type, subject_id } rows in a team. Queries
+// take the team id, then the optional user filter, then the rule's params.
+const RULE_TYPES = {
+    accepted_answers: {
+        events: ['accept'],
+        query: (rule, userFilter) => [
+            `SELECT a.user_id, NULL as subject_type, 0 as subject_id
+             FROM answers a
+             JOIN questions q ON a.question_id = q.id
+             WHERE q.team_id = ? AND a.is_accepted = 1 AND ${LIVE_ANSWER}${userFilter('a.user_id')}
+             GROUP BY a.user_id
+             HAVING COUNT(*) >= ?`,
+            [rule.count]
+        ]
+    },
+    question_score: {
+        events: ['vote'],
+        query: (rule, userFilter) => [
+            `SELECT q.user_id, 'question' as subject_type, q.id as subject_id
+             FROM questions q
+             WHERE q.team_id = ? AND q.deleted_at IS NULL${userFilter('q.user_id')} AND q.score >= ?`,
+            [rule.score]
+        ]
+    },
+    answer_score: {
+        events: ['vote'],
+        query: (rule, userFilter) => [
+            `SELECT a.user_id, 'answer' as subject_type, a.id as subject_id
+             FROM answers a
+             JOIN questions q ON a.question_id = q.id
+             WHERE q.team_id = ? AND ${LIVE_ANSWER}${userFilter('a.user_id')} AND a.score >= ?`,
+            [rule.score]
+        ]
+    },
+    tag_answers: {
+        events: ['answer'],
+        query: (rule, userFilter) => [
+            `SELECT a.user_id, 'tag' as subject_type, qt.tag_id as subject_id
+             FROM answers a
+             JOIN questions q ON a.question_id = q.id
+             JOIN question_tags qt ON qt.question_id = q.id
+             WHERE q.team_id = ? AND ${LIVE_ANSWER}${userFilter('a.user_id')}
+             GROUP BY a.user_id, qt.tag_id
+             HAVING COUNT(DISTINCT q.id) >= ?`,
+            [rule.count]
+        ]
+    },
+    membership_days: {
+        // Checked for whoever is active, since time passing isn't an event
+        events: ['vote', 'answer', 'accept'],
+        query: (rule, userFilter) => [
+            `SELECT tm.user_id, NULL as subject_type, 0 as subject_id
+             FROM team_members tm
+             WHERE tm.team_id = ?${userFilter('tm.user_id')}
+               AND DATEDIFF(COALESCE(tm.ended_at, CURDATE()), COALESCE(tm.started_at, DATE(tm.joined_at))) >= ?`,
+            [rule.days]
+        ]
+    }
+};
+
+// Find the badges members newly qualify for and award them.
+// Returns the new awards as [{ userId, badge, subjectType, subjectId }]
+async function checkBadges({ teamId, userIds = null, event = null }) {
+    const awards = [];
+
+    if (userIds && userIds.length === 0) {
+        return awards;
+    }
+
+    for (const [badge, definition] of Object.entries(BADGES)) {
+        const ruleType = RULE_TYPES[definition.rule.type];
+        if (event && !ruleType.events.includes(event)) {
+            continue;
+        }
+
+        // userIds narrows the check to some members; null checks everyone
+        const userFilter = column => (userIds ? ` AND ${column} IN (?)` : '');
+        const [sql, ruleParams] = ruleType.query(definition.rule, userFilter);
+
+        const [qualified] = await db.query(sql, [teamId, ...(userIds ? [userIds] : []), ...ruleParams]);
+        if (qualified.length === 0) {
+            continue;
+        }
+
+        const [existing] = await db.query(
+            'SELECT user_id, subject_id FROM user_badges WHERE team_id = ? AND badge = ? AND user_id IN (?)',
+            [teamId, badge, [...new Set(qualified.map(q => q.user_id))]]
+        );
+        const awarded = new Set(existing.map(e => `${e.user_id}:${e.subject_id}`));
+
+        for (const row of qualified) {
+            if (awarded.has(`${row.user_id}:${row.subject_id}`)) {
+                continue;
+            }
+
+            await db.query(
+                `INSERT IGNORE INTO user_badges (team_id, user_id, badge, subject_type, subject_id)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [teamId, row.user_id, badge, row.subject_type, row.subject_id]
+            );
+            awards.push({
+                userId: row.user_id,
+                badge,
+                subjectType: row.subject_type,
+                subjectId: row.subject_id
+            });
+        }
+    }
+
+    return awards;
+}
+
+// A member's badges in a team, grouped by badge
+async function getUserBadges(userId, teamId) {
+    const [rows] = await db.query(
+        `SELECT badge, COUNT(*) as count, MIN(awarded_at) as first_awarded_at
+         FROM user_badges
+         WHERE user_id = ? AND team_id = ?
+         GROUP BY badge`,
+        [userId, teamId]
+    );
+
+    return rows
+        .filter(row => BADGES[row.badge])
+        .map(row => ({
+            badge: row.badge,
+            name: BADGES[row.badge].name,
+            description: BADGES[row.badge].description,
+            tier: BADGES[row.badge].tier,
+            count: row.count,
+            first_awarded_at: row.first_awarded_at
+        }));
+}
+
+module.exports = {
+    BADGES,
+    checkBadges,
+    getUserBadges
+};
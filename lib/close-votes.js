@@ -0,0 +1,158 @@
+const db = require('../config/database');
+
+// Community close/reopen voting. Eligible members vote to close an open
+// question (with a reason) or to reopen a closed one; once a team's
+// close_votes_required is reached, or a binding vote from the owner or an
+// admin is cast, the question changes state. The close votes are kept while
+// the question is closed so the notice can show who voted; reopening clears
+// all votes.
+
+const CLOSE_REASONS = {
+    duplicate: 'Duplicate',
+    off_topic: 'Off-topic',
+    needs_detail: 'Needs more detail',
+    resolved_elsewhere: 'Resolved elsewhere'
+};
+
+async function getVotesRequired(teamId) {
+    const [teams] = await db.query('SELECT close_votes_required FROM teams WHERE id = ?', [teamId]);
+    return teams.length > 0 ? teams[0].close_votes_required : 3;
+}
+
+async function getVotes(questionId, voteType) {
+    const [votes] = await db.query(
+        `SELECT cv.user_id, cv.reason, cv.duplicate_of_id, cv.created_at,
+                u.first_name, u.last_name, u.avatar_url
+         FROM close_votes cv
+         JOIN users u ON cv.user_id = u.id
+         WHERE cv.question_id = ? AND cv.vote_type = ?
+         ORDER BY cv.created_at ASC, cv.id ASC`,
+        [questionId, voteType]
+    );
+    return votes;
+}
+
+async function hasVoted(questionId, userId, voteType) {
+    const [votes] = await db.query(
+        'SELECT id FROM close_votes WHERE question_id = ? AND user_id = ? AND vote_type = ?',
+        [questionId, userId, voteType]
+    );
+    return votes.length > 0;
+}
+
+// Most common value of a field among votes; ties go to the most recent vote
+function mostVoted(votes, field) {
+    const counts = new Map();
+    let best = null;
+    for (const vote of votes) {
+        const value = vote[field];
+        if (value === null) {
+            continue;
+        }
+        counts.set(value, (counts.get(value) || 0) + 1);
+        if (best === null || counts.get(value) >= counts.get(best)) {
+            best = value;
+        }
+    }
+    return best;
+}
+
+// Record a close or reopen vote and apply it if it decides the outcome. A
+// binding close uses its own reason and duplicate target; otherwise the most
+// voted ones win. Returns { decided, count, required } plus, for a decided
+// close, the closedReason and duplicateOfId that were applied.
+async function castVote({ question, userId, voteType, reason = null, duplicateOf = null, binding = false }) {
+    await db.query(
+        `INSERT INTO close_votes (question_id, user_id, vote_type, reason, duplicate_of_id)
+         VALUES (?, ?, ?, ?, ?)`,
+        [question.id, userId, voteType, reason, duplicateOf]
+    );
+
+    const votes = await getVotes(question.id, voteType);
+    const required = await getVotesRequired(question.team_id);
+    const decided = binding || votes.length >= required;
+
+    let closedReason = null;
+    let duplicateOfId = null;
+
+    if (decided && voteType === 'close') {
+        if (binding) {
+            closedReason = reason;
+            duplicateOfId = reason === 'duplicate' ? duplicateOf : null;
+        } else {
+            closedReason = mostVoted(votes, 'reason');
+            duplicateOfId = closedReason === 'duplicate'
+                ? mostVoted(votes.filter(v => v.reason === 'duplicate'), 'duplicate_of_id')
+                : null;
+        }
+
+        await db.query(
+            `UPDATE questions
+             SET is_closed = TRUE, closed_reason = ?, duplicate_of_id = ?, closed_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [closedReason, duplicateOfId, question.id]
+        );
+    } else if (decided) {
+        await db.query(
+            `UPDATE questions
+             SET is_closed = FALSE, closed_reason = NULL, duplicate_of_id = NULL, closed_at = NULL
+             WHERE id = ?`,
+            [question.id]
+        );
+        await db.query('DELETE FROM close_votes WHERE question_id = ?', [question.id]);
+    }
+
+    return { decided, count: votes.length, required, closedReason, duplicateOfId };
+}
+
+// Close notice and pending votes for the question payload
+async function getCloseStatus(question, userId) {
+    const pendingType = question.is_closed ? 'reopen' : 'close';
+    const pending = await getVotes(question.id, pendingType);
+
+    const status = {
+        close_votes: {
+            action: pendingType,
+            count: pending.length,
+            required: await getVotesRequired(question.team_id),
+            voted: pending.some(v => v.user_id === userId)
+        },
+        close_notice: null
+    };
+
+    if (question.is_closed) {
+        const voters = await getVotes(question.id, 'close');
+
+        let duplicateOf = null;
+        if (question.duplicate_of_id) {
+            const [targets] = await db.query(
+                'SELECT id, title FROM questions WHERE id = ? AND deleted_at IS NULL',
+                [question.duplicate_of_id]
+            );
+            duplicateOf = targets[0] || null;
+        }
+
+        status.close_notice = {
+            reason: question.closed_reason,
+            reason_label: question.closed_reason ? CLOSE_REASONS[question.closed_reason] : null,
+            closed_at: question.closed_at,
+            duplicate_of: duplicateOf,
+            voters: voters.map(v => ({
+                id: v.user_id,
+                first_name: v.first_name,
+                last_name: v.last_name,
+                avatar_url: v.avatar_url,
+                reason: v.reason
+            }))
+        };
+    }
+
+    return status;
+}
+
+module.exports = {
+    CLOSE_REASONS,
+    hasVoted,
+    castVote,
+    getCloseStatus
+};
@@ -0,0 +1,170 @@
+const db = require('../config/database');
+const { queueMail, appUrl } = require('./mail');
+const { BADGES } = require('./badges');
+
+// Digest emails: members who opt in (users.digest_frequency) get a daily or
+// weekly email with their unread notifications and new questions in the tags
+// they follow. sendDueDigests() is run periodically by the server, and the
+// outbox worker delivers the queued emails.
+
+const DIGEST_DAYS = { daily: 1, weekly: 7 };
+
+// Items per section; the email links to the app for the rest
+const DIGEST_LIMIT = 20;
+
+// What happened to a flagged post, by flags.status
+const FLAG_OUTCOME_TEXT = { edited: 'edited', deleted: 'deleted', warned: 'left up and its author warned' };
+
+function postKind(n) {
+    return n.comment_id ? 'comment' : n.answer_id ? 'answer' : 'question';
+}
+
+// One-line description of a notification, worded like the notifications page
+function describeNotification(n) {
+    const actor = n.actor_first_name ? `${n.actor_first_name} ${n.actor_last_name}` : 'Someone';
+    const title = `"${n.question_title || 'a question'}"`;
+
+    switch (n.type) {
+        case 'answer':
+            return `${actor} answered your question ${title}`;
+        case 'comment':
+            return `${actor} commented on ${title}`;
+        case 'upvote':
+            return `${actor} upvoted your ${n.answer_id ? 'answer' : 'question'} on ${title}`;
+        case 'accepted':
+            return `${actor} accepted your answer on ${title}`;
+        case 'follow_answer':
+            return `${actor} answered ${title}, which you follow`;
+        case 'follow_comment':
+            return `${actor} commented on ${title}, which you follow`;
+        case 'follow_accepted':
+            return `${actor} accepted an answer on ${title}, which you follow`;
+        case 'closed':
+            return `${actor} closed ${title}`;
+        case 'reopened':
+            return `${actor} reopened ${title}`;
+        case 'edited':
+            return `${actor} edited ${n.answer_id ? 'an answer on ' : ''}${title}`;
+        case 'mention':
+            return `${actor} mentioned you in ${title}`;
+        case 'badge':
+            return `You earned the ${BADGES[n.badge] ? BADGES[n.badge].name : 'a'} badge`;
+        case 'flag_resolved':
+            return n.flag_status === 'dismissed'
+                ? `A moderator reviewed your flag on ${title} and took no action`
+                : `Thanks, your flag on ${title} was helpful: the post was ${FLAG_OUTCOME_TEXT[n.flag_status] || 'handled'}`;
+        case 'warning':
+            return `A moderator warned you about your ${postKind(n)} on ${title}`;
+        default:
+            return `You have a notification about ${title}`;
+    }
+}
+
+async function buildDigest(user, since, baseUrl) {
+    const [notifications] = await db.query(
+        `SELECT n.type, n.badge, n.question_id, n.answer_id, n.comment_id,
+                q.title as question_title, f.status as flag_status,
+                t.slug as team_slug,
+                actor.first_name as actor_first_name,
+                actor.last_name as actor_last_name
+         FROM notifications n
+         LEFT JOIN questions q ON n.question_id = q.id
+         LEFT JOIN flags f ON f.id = n.flag_id
+         LEFT JOIN teams t ON t.id = COALESCE(n.team_id, q.team_id)
+         LEFT JOIN users actor ON n.actor_id = actor.id
+         WHERE n.user_id = ? AND n.is_read = FALSE AND n.created_at > ?
+           AND (q.deleted_at IS NULL OR n.type IN ('flag_resolved', 'warning'))
+         ORDER BY n.created_at DESC
+         LIMIT ?`,
+        [user.id, since, DIGEST_LIMIT]
+    );
+
+    // Only teams the user still belongs to, and not their own questions
+    const [questions] = await db.query(
+        `SELECT q.id, q.title, t.slug as team_slug, t.name as team_name,
+                GROUP_CONCAT(DISTINCT tg.name ORDER BY tg.name SEPARATOR ',') as tags
+         FROM tag_follows tf
+         JOIN tags tg ON tg.id = tf.tag_id
+         JOIN question_tags qt ON qt.tag_id = tf.tag_id
+         JOIN questions q ON q.id = qt.question_id
+         JOIN teams t ON t.id = q.team_id
+         JOIN team_members tm ON tm.team_id = q.team_id AND tm.user_id = tf.user_id
+         WHERE tf.user_id = ? AND q.created_at > ? AND q.user_id != ? AND q.deleted_at IS NULL
+         GROUP BY q.id, q.title, t.slug, t.name
+         ORDER BY q.created_at DESC
+         LIMIT ?`,
+        [user.id, since, user.id, DIGEST_LIMIT]
+    );
+
+    const questionLink = (slug, id) => (slug && id ? `${baseUrl}/team/${slug}/questions/${id}` : baseUrl);
+
+    return {
+        notifications: notifications.map(n => ({
+            text: describeNotification(n),
+            link: n.team_slug && n.type === 'badge' && !n.question_id
+                ? `${baseUrl}/team/${n.team_slug}/users/${user.id}`
+                : questionLink(n.team_slug, n.question_id)
+        })),
+        questions: questions.map(q => ({
+            title: q.title,
+            link: questionLink(q.team_slug, q.id),
+            teamName: q.team_name,
+            tags: q.tags ? q.tags.split(',') : []
+        }))
+    };
+}
+
+// Queue a digest for every member whose daily or weekly digest is due.
+// Nothing is sent when there's nothing new. Returns the number queued.
+async function sendDueDigests() {
+    const baseUrl = appUrl() || `http://localhost:${process.env.PORT || 3000}`;
+
+    // Allow some slack so an hourly check doesn't push each digest an hour later
+    const [users] = await db.query(
+        `SELECT id, email, first_name, digest_frequency, last_digest_at
+         FROM users
+         WHERE digest_frequency IN ('daily', 'weekly')
+           AND (last_digest_at IS NULL OR last_digest_at <=
+                DATE_SUB(NOW(), INTERVAL (IF(digest_frequency = 'daily', 1, 7) * 1440 - 30) MINUTE))`
+    );
+
+    let queued = 0;
+    for (const user of users) {
+        const since = user.last_digest_at ||
+            new Date(Date.now() - DIGEST_DAYS[user.digest_frequency] * 24 * 60 * 60 * 1000);
+
+        const digest = await buildDigest(user, since, baseUrl);
+
+        if (digest.notifications.length > 0 || digest.questions.length > 0) {
+            const [teams] = await db.query(
+                `SELECT t.slug FROM teams t
+                 JOIN team_members tm ON t.id = tm.team_id
+                 WHERE tm.user_id = ?
+                 ORDER BY tm.joined_at DESC
+                 LIMIT 1`,
+                [user.id]
+            );
+
+            await queueMail({
+                to: user.email,
+                template: 'digest',
+                data: {
+                    firstName: user.first_name,
+                    frequency: user.digest_frequency,
+                    ...digest,
+                    settingsLink: teams.length > 0 ? `${baseUrl}/team/${teams[0].slug}/users/${user.id}` : baseUrl
+                },
+                deliverNow: false
+            });
+            queued++;
+        }
+
+        await db.query('UPDATE users SET last_digest_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+    }
+
+    return queued;
+}
+
+module.exports = {
+    sendDueDigests
+};
@@ -0,0 +1,104 @@
+// Email templates. Each takes the template's data and returns
+// { subject, text, html }; the HTML is wrapped in a shared layout.
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function layout(content) {
+    return `<!DOCTYPE html>
+<html>
+<body style="margin: 0; padding: 24px; background: #f1f2f3; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif; color: #232629;">
+    <div style="max-width: 560px; margin: 0 auto; background: #fff; border: 1px solid #d6d9dc; border-radius: 6px; padding: 32px;">
+        <div style="font-size: 20px; font-weight: 700; color: #f48225; margin-bottom: 24px;">KnowHow</div>
+        ${content}
+    </div>
+</body>
+</html>`;
+}
+
+function button(link, label) {
+    return `<p style="margin: 24px 0;"><a href="${escapeHtml(link)}" style="background: #0a95ff; color: #fff; padding: 10px 16px; border-radius: 4px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+}
+
+const templates = {
+    password_reset: ({ firstName, link, ttlMinutes }) => ({
+        subject: 'Reset your KnowHow password',
+        text: `Hi ${firstName || 'there'},\n\n` +
+            'Someone asked to reset the password for your KnowHow account. ' +
+            `To choose a new password, open this link within ${ttlMinutes} minutes:\n\n` +
+            `${link}\n\n` +
+            "If you didn't ask for this, you can ignore this email.",
+        html: layout(`
+            <p>Hi ${escapeHtml(firstName || 'there')},</p>
+            <p>Someone asked to reset the password for your KnowHow account. To choose a new password, use this link within ${ttlMinutes} minutes:</p>
+            ${button(link, 'Reset password')}
+            <p style="color: #6a737c;">If you didn't ask for this, you can ignore this email.</p>`)
+    }),
+
+    invite: ({ teamName, inviterName, link, expiresInDays }) => ({
+        subject: `${inviterName} invited you to join ${teamName} on KnowHow`,
+        text: `${inviterName} invited you to join the ${teamName} team on KnowHow.\n\n` +
+            `Accept the invite here (it expires in ${expiresInDays} days):\n\n${link}`,
+        html: layout(`
+            <p><strong>${escapeHtml(inviterName)}</strong> invited you to join the <strong>${escapeHtml(teamName)}</strong> team on KnowHow.</p>
+            ${button(link, 'Accept invite')}
+            <p style="color: #6a737c;">This invite expires in ${expiresInDays} days.</p>`)
+    }),
+
+    // notifications: [{ text, link }], questions: [{ title, link, teamName, tags }]
+    digest: ({ firstName, frequency, notifications, questions, settingsLink }) => {
+        const period = frequency === 'weekly' ? 'week' : 'day';
+
+        const textSections = [];
+        const htmlSections = [];
+
+        if (notifications.length > 0) {
+            textSections.push('Unread notifications\n\n' +
+                notifications.map(n => `- ${n.text}\n  ${n.link}`).join('\n'));
+            htmlSections.push(`
+            <h3 style="font-size: 16px;">Unread notifications</h3>
+            <ul style="padding-left: 20px;">
+                ${notifications.map(n => `<li style="margin-bottom: 8px;"><a href="${escapeHtml(n.link)}" style="color: #0077cc;">${escapeHtml(n.text)}</a></li>`).join('')}
+            </ul>`);
+        }
+
+        if (questions.length > 0) {
+            textSections.push('New questions in tags you follow\n\n' +
+                questions.map(q => `- ${q.title} [${q.tags.join(', ')}]\n  ${q.link}`).join('\n'));
+            htmlSections.push(`
+            <h3 style="font-size: 16px;">New questions in tags you follow</h3>
+            <ul style="padding-left: 20px;">
+                ${questions.map(q => `<li style="margin-bottom: 8px;"><a href="${escapeHtml(q.link)}" style="color: #0077cc;">${escapeHtml(q.title)}</a> <span style="color: #6a737c;">${escapeHtml(q.teamName)} &middot; ${q.tags.map(escapeHtml).join(', ')}</span></li>`).join('')}
+            </ul>`);
+        }
+
+        return {
+            subject: `Your KnowHow ${frequency} digest`,
+            text: `Hi ${firstName || 'there'}, here's what happened on KnowHow this past ${period}.\n\n` +
+                textSections.join('\n\n') +
+                `\n\nChange how often you get this email: ${settingsLink}`,
+            html: layout(`
+            <p>Hi ${escapeHtml(firstName || 'there')}, here's what happened on KnowHow this past ${period}.</p>
+            ${htmlSections.join('')}
+            <p style="color: #6a737c; font-size: 12px; margin-top: 24px;">You're getting this because you chose a ${frequency} digest. <a href="${escapeHtml(settingsLink)}" style="color: #6a737c;">Change how often you get it</a>.</p>`)
+        };
+    }
+};
+
+function renderTemplate(name, data) {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    return template(data);
+}
+
+module.exports = {
+    renderTemplate
+};
@@ -0,0 +1,198 @@
+const db = require('../config/database');
+const { trashPost, restorePost } = require('./trash');
+
+// Flags: members report spam, rude or outdated posts for moderators. Each
+// member can flag a post once. Once a post has the team's flags_to_hide
+// pending flags it's hidden: moved to the trash with no deleted_by (which is
+// how a hidden post is told apart from a deleted one). The moderation queue
+// lists posts with pending flags; resolving them sets every pending flag's
+// status to the outcome.
+
+const FLAGGABLE_TYPES = ['question', 'answer', 'comment'];
+
+const FLAG_REASONS = {
+    spam: 'Spam',
+    rude: 'Rude or abusive',
+    outdated: 'Outdated',
+    other: 'Something else'
+};
+
+// What a moderator can do about a flagged post (flags.status)
+const OUTCOMES = ['dismissed', 'edited', 'deleted', 'warned'];
+
+// A post with its team and question, deleted or not (null if it's gone).
+// title is the question's.
+async function loadFlaggedPost(postType, postId) {
+    const queries = {
+        question: `SELECT q.id, q.user_id, q.team_id, q.id as question_id, NULL as answer_id, NULL as comment_id,
+                          q.title, q.body, q.deleted_at, q.deleted_by
+                   FROM questions q
+                   WHERE q.id = ?`,
+        answer: `SELECT a.id, a.user_id, q.team_id, q.id as question_id, a.id as answer_id, NULL as comment_id,
+                        q.title, a.body, a.deleted_at, a.deleted_by
+                 FROM answers a
+                 JOIN questions q ON a.question_id = q.id
+                 WHERE a.id = ?`,
+        comment: `SELECT c.id, c.user_id, q.team_id, q.id as question_id, a.id as answer_id, c.id as comment_id,
+                         q.title, c.body, c.deleted_at, c.deleted_by
+                  FROM comments c
+                  LEFT JOIN answers a ON c.parent_type = 'answer' AND a.id = c.parent_id
+                  JOIN questions q ON q.id = IF(c.parent_type = 'question', c.parent_id, a.question_id)
+                  WHERE c.id = ?`
+    };
+
+    const [posts] = await db.query(queries[postType], [postId]);
+    return posts[0] || null;
+}
+
+function isHidden(post) {
+    return !!post.deleted_at && post.deleted_by === null;
+}
+
+async function hasFlagged(postType, postId, userId) {
+    const [flags] = await db.query(
+        'SELECT 1 FROM flags WHERE flaggable_type = ? AND flaggable_id = ? AND user_id = ?',
+        [postType, postId, userId]
+    );
+    return flags.length > 0;
+}
+
+// Record a flag (post from loadFlaggedPost), hiding the post if that makes
+// enough. Returns { flagId, hidden }.
+async function flagPost({ postType, post, userId, reason, note }) {
+    const [result] = await db.query(
+        `INSERT INTO flags (team_id, flaggable_type, flaggable_id, user_id, reason, note)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [post.team_id, postType, post.id, userId, reason, note || null]
+    );
+
+    const [counts] = await db.query(
+        `SELECT COUNT(*) as pending, t.flags_to_hide
+         FROM flags f
+         JOIN teams t ON t.id = f.team_id
+         WHERE f.flaggable_type = ? AND f.flaggable_id = ? AND f.status = 'pending'
+         GROUP BY t.flags_to_hide`,
+        [postType, post.id]
+    );
+
+    const { pending, flags_to_hide: flagsToHide } = counts[0];
+    let hidden = false;
+    if (flagsToHide > 0 && pending >= flagsToHide && !post.deleted_at) {
+        hidden = await trashPost(postType, post.id, null);
+    }
+
+    return { flagId: result.insertId, hidden };
+}
+
+// Posts with pending flags in a team, most flagged first, each with its
+// flags: { items, total }
+async function getFlagQueue(teamId, { limit = 20, offset = 0 } = {}) {
+    const [count] = await db.query(
+        `SELECT COUNT(DISTINCT flaggable_type, flaggable_id) as total
+         FROM flags WHERE team_id = ? AND status = 'pending'`,
+        [teamId]
+    );
+
+    const [groups] = await db.query(
+        `SELECT flaggable_type, flaggable_id, COUNT(*) as flag_count, MIN(created_at) as first_flagged_at
+         FROM flags
+         WHERE team_id = ? AND status = 'pending'
+         GROUP BY flaggable_type, flaggable_id
+         ORDER BY flag_count DESC, first_flagged_at ASC
+         LIMIT ? OFFSET ?`,
+        [teamId, limit, offset]
+    );
+
+    const items = [];
+    for (const group of groups) {
+        const post = await loadFlaggedPost(group.flaggable_type, group.flaggable_id);
+        if (!post) {
+            continue;
+        }
+
+        const [authors] = await db.query('SELECT first_name, last_name FROM users WHERE id = ?', [post.user_id]);
+
+        const [flags] = await db.query(
+            `SELECT f.id, f.reason, f.note, f.created_at, f.user_id, u.first_name, u.last_name
+             FROM flags f
+             JOIN users u ON u.id = f.user_id
+             WHERE f.flaggable_type = ? AND f.flaggable_id = ? AND f.status = 'pending'
+             ORDER BY f.created_at ASC`,
+            [group.flaggable_type, group.flaggable_id]
+        );
+
+        items.push({
+            post_type: group.flaggable_type,
+            post_id: post.id,
+            question_id: post.question_id,
+            title: post.title,
+            body: post.body,
+            author_id: post.user_id,
+            author_first_name: authors.length > 0 ? authors[0].first_name : null,
+            author_last_name: authors.length > 0 ? authors[0].last_name : null,
+            hidden: isHidden(post),
+            deleted: !!post.deleted_at && !isHidden(post),
+            flag_count: group.flag_count,
+            first_flagged_at: group.first_flagged_at,
+            flags
+        });
+    }
+
+    return { items, total: count[0].total };
+}
+
+// Bring a hidden post back. Returns restorePost's { restored, error }.
+async function unhidePost(postType, post) {
+    if (!isHidden(post)) {
+        return { restored: true };
+    }
+    return restorePost(postType, post.id);
+}
+
+// Deleting a flagged post: hidden posts are already in the trash, and now
+// count as deleted by the moderator
+async function deleteFlaggedPost(postType, post, moderatorId) {
+    if (isHidden(post)) {
+        await db.query(`UPDATE ${postType}s SET deleted_by = ? WHERE id = ?`, [moderatorId, post.id]);
+    } else if (!post.deleted_at) {
+        await trashPost(postType, post.id, moderatorId);
+    }
+}
+
+// A post's pending flags ({ id, user_id, reason })
+async function getPendingFlags(postType, postId) {
+    const [flags] = await db.query(
+        `SELECT id, user_id, reason FROM flags
+         WHERE flaggable_type = ? AND flaggable_id = ? AND status = 'pending'`,
+        [postType, postId]
+    );
+    return flags;
+}
+
+// Close flags from getPendingFlags with an outcome
+async function resolveFlags(flags, outcome, moderatorId) {
+    if (flags.length === 0) {
+        return;
+    }
+
+    await db.query(
+        `UPDATE flags SET status = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+         WHERE id IN (?) AND status = 'pending'`,
+        [outcome, moderatorId, flags.map(f => f.id)]
+    );
+}
+
+module.exports = {
+    FLAGGABLE_TYPES,
+    FLAG_REASONS,
+    OUTCOMES,
+    loadFlaggedPost,
+    isHidden,
+    hasFlagged,
+    flagPost,
+    getFlagQueue,
+    unhidePost,
+    deleteFlaggedPost,
+    getPendingFlags,
+    resolveFlags
+};
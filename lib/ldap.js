@@ -0,0 +1,136 @@
+const { Client, InvalidCredentialsError } = require('ldapts');
+const config = require('../config/ldap');
+const { findOrCreateUser, applyTeamMappings } = require('./sso');
+
+// LDAP sign-in: look the user up with the service account, then bind as them
+// to check the password. Directory users are linked to KnowHow accounts by
+// email (see lib/sso.js), and their groups drive the team rules. Groups can
+// be matched by full DN or by name (the first part of the DN).
+
+// Escape a value for use inside a search filter (RFC 4515)
+function escapeFilter(value) {
+    return value.replace(/[\\*()\0]/g, c => '\\' + c.charCodeAt(0).toString(16).padStart(2, '0'));
+}
+
+// Attribute values come back as a string or an array of strings
+function values(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+// "cn=KnowHow Admins,ou=groups,dc=example,dc=org" -> "KnowHow Admins"
+function groupName(dn) {
+    const match = /^[^=]+=((?:\\.|[^,])*)/.exec(dn);
+    return match ? match[1].replace(/\\(.)/g, '$1') : dn;
+}
+
+async function withClient(callback) {
+    const tlsOptions = { rejectUnauthorized: config.tlsRejectUnauthorized };
+    const client = new Client({
+        url: config.url,
+        timeout: config.timeout,
+        connectTimeout: config.timeout,
+        tlsOptions
+    });
+
+    try {
+        if (config.startTls) {
+            await client.startTLS(tlsOptions);
+        }
+        return await callback(client);
+    } finally {
+        await client.unbind().catch(() => {});
+    }
+}
+
+async function bindServiceAccount(client) {
+    if (config.bindDn) {
+        await client.bind(config.bindDn, config.bindPassword);
+    }
+}
+
+// Check a username and password against the directory. Returns the entry
+// ({ dn, email, firstName, lastName, groups }) or null if the username or
+// password is wrong. Throws if the directory can't be reached.
+async function authenticate(username, password) {
+    // An empty password would be an anonymous bind, which always succeeds
+    if (!username || !password) {
+        return null;
+    }
+
+    const { attributes } = config;
+
+    return withClient(async client => {
+        await bindServiceAccount(client);
+
+        const { searchEntries } = await client.search(config.searchBase, {
+            scope: 'sub',
+            filter: config.searchFilter.replace(/{{username}}/g, escapeFilter(username)),
+            attributes: [attributes.email, attributes.firstName, attributes.lastName, attributes.groups]
+        });
+
+        // Unknown or ambiguous usernames are treated as a failed login
+        if (searchEntries.length !== 1) {
+            return null;
+        }
+
+        const entry = searchEntries[0];
+
+        try {
+            await client.bind(entry.dn, password);
+        } catch (error) {
+            if (error instanceof InvalidCredentialsError) {
+                return null;
+            }
+            throw error;
+        }
+
+        const groupDns = values(entry[attributes.groups]);
+
+        if (config.groupSearchBase) {
+            await bindServiceAccount(client);
+
+            const { searchEntries: groups } = await client.search(config.groupSearchBase, {
+                scope: 'sub',
+                filter: config.groupSearchFilter.replace(/{{dn}}/g, escapeFilter(entry.dn)),
+                attributes: ['cn']
+            });
+            groupDns.push(...groups.map(group => group.dn));
+        }
+
+        return {
+            dn: entry.dn,
+            email: values(entry[attributes.email])[0] || null,
+            firstName: values(entry[attributes.firstName])[0] || '',
+            lastName: values(entry[attributes.lastName])[0] || '',
+            groups: [...new Set([...groupDns, ...groupDns.map(groupName)])]
+        };
+    });
+}
+
+// Find or create the KnowHow user for a directory entry and apply the team
+// rules. Returns null if the entry has no email address.
+async function userFromEntry(entry) {
+    if (!entry.email) {
+        return null;
+    }
+
+    const user = await findOrCreateUser({
+        issuer: 'ldap',
+        subject: entry.dn.toLowerCase(),
+        email: entry.email,
+        firstName: entry.firstName,
+        lastName: entry.lastName
+    });
+
+    await applyTeamMappings(user, entry.groups);
+
+    return user;
+}
+
+module.exports = {
+    authenticate,
+    userFromEntry
+};
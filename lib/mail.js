@@ -0,0 +1,164 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const db = require('../config/database');
+const config = require('../config/mail');
+const { renderTemplate } = require('./email-templates');
+
+// Outgoing email goes through the mail_outbox table: queueMail() renders a
+// template and stores the message, and processOutbox() delivers whatever is
+// due. Failed deliveries are retried with increasing delays until
+// config.maxAttempts is reached, then left as 'failed' for inspection.
+
+// Minutes to wait before each retry (the last value repeats)
+const RETRY_DELAYS = [1, 5, 30, 120, 720];
+
+// Mail transports, keyed by the MAIL_TRANSPORT name. Each factory returns an
+// object with send(message), where message is { from, to, subject, text, html }.
+// Register another with registerTransport() to deliver mail some other way.
+const transports = {
+    smtp: () => {
+        const transporter = nodemailer.createTransport({
+            host: config.smtp.host,
+            port: config.smtp.port,
+            secure: config.smtp.secure,
+            auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.password } : undefined
+        });
+        return { send: message => transporter.sendMail(message) };
+    },
+
+    file: () => {
+        // Build the full RFC 822 message without sending it
+        const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+        return {
+            send: async message => {
+                const { message: raw } = await transporter.sendMail(message);
+                await fs.mkdir(config.dir, { recursive: true });
+                const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+                await fs.writeFile(path.join(config.dir, filename), raw);
+            }
+        };
+    },
+
+    console: () => ({
+        send: async message => {
+            console.log(`Mail to ${message.to}: ${message.subject}\n\n${message.text}\n`);
+        }
+    })
+};
+
+let transport = null;
+
+function registerTransport(name, factory) {
+    transports[name] = factory;
+    transport = null;
+}
+
+function getTransport() {
+    if (!transport) {
+        const factory = transports[config.transport];
+        if (!factory) {
+            throw new Error(`Unknown mail transport: ${config.transport}`);
+        }
+        transport = factory();
+    }
+    return transport;
+}
+
+// Base URL for links in emails, or null when APP_URL isn't set. Never taken
+// from the request: a forged Host header would send reset and invite tokens
+// to someone else's server.
+function appUrl() {
+    return config.appUrl ? config.appUrl.replace(/\/$/, '') : null;
+}
+
+// Send a message straight away, bypassing the outbox
+async function sendMail({ to, subject, text, html }) {
+    await getTransport().send({ from: config.from, to, subject, text, html });
+}
+
+// Deliver queued messages that are due. Each message is claimed before it is
+// sent, so overlapping runs (e.g. the worker and a script) don't send twice.
+// A claim lasts ten minutes; a message left 'sending' by a crash is then
+// picked up again.
+async function processOutbox(limit = 50) {
+    const [messages] = await db.query(
+        `SELECT * FROM mail_outbox
+         WHERE status IN ('pending', 'sending') AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at ASC, id ASC
+         LIMIT ?`,
+        [limit]
+    );
+
+    let sent = 0;
+    for (const message of messages) {
+        const [claimed] = await db.query(
+            `UPDATE mail_outbox
+             SET status = 'sending', attempts = attempts + 1,
+                 next_attempt_at = DATE_ADD(NOW(), INTERVAL 10 MINUTE)
+             WHERE id = ? AND attempts = ? AND status IN ('pending', 'sending')`,
+            [message.id, message.attempts]
+        );
+        if (claimed.affectedRows === 0) {
+            continue;
+        }
+
+        const attempts = message.attempts + 1;
+
+        try {
+            await sendMail({
+                to: message.to_address,
+                subject: message.subject,
+                text: message.text_body,
+                html: message.html_body
+            });
+
+            await db.query(
+                `UPDATE mail_outbox SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL
+                 WHERE id = ?`,
+                [message.id]
+            );
+            sent++;
+        } catch (error) {
+            console.error(`Mail delivery error (message ${message.id}, attempt ${attempts}):`, error.message);
+
+            const delay = RETRY_DELAYS[Math.min(attempts, RETRY_DELAYS.length) - 1];
+            await db.query(
+                `UPDATE mail_outbox
+                 SET status = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+                 WHERE id = ?`,
+                [attempts >= config.maxAttempts ? 'failed' : 'pending', error.message, delay, message.id]
+            );
+        }
+    }
+
+    return sent;
+}
+
+// Render a template and add it to the outbox, then (unless deliverNow is
+// false, e.g. for batches) start delivering in the background. Returns the
+// outbox id.
+async function queueMail({ to, template, data, deliverNow = true }) {
+    const { subject, text, html } = renderTemplate(template, data);
+
+    const [result] = await db.query(
+        `INSERT INTO mail_outbox (to_address, template, subject, text_body, html_body)
+         VALUES (?, ?, ?, ?, ?)`,
+        [to, template, subject, text, html]
+    );
+
+    if (deliverNow) {
+        processOutbox().catch(error => console.error('Process outbox error:', error));
+    }
+
+    return result.insertId;
+}
+
+module.exports = {
+    registerTransport,
+    appUrl,
+    sendMail,
+    queueMail,
+    processOutbox
+};
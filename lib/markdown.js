@@ -0,0 +1,39 @@
+const { Marked } = require('marked');
+const createDOMPurify = require('dompurify');
+const { JSDOM } = require('jsdom');
+
+// Shared Markdown renderer: GitHub-flavoured Markdown rendered by marked and
+// sanitized by DOMPurify, so the browser can insert body_html directly
+const marked = new Marked({
+    gfm: true,
+    breaks: true
+});
+
+const DOMPurify = createDOMPurify(new JSDOM('').window);
+
+// Open links in a new tab without giving the target page access to window.opener
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'A' && node.getAttribute('href')) {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer nofollow');
+    }
+});
+
+const SANITIZE_OPTIONS = {
+    USE_PROFILES: { html: true },
+    FORBID_TAGS: ['style', 'form', 'input', 'button', 'textarea', 'select'],
+    FORBID_ATTR: ['style'],
+    ADD_ATTR: ['target']
+};
+
+// Render Markdown to sanitized HTML
+function renderMarkdown(text) {
+    if (!text) {
+        return '';
+    }
+
+    const html = marked.parse(text);
+    return DOMPurify.sanitize(html, SANITIZE_OPTIONS);
+}
+
+module.exports = { renderMarkdown };
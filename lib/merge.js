@@ -0,0 +1,128 @@
+const db = require('../config/database');
+const { deleteRevisions } = require('./revisions');
+const { rebuildReputation } = require('./reputation');
+
+// Merge a duplicate question into its original. Answers, comments, votes,
+// follows, bookmarks and notifications move to the target, the duplicate and
+// its flags are deleted, and the counters that depended on it are recomputed.
+async function mergeQuestions(source, target) {
+    const [sourceTags] = await db.query('SELECT tag_id FROM question_tags WHERE question_id = ?', [source.id]);
+    const [targetTags] = await db.query('SELECT tag_id FROM question_tags WHERE question_id = ?', [target.id]);
+
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        // Only one answer can stay accepted: the target's wins
+        const [accepted] = await connection.query(
+            'SELECT id FROM answers WHERE question_id = ? AND is_accepted = 1 AND deleted_at IS NULL',
+            [target.id]
+        );
+        if (accepted.length > 0) {
+            await connection.query(
+                'UPDATE answers SET is_accepted = 0 WHERE question_id = ?',
+                [source.id]
+            );
+        }
+
+        await connection.query(
+            'UPDATE answers SET question_id = ? WHERE question_id = ?',
+            [target.id, source.id]
+        );
+
+        await connection.query(
+            `UPDATE comments SET parent_id = ?
+             WHERE parent_type = 'question' AND parent_id = ?`,
+            [target.id, source.id]
+        );
+
+        // Someone who voted on both keeps their vote on the target
+        await connection.query(
+            `DELETE v FROM votes v
+             JOIN votes t ON t.votable_type = 'question' AND t.votable_id = ? AND t.user_id = v.user_id
+             WHERE v.votable_type = 'question' AND v.votable_id = ?`,
+            [target.id, source.id]
+        );
+        await connection.query(
+            `UPDATE votes SET votable_id = ?
+             WHERE votable_type = 'question' AND votable_id = ?`,
+            [target.id, source.id]
+        );
+
+        // Follows and bookmarks are unique per user, so copy and let the delete cascade
+        await connection.query(
+            `INSERT IGNORE INTO question_follows (user_id, question_id)
+             SELECT user_id, ? FROM question_follows WHERE question_id = ?`,
+            [target.id, source.id]
+        );
+        await connection.query(
+            `INSERT IGNORE INTO bookmarks (user_id, question_id)
+             SELECT user_id, ? FROM bookmarks WHERE question_id = ?`,
+            [target.id, source.id]
+        );
+
+        await connection.query(
+            'UPDATE notifications SET question_id = ? WHERE question_id = ?',
+            [target.id, source.id]
+        );
+
+        // Duplicates of the duplicate now point at the original
+        await connection.query(
+            'UPDATE questions SET duplicate_of_id = ? WHERE duplicate_of_id = ?',
+            [target.id, source.id]
+        );
+
+        // Flags have no foreign key; left behind they'd stay in the review
+        // queue's count with no post to show. Flags on the moved answers and
+        // comments still apply.
+        await connection.query(
+            `DELETE FROM flags
+             WHERE flaggable_type = 'question' AND flaggable_id = ?`,
+            [source.id]
+        );
+
+        await connection.query('DELETE FROM questions WHERE id = ?', [source.id]);
+
+        await connection.query(
+            `UPDATE questions q
+             SET q.answer_count = (SELECT COUNT(*) FROM answers a WHERE a.question_id = q.id AND a.deleted_at IS NULL),
+                 q.score = (
+                     SELECT COALESCE(SUM(IF(v.vote_type = 'up', 1, -1)), 0) FROM votes v
+                     WHERE v.votable_type = 'question' AND v.votable_id = q.id
+                 ),
+                 q.last_activity_at = CURRENT_TIMESTAMP
+             WHERE q.id = ?`,
+            [target.id]
+        );
+
+        const tagIds = [...new Set([...sourceTags, ...targetTags].map(t => t.tag_id))];
+        if (tagIds.length > 0) {
+            await connection.query(
+                `UPDATE tags t
+                 SET t.question_count = (
+                     SELECT COUNT(*) FROM question_tags qt
+                     JOIN questions q ON q.id = qt.question_id
+                     WHERE qt.tag_id = t.id AND q.deleted_at IS NULL
+                 )
+                 WHERE t.id IN (?)`,
+                [tagIds]
+            );
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    // Revision history has no foreign key, and the moved votes and accepts
+    // may now belong to a different question owner
+    await deleteRevisions('question', [source.id]);
+    await rebuildReputation(target.team_id);
+}
+
+module.exports = {
+    mergeQuestions
+};
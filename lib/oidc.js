@@ -0,0 +1,125 @@
+const { Issuer, generators } = require('openid-client');
+const config = require('../config/oidc');
+const { findOrCreateUser, applyTeamMappings } = require('./sso');
+
+// OpenID Connect sign-in (authorization code flow with PKCE). Users are
+// matched by provider subject first, then linked or created by verified
+// email (see lib/sso.js).
+
+let clientPromise = null;
+
+// Discover the provider once and reuse the client; retry discovery after a failure
+function getClient() {
+    if (!clientPromise) {
+        clientPromise = Issuer.discover(config.issuer)
+            .then(issuer => new issuer.Client({
+                client_id: config.clientId,
+                client_secret: config.clientSecret,
+                // Public clients (no secret) authenticate with PKCE alone
+                token_endpoint_auth_method: config.clientSecret ? 'client_secret_basic' : 'none'
+            }))
+            .catch(error => {
+                clientPromise = null;
+                throw error;
+            });
+    }
+    return clientPromise;
+}
+
+// Start a sign-in. Returns the provider URL to redirect to, and the values
+// to keep (in a cookie) until the callback.
+async function startLogin(redirectUri) {
+    const client = await getClient();
+
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    const url = client.authorizationUrl({
+        redirect_uri: redirectUri,
+        scope: config.scopes,
+        state,
+        nonce,
+        code_challenge: generators.codeChallenge(codeVerifier),
+        code_challenge_method: 'S256'
+    });
+
+    return { url, checks: { state, nonce, codeVerifier } };
+}
+
+// Exchange the authorization code and return the user's claims (ID token
+// merged with userinfo, which some providers use for email and groups)
+async function finishLogin(req, redirectUri, checks) {
+    const client = await getClient();
+
+    const params = client.callbackParams(req);
+    const tokenSet = await client.callback(redirectUri, params, {
+        state: checks.state,
+        nonce: checks.nonce,
+        code_verifier: checks.codeVerifier
+    });
+
+    let claims = tokenSet.claims();
+    if (tokenSet.access_token && (!claims.email || claims[config.groupsClaim] === undefined)) {
+        const userinfo = await client.userinfo(tokenSet);
+        claims = { ...userinfo, ...claims };
+    }
+
+    return claims;
+}
+
+function claimGroups(claims) {
+    const groups = claims[config.groupsClaim];
+    if (!groups) {
+        return [];
+    }
+    return Array.isArray(groups) ? groups.map(String) : String(groups).split(',').map(g => g.trim());
+}
+
+function claimNames(claims, email) {
+    if (claims.given_name || claims.family_name) {
+        return [claims.given_name || '', claims.family_name || ''];
+    }
+    if (claims.name) {
+        const [first, ...rest] = claims.name.trim().split(/\s+/);
+        return [first, rest.join(' ')];
+    }
+    return [email.split('@')[0], ''];
+}
+
+// Whether the provider says the sign-in used more than one factor: "mfa" in
+// amr (RFC 8176) or one of the configured acr values
+function claimsProveMfa(claims) {
+    const amr = Array.isArray(claims.amr) ? claims.amr : [];
+    return amr.includes('mfa') || (!!claims.acr && config.mfaAcrValues.includes(String(claims.acr)));
+}
+
+// Find or create the KnowHow user for a set of claims and apply the team
+// rules. Returns null if the provider didn't give a (verified) email.
+async function userFromClaims(claims) {
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    if (!claims.email || (config.requireVerifiedEmail && !emailVerified)) {
+        return null;
+    }
+
+    const [firstName, lastName] = claimNames(claims, claims.email);
+
+    const user = await findOrCreateUser({
+        issuer: claims.iss,
+        subject: claims.sub,
+        email: claims.email,
+        firstName,
+        lastName
+    });
+
+    await applyTeamMappings(user, claimGroups(claims));
+
+    return user;
+}
+
+module.exports = {
+    startLogin,
+    finishLogin,
+    claimsProveMfa,
+    userFromClaims
+};
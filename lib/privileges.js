@@ -0,0 +1,205 @@
+const db = require('../config/database');
+const { hasScope, allowsTeam } = require('./api-tokens');
+const { blocksMember } = require('./two-factor');
+
+// What a team member may do. Each member has a role, which grants a set of
+// actions outright. Roles that earn privileges also unlock the
+// reputation-gated actions below with enough reputation in that team. Actions
+// marked owner are allowed on your own posts to anyone whose role can post.
+
+// Reputation-gated privileges. Thresholds are defaults that team admins can
+// override per team (team_privileges).
+const PRIVILEGES = {
+    vote_up: { label: 'Upvote', threshold: 1 },
+    vote_down: { label: 'Downvote', threshold: 50 },
+    comment: { label: "Comment on others' posts", threshold: 1, owner: true },
+    flag: { label: 'Flag posts for moderators', threshold: 15 },
+    edit: { label: "Edit others' posts", threshold: 500, owner: true },
+    close: { label: 'Vote to close and reopen questions', threshold: 1000, owner: true },
+    delete: { label: "Delete others' posts", threshold: 10000, owner: true }
+};
+
+// Actions that reputation can't unlock; only roles grant them
+const FIXED_ACTIONS = {
+    view: { label: 'View questions and answers' },
+    post: { label: 'Ask and answer questions' },
+    accept: { label: 'Accept answers' },
+    unaccept: { label: 'Remove accepted answers', owner: true },
+    answer_closed: { label: 'Answer closed questions', owner: true },
+    close_instantly: { label: 'Close and reopen questions without votes', owner: true },
+    merge: { label: 'Merge questions' }
+};
+
+const ACTIONS = { ...PRIVILEGES, ...FIXED_ACTIONS };
+
+// Built-in roles. Admins can also manage the team (requireTeamAdmin).
+// team_members.role is one of these, or 'custom' with custom_role_id pointing
+// at one of the team's own roles (team_roles).
+const ROLES = {
+    viewer: {
+        label: 'Viewer',
+        description: 'Read-only',
+        permissions: ['view'],
+        reputation: false
+    },
+    member: {
+        label: 'Member',
+        description: 'Asks, answers and earns privileges with reputation',
+        permissions: ['view', 'post', 'accept'],
+        reputation: true
+    },
+    moderator: {
+        label: 'Moderator',
+        description: 'Has every privilege regardless of reputation, and can close instantly and merge',
+        permissions: Object.keys(ACTIONS),
+        reputation: true
+    },
+    admin: {
+        label: 'Admin',
+        description: 'Everything, including managing members, roles and settings',
+        permissions: Object.keys(ACTIONS),
+        reputation: true
+    }
+};
+
+// The role a membership row resolves to: { name, label, permissions,
+// reputation, customRoleId }. Custom roles need the team_roles columns
+// joined in (custom_role_name, custom_permissions, custom_reputation).
+function resolveRole(membership) {
+    if (membership.role === 'custom') {
+        return {
+            name: 'custom',
+            label: membership.custom_role_name || 'Custom',
+            permissions: membership.custom_permissions ? membership.custom_permissions.split(',') : [],
+            reputation: !!membership.custom_reputation,
+            customRoleId: membership.custom_role_id
+        };
+    }
+
+    const role = ROLES[membership.role] || ROLES.member;
+    return {
+        name: membership.role,
+        label: role.label,
+        permissions: role.permissions,
+        reputation: role.reputation,
+        customRoleId: null
+    };
+}
+
+// Columns and join to select with team_members tm for resolveRole()
+const ROLE_COLUMNS = `tm.role, tm.custom_role_id, tr.name as custom_role_name,
+        tr.permissions as custom_permissions, tr.reputation_privileges as custom_reputation`;
+const ROLE_JOIN = 'LEFT JOIN team_roles tr ON tr.id = tm.custom_role_id AND tr.team_id = tm.team_id';
+
+// The user's membership in a team, with .permissions and .earnsPrivileges
+// from their role. API tokens restricted to another team see no membership,
+// and without the admin scope they act as a member at most. Members blocked
+// by the team's two-factor requirement have no membership.
+async function getMembership(user, teamId) {
+    if (!allowsTeam(user, teamId)) {
+        return null;
+    }
+
+    const [membership] = await db.query(
+        `SELECT ${ROLE_COLUMNS}, tm.reputation, t.require_two_factor FROM team_members tm
+         JOIN teams t ON tm.team_id = t.id
+         ${ROLE_JOIN}
+         WHERE tm.user_id = ? AND tm.team_id = ?`,
+        [user.userId, teamId]
+    );
+
+    if (membership.length === 0 || blocksMember(user, membership[0])) {
+        return null;
+    }
+
+    const scoped = membership[0].role === 'admin' && !hasScope(user, 'admin')
+        ? { ...membership[0], role: 'member' }
+        : membership[0];
+    const role = resolveRole(scoped);
+
+    return {
+        role: role.name,
+        reputation: membership[0].reputation,
+        permissions: role.permissions,
+        earnsPrivileges: role.reputation
+    };
+}
+
+// Current threshold for every privilege in a team
+async function getThresholds(teamId) {
+    const [overrides] = await db.query(
+        'SELECT action, min_reputation FROM team_privileges WHERE team_id = ?',
+        [teamId]
+    );
+
+    const thresholds = {};
+    for (const [action, privilege] of Object.entries(PRIVILEGES)) {
+        const override = overrides.find(o => o.action === action);
+        thresholds[action] = override ? override.min_reputation : privilege.threshold;
+    }
+    return thresholds;
+}
+
+async function getThreshold(teamId, action) {
+    const [overrides] = await db.query(
+        'SELECT min_reputation FROM team_privileges WHERE team_id = ? AND action = ?',
+        [teamId, action]
+    );
+    return overrides.length > 0 ? overrides[0].min_reputation : PRIVILEGES[action].threshold;
+}
+
+// Check whether a user may perform an action.
+// user is req.user; resource is { teamId, ownerId } where ownerId is the
+// author of the post being acted on (if any).
+async function can(user, action, resource) {
+    const rule = ACTIONS[action];
+    if (!rule) {
+        throw new Error(`Unknown action: ${action}`);
+    }
+
+    const membership = await getMembership(user, resource.teamId);
+    if (!membership) {
+        return false;
+    }
+
+    if (membership.permissions.includes(action)) {
+        return true;
+    }
+
+    // Read-only roles can't touch their old posts either
+    if (rule.owner && resource.ownerId === user.userId && membership.permissions.includes('post')) {
+        return true;
+    }
+
+    if (!PRIVILEGES[action] || !membership.earnsPrivileges) {
+        return false;
+    }
+
+    return membership.reputation >= await getThreshold(resource.teamId, action);
+}
+
+// Which actions a user may take in a team (on others' posts), so the UI can
+// show only the ones that will succeed
+async function getPrivileges(user, teamId) {
+    const membership = await getMembership(user, teamId);
+    const thresholds = await getThresholds(teamId);
+
+    const privileges = {};
+    for (const action of Object.keys(ACTIONS)) {
+        privileges[action] = !!membership && (membership.permissions.includes(action) ||
+            (!!PRIVILEGES[action] && membership.earnsPrivileges && membership.reputation >= thresholds[action]));
+    }
+    return privileges;
+}
+
+module.exports = {
+    PRIVILEGES,
+    ACTIONS,
+    ROLES,
+    ROLE_COLUMNS,
+    ROLE_JOIN,
+    resolveRole,
+    can,
+    getThresholds,
+    getPrivileges
+};
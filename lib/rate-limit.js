@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const config = require('../config/rate-limit');
+
+// Rate limiting with fixed-window counters. Used for:
+//   - a per-IP limit on the whole API (apiLimiter)
+//   - per-IP limits on endpoints that send email or create accounts
+//   - per-user hourly quotas on creating content (quota)
+//   - sign-in throttling: attempts per IP, and failed attempts per account,
+//     which lock the account for a while (longer each time it happens again)
+// Over a limit, requests get 429 with a Retry-After header.
+
+// Counter stores, keyed by the RATE_LIMIT_STORE name. Each factory returns an
+// object with:
+//   hit(key, windowSeconds) - count one hit; returns { count, resetAt }
+//   peek(key)               - current { count, resetAt }, or null
+//   reset(key)              - forget a counter
+//   cleanup()               - drop expired counters
+// resetAt is a timestamp in milliseconds. Register another store with
+// registerStore().
+const stores = {
+    memory: () => {
+        const counters = new Map();
+
+        const current = key => {
+            const counter = counters.get(key);
+            return counter && counter.resetAt > Date.now() ? counter : null;
+        };
+
+        return {
+            hit: async (key, windowSeconds) => {
+                let counter = current(key);
+                if (!counter) {
+                    counter = { count: 0, resetAt: Date.now() + windowSeconds * 1000 };
+                    counters.set(key, counter);
+                }
+                counter.count++;
+                return { ...counter };
+            },
+            peek: async key => {
+                const counter = current(key);
+                return counter ? { ...counter } : null;
+            },
+            reset: async key => {
+                counters.delete(key);
+            },
+            cleanup: async () => {
+                const now = Date.now();
+                for (const [key, counter] of counters) {
+                    if (counter.resetAt <= now) {
+                        counters.delete(key);
+                    }
+                }
+            }
+        };
+    },
+
+    // Shared counters in the rate_limits table, for multi-instance deployments
+    mysql: () => {
+        // Long keys (e.g. with an email address in them) are hashed to fit the column
+        const storedKey = key => (key.length > 191 ? crypto.createHash('sha256').update(key).digest('hex') : key);
+
+        const peek = async key => {
+            const [rows] = await db.query(
+                'SELECT count, reset_at FROM rate_limits WHERE rate_key = ? AND reset_at > ?',
+                [storedKey(key), Date.now()]
+            );
+            return rows.length > 0 ? { count: rows[0].count, resetAt: Number(rows[0].reset_at) } : null;
+        };
+
+        return {
+            hit: async (key, windowSeconds) => {
+                const now = Date.now();
+                const resetAt = now + windowSeconds * 1000;
+
+                // Start a new window if the old one has ended (count is assigned first,
+                // so it still sees the old reset_at)
+                await db.query(
+                    `INSERT INTO rate_limits (rate_key, count, reset_at) VALUES (?, 1, ?)
+                     ON DUPLICATE KEY UPDATE
+                         count = IF(reset_at <= ?, 1, count + 1),
+                         reset_at = IF(reset_at <= ?, ?, reset_at)`,
+                    [storedKey(key), resetAt, now, now, resetAt]
+                );
+
+                return (await peek(key)) || { count: 1, resetAt };
+            },
+            peek,
+            reset: async key => {
+                await db.query('DELETE FROM rate_limits WHERE rate_key = ?', [storedKey(key)]);
+            },
+            cleanup: async () => {
+                await db.query('DELETE FROM rate_limits WHERE reset_at <= ?', [Date.now()]);
+            }
+        };
+    }
+};
+
+let store = null;
+
+function registerStore(name, factory) {
+    stores[name] = factory;
+    store = null;
+}
+
+function getStore() {
+    if (!store) {
+        const factory = stores[config.store];
+        if (!factory) {
+            throw new Error(`Unknown rate limit store: ${config.store}`);
+        }
+        store = factory();
+    }
+    return store;
+}
+
+function secondsUntil(resetAt) {
+    return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+function tooManyRequests(res, retryAfter, message = 'Too many requests. Please try again later.') {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: message, retryAfter });
+}
+
+// Middleware allowing max requests per window for each key(req). Requests
+// without a key aren't limited.
+function limit(name, { max, windowSeconds, key, message }) {
+    return async (req, res, next) => {
+        const id = config.enabled ? key(req) : null;
+        if (!id) {
+            return next();
+        }
+
+        try {
+            const counter = await getStore().hit(`${name}:${id}`, windowSeconds);
+
+            res.set('RateLimit-Limit', String(max));
+            res.set('RateLimit-Remaining', String(Math.max(0, max - counter.count)));
+            res.set('RateLimit-Reset', String(secondsUntil(counter.resetAt)));
+
+            if (counter.count > max) {
+                return tooManyRequests(res, secondsUntil(counter.resetAt), message);
+            }
+        } catch (error) {
+            // Don't take the API down with the limiter
+            console.error('Rate limit error:', error);
+        }
+
+        next();
+    };
+}
+
+// Whole API, per IP
+const apiLimiter = limit('api', {
+    max: config.api.max,
+    windowSeconds: config.api.windowSeconds,
+    key: req => req.ip
+});
+
+// Endpoints that send email or create accounts, per IP
+const sensitiveLimiter = limit('sensitive', {
+    max: config.sensitive.max,
+    windowSeconds: config.sensitive.windowSeconds,
+    key: req => req.ip
+});
+
+// Hourly quota on creating one kind of content (config.quotas), per user.
+// Use after authenticateToken.
+function quota(kind) {
+    return limit(`quota:${kind}`, {
+        max: config.quotas[kind],
+        windowSeconds: 60 * 60,
+        key: req => req.user && req.user.userId,
+        message: `You've reached the limit of ${config.quotas[kind]} ${kind} per hour. Please try again later.`
+    });
+}
+
+// Account counters live under a scope, so other throttled checks (e.g.
+// two-factor codes, per user id) can't collide with sign-in names, which can
+// be any string with LDAP
+function accountKey(account, scope) {
+    return `${scope}:${String(account).trim().toLowerCase()}`;
+}
+
+// Call before checking credentials. Counts the attempt against the IP and
+// returns the seconds to wait if the IP or the account is blocked, else null.
+async function checkLogin(req, account, scope = 'login') {
+    if (!config.enabled) {
+        return null;
+    }
+
+    const { login } = config;
+    const attempts = await getStore().hit(`login:ip:${req.ip}`, login.ipWindowSeconds);
+    if (attempts.count > login.ipMax) {
+        return secondsUntil(attempts.resetAt);
+    }
+
+    const lock = await getStore().peek(`login:locked:${accountKey(account, scope)}`);
+    return lock ? secondsUntil(lock.resetAt) : null;
+}
+
+// Record a failed attempt; enough of them lock the account. The lock doubles
+// with each lockout in the same day.
+async function loginFailed(account, scope = 'login') {
+    if (!config.enabled) {
+        return;
+    }
+
+    const { login } = config;
+    const key = accountKey(account, scope);
+    const failures = await getStore().hit(`login:failures:${key}`, login.accountWindowSeconds);
+
+    if (failures.count >= login.accountMaxFailures) {
+        const lockouts = await getStore().hit(`login:lockouts:${key}`, 24 * 60 * 60);
+        const lockSeconds = Math.min(login.lockoutSeconds * 2 ** (lockouts.count - 1), login.maxLockoutSeconds);
+
+        await getStore().reset(`login:failures:${key}`);
+        await getStore().reset(`login:locked:${key}`);
+        await getStore().hit(`login:locked:${key}`, lockSeconds);
+    }
+}
+
+async function loginSucceeded(account, scope = 'login') {
+    if (!config.enabled) {
+        return;
+    }
+
+    await getStore().reset(`login:failures:${accountKey(account, scope)}`);
+}
+
+async function cleanup() {
+    await getStore().cleanup();
+}
+
+module.exports = {
+    registerStore,
+    tooManyRequests,
+    limit,
+    apiLimiter,
+    sensitiveLimiter,
+    quota,
+    checkLogin,
+    loginFailed,
+    loginSucceeded,
+    cleanup
+};
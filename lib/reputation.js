@@ -0,0 +1,298 @@
+const db = require('../config/database');
+const points = require('../config/reputation');
+
+// Per-team reputation. Every change is a row in reputation_events (the ledger)
+// and team_members.reputation caches base + SUM(points) for quick display.
+// Ledger rows mirror the current votes and accepted answers: undoing a vote or
+// an accept removes its rows, so rebuildReputation() reproduces the same ledger.
+// Votes on your own posts and accepting an answer to your own question earn nothing.
+
+const VOTE_EVENTS = ['upvote_received', 'downvote_received', 'downvote_given'];
+
+function eventPoints(eventType, postType) {
+    switch (eventType) {
+        case 'upvote_received':
+            return postType === 'question' ? points.questionUpvote : points.answerUpvote;
+        case 'downvote_received':
+            return points.downvoteReceived;
+        case 'downvote_given':
+            return points.downvoteGiven;
+        case 'answer_accepted':
+            return points.answerAccepted;
+        default:
+            return 0;
+    }
+}
+
+// Owner and team of a question or answer
+async function loadPostOwner(postType, postId) {
+    const [posts] = postType === 'question'
+        ? await db.query('SELECT user_id, team_id FROM questions WHERE id = ?', [postId])
+        : await db.query(
+            `SELECT a.user_id, q.team_id FROM answers a
+             JOIN questions q ON a.question_id = q.id
+             WHERE a.id = ?`,
+            [postId]
+        );
+
+    return posts[0] || null;
+}
+
+// Recompute the cached total for some (or all) members of a team
+async function refreshReputation(teamId, userIds = null) {
+    if (userIds && userIds.length === 0) {
+        return;
+    }
+
+    let query = `UPDATE team_members tm
+                 SET tm.reputation = ? + COALESCE((
+                     SELECT SUM(e.points) FROM reputation_events e
+                     WHERE e.team_id = tm.team_id AND e.user_id = tm.user_id
+                 ), 0)
+                 WHERE tm.team_id = ?`;
+    const params = [points.base, teamId];
+
+    if (userIds) {
+        query += ' AND tm.user_id IN (?)';
+        params.push(userIds);
+    }
+
+    await db.query(query, params);
+}
+
+// Insert ledger rows, skipping events configured to be worth nothing
+async function insertEvents(events) {
+    const rows = events
+        .filter(e => e.points !== 0)
+        .map(e => [e.teamId, e.userId, e.actorId, e.eventType, e.postType, e.postId, e.points]);
+
+    if (rows.length === 0) {
+        return;
+    }
+
+    await db.query(
+        `INSERT INTO reputation_events
+            (team_id, user_id, actor_id, event_type, post_type, post_id, points)
+         VALUES ?`,
+        [rows]
+    );
+
+    const byTeam = new Map();
+    for (const e of events) {
+        byTeam.set(e.teamId, [...(byTeam.get(e.teamId) || []), e.userId]);
+    }
+    for (const [teamId, userIds] of byTeam) {
+        await refreshReputation(teamId, userIds);
+    }
+}
+
+// Delete the ledger rows matching a WHERE clause and refresh whoever they affected
+async function deleteEvents(where, params) {
+    const [affected] = await db.query(
+        `SELECT DISTINCT team_id, user_id FROM reputation_events WHERE ${where}`,
+        params
+    );
+
+    if (affected.length === 0) {
+        return;
+    }
+
+    await db.query(`DELETE FROM reputation_events WHERE ${where}`, params);
+
+    for (const teamId of new Set(affected.map(a => a.team_id))) {
+        await refreshReputation(teamId, affected.filter(a => a.team_id === teamId).map(a => a.user_id));
+    }
+}
+
+// Record the reputation for a vote that was just cast
+async function applyVote({ votableType, votableId, voterId, voteType }) {
+    const post = await loadPostOwner(votableType, votableId);
+    if (!post || post.user_id === voterId) {
+        return;
+    }
+
+    const base = { teamId: post.team_id, actorId: voterId, postType: votableType, postId: votableId };
+    const events = voteType === 'up'
+        ? [{ ...base, userId: post.user_id, eventType: 'upvote_received' }]
+        : [
+            { ...base, userId: post.user_id, eventType: 'downvote_received' },
+            { ...base, userId: voterId, eventType: 'downvote_given' }
+        ];
+
+    await insertEvents(events.map(e => ({ ...e, points: eventPoints(e.eventType, votableType) })));
+}
+
+// Undo the reputation for a vote that was removed or is about to change
+async function revokeVote({ votableType, votableId, voterId }) {
+    await deleteEvents(
+        'post_type = ? AND post_id = ? AND actor_id = ? AND event_type IN (?)',
+        [votableType, votableId, voterId, VOTE_EVENTS]
+    );
+}
+
+// Award the accepted answer's author, replacing any earlier accept on the same question
+async function applyAccept({ answerId, actorId }) {
+    const [answers] = await db.query(
+        `SELECT a.user_id, a.question_id, q.team_id, q.user_id as question_owner_id
+         FROM answers a
+         JOIN questions q ON a.question_id = q.id
+         WHERE a.id = ?`,
+        [answerId]
+    );
+
+    if (answers.length === 0) {
+        return;
+    }
+
+    const answer = answers[0];
+
+    await deleteEvents(
+        `post_type = 'answer' AND event_type = 'answer_accepted'
+         AND post_id IN (SELECT id FROM answers WHERE question_id = ?)`,
+        [answer.question_id]
+    );
+
+    if (answer.user_id === answer.question_owner_id) {
+        return;
+    }
+
+    await insertEvents([{
+        teamId: answer.team_id,
+        userId: answer.user_id,
+        actorId,
+        eventType: 'answer_accepted',
+        postType: 'answer',
+        postId: answerId,
+        points: eventPoints('answer_accepted', 'answer')
+    }]);
+}
+
+async function revokeAccept(answerId) {
+    await deleteEvents(
+        `post_type = 'answer' AND post_id = ? AND event_type = 'answer_accepted'`,
+        [answerId]
+    );
+}
+
+// Drop all reputation earned through posts that are being deleted
+async function deletePostReputation(postType, postIds) {
+    if (postIds.length === 0) {
+        return;
+    }
+
+    await deleteEvents('post_type = ? AND post_id IN (?)', [postType, postIds]);
+}
+
+// FROM clause exposing each kind of post as p and its question as q
+const POST_SOURCES = {
+    question: 'questions p JOIN questions q ON q.id = p.id',
+    answer: 'answers p JOIN questions q ON q.id = p.question_id'
+};
+
+// Insert the ledger rows earned by the votes on (and, for answers, the accept
+// of) live posts of one type matching filter, a condition on p and q.
+// Deleted posts (see lib/trash) earn nothing.
+async function insertPostEvents(connection, postType, filter, params) {
+    const source = POST_SOURCES[postType];
+    const live = 'p.deleted_at IS NULL AND q.deleted_at IS NULL';
+
+    const voteRules = [
+        ['upvote_received', 'up', 'p.user_id'],
+        ['downvote_received', 'down', 'p.user_id'],
+        ['downvote_given', 'down', 'v.user_id']
+    ];
+
+    for (const [eventType, voteType, recipient] of voteRules) {
+        const eventValue = eventPoints(eventType, postType);
+        if (eventValue === 0) {
+            continue;
+        }
+
+        await connection.query(
+            `INSERT INTO reputation_events
+                (team_id, user_id, actor_id, event_type, post_type, post_id, points, created_at)
+             SELECT q.team_id, ${recipient}, v.user_id, ?, ?, p.id, ?, v.created_at
+             FROM votes v
+             JOIN ${source}
+             WHERE v.votable_type = ? AND v.votable_id = p.id
+               AND v.vote_type = ? AND v.user_id != p.user_id AND ${live} AND ${filter}`,
+            [eventType, postType, eventValue, postType, voteType, ...params]
+        );
+    }
+
+    // Who accepted an answer isn't stored, so rebuilt accept rows have no actor
+    if (postType === 'answer' && points.answerAccepted !== 0) {
+        await connection.query(
+            `INSERT INTO reputation_events
+                (team_id, user_id, actor_id, event_type, post_type, post_id, points, created_at)
+             SELECT q.team_id, p.user_id, NULL, 'answer_accepted', 'answer', p.id, ?, p.updated_at
+             FROM ${source}
+             WHERE p.is_accepted = 1 AND p.user_id != q.user_id AND ${live} AND ${filter}`,
+            [points.answerAccepted, ...params]
+        );
+    }
+}
+
+// Give back the reputation of restored posts, from their votes and accept
+async function restorePostReputation(postType, postIds) {
+    if (postIds.length === 0) {
+        return;
+    }
+
+    await insertPostEvents(db, postType, 'p.id IN (?)', [postIds]);
+
+    const [teams] = await db.query(
+        `SELECT DISTINCT q.team_id FROM ${POST_SOURCES[postType]} WHERE p.id IN (?)`,
+        [postIds]
+    );
+    for (const team of teams) {
+        await refreshReputation(team.team_id);
+    }
+}
+
+// Rebuild the ledger from votes and accepted answers, for one team or all of
+// them, then recompute every member's total. Runs in a single transaction.
+async function rebuildReputation(teamId = null) {
+    const teamParams = teamId ? [teamId] : [];
+
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        await connection.query(
+            `DELETE FROM reputation_events${teamId ? ' WHERE team_id = ?' : ''}`,
+            teamParams
+        );
+
+        for (const postType of Object.keys(POST_SOURCES)) {
+            await insertPostEvents(connection, postType, teamId ? 'q.team_id = ?' : 'TRUE', teamParams);
+        }
+
+        await connection.query(
+            `UPDATE team_members tm
+             SET tm.reputation = ? + COALESCE((
+                 SELECT SUM(e.points) FROM reputation_events e
+                 WHERE e.team_id = tm.team_id AND e.user_id = tm.user_id
+             ), 0)${teamId ? ' WHERE tm.team_id = ?' : ''}`,
+            [points.base, ...teamParams]
+        );
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+module.exports = {
+    applyVote,
+    revokeVote,
+    applyAccept,
+    revokeAccept,
+    deletePostReputation,
+    restorePostReputation,
+    refreshReputation,
+    rebuildReputation
+};
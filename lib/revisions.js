@@ -0,0 +1,212 @@
+const db = require('../config/database');
+
+// Revision history for questions and answers. Each revision is a full snapshot
+// of the post (title and tags are only set for questions) taken right after
+// it was created or edited, so revision 1 is always the original text.
+
+// Load the current content of a post (null if it's missing or deleted)
+async function loadPostSnapshot(postType, postId) {
+    if (postType === 'question') {
+        const [questions] = await db.query(
+            'SELECT id, user_id, team_id, title, body, created_at FROM questions WHERE id = ? AND deleted_at IS NULL',
+            [postId]
+        );
+
+        if (questions.length === 0) {
+            return null;
+        }
+
+        const [tags] = await db.query(
+            `SELECT t.name FROM tags t
+             JOIN question_tags qt ON t.id = qt.tag_id
+             WHERE qt.question_id = ?
+             ORDER BY t.name`,
+            [postId]
+        );
+
+        return { ...questions[0], tags: tags.map(t => t.name) };
+    }
+
+    const [answers] = await db.query(
+        `SELECT a.id, a.user_id, a.question_id, q.team_id, a.body, a.created_at
+         FROM answers a
+         JOIN questions q ON a.question_id = q.id
+         WHERE a.id = ? AND a.deleted_at IS NULL AND q.deleted_at IS NULL`,
+        [postId]
+    );
+
+    if (answers.length === 0) {
+        return null;
+    }
+
+    return { ...answers[0], title: null, tags: null };
+}
+
+// Errors from two revisions of the same post being inserted at once
+const RETRYABLE_ERRORS = ['ER_DUP_ENTRY', 'ER_LOCK_DEADLOCK'];
+const MAX_INSERT_ATTEMPTS = 3;
+
+// Insert a revision for a post from its current content. The number is the
+// next one after the latest, unless revisionNumber is given. Two edits at once
+// can pick the same number, so a collision is retried; with a fixed number it
+// means the revision already exists, and nothing is inserted.
+async function insertRevision(postType, postId, snapshot, userId, editSummary, { revisionNumber = null, createdAt = null } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await db.query(
+                `INSERT INTO post_revisions
+                    (post_type, post_id, revision_number, user_id, title, body, tags, edit_summary, created_at)
+                 SELECT ?, ?, COALESCE(?, COALESCE(MAX(revision_number), 0) + 1), ?, ?, ?, ?, ?,
+                        COALESCE(?, CURRENT_TIMESTAMP)
+                 FROM post_revisions
+                 WHERE post_type = ? AND post_id = ?`,
+                [
+                    postType,
+                    postId,
+                    revisionNumber,
+                    userId,
+                    snapshot.title,
+                    snapshot.body,
+                    snapshot.tags ? JSON.stringify(snapshot.tags) : null,
+                    editSummary || null,
+                    createdAt,
+                    postType,
+                    postId
+                ]
+            );
+            return;
+        } catch (error) {
+            if (!RETRYABLE_ERRORS.includes(error.code)) {
+                throw error;
+            }
+            if (revisionNumber && error.code === 'ER_DUP_ENTRY') {
+                return;
+            }
+            if (attempt >= MAX_INSERT_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+}
+
+// Record a revision after a post was created or edited
+async function recordRevision({ postType, postId, userId, editSummary }) {
+    const snapshot = await loadPostSnapshot(postType, postId);
+    if (!snapshot) {
+        return;
+    }
+
+    await insertRevision(postType, postId, snapshot, userId, editSummary);
+}
+
+// Posts get revision 1 when they're created (and older posts when the
+// database is initialized), but call this before applying an edit anyway so
+// the original text is never lost.
+async function ensureInitialRevision(postType, postId) {
+    const [existing] = await db.query(
+        'SELECT 1 FROM post_revisions WHERE post_type = ? AND post_id = ? LIMIT 1',
+        [postType, postId]
+    );
+
+    if (existing.length > 0) {
+        return;
+    }
+
+    const snapshot = await loadPostSnapshot(postType, postId);
+    if (!snapshot) {
+        return;
+    }
+
+    await insertRevision(postType, postId, snapshot, snapshot.user_id, null, {
+        revisionNumber: 1,
+        createdAt: snapshot.created_at
+    });
+}
+
+// Remove the history of posts that are being deleted
+async function deleteRevisions(postType, postIds) {
+    if (postIds.length === 0) {
+        return;
+    }
+
+    await db.query(
+        'DELETE FROM post_revisions WHERE post_type = ? AND post_id IN (?)',
+        [postType, postIds]
+    );
+}
+
+// Past this many cells (changed lines before x changed lines after) the LCS
+// table would take too much memory and time; a body can be all newlines
+const MAX_DIFF_CELLS = 4000000;
+
+// Line-level diff using the longest common subsequence of lines.
+// Returns [{ type: 'equal' | 'added' | 'removed', line }], or null if the
+// texts are too large to diff.
+function diffLines(oldText, newText) {
+    const oldLines = (oldText || '').split('\n');
+    const newLines = (newText || '').split('\n');
+
+    // Unchanged lines at the start and end don't need the table
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const a = oldLines.slice(prefix, oldLines.length - suffix);
+    const b = newLines.slice(prefix, newLines.length - suffix);
+
+    if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+        return null;
+    }
+
+    // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const changes = oldLines.slice(0, prefix).map(line => ({ type: 'equal', line }));
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            changes.push({ type: 'equal', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            changes.push({ type: 'removed', line: a[i] });
+            i++;
+        } else {
+            changes.push({ type: 'added', line: b[j] });
+            j++;
+        }
+    }
+    while (i < a.length) {
+        changes.push({ type: 'removed', line: a[i++] });
+    }
+    while (j < b.length) {
+        changes.push({ type: 'added', line: b[j++] });
+    }
+    for (const line of oldLines.slice(oldLines.length - suffix)) {
+        changes.push({ type: 'equal', line });
+    }
+
+    return changes;
+}
+
+module.exports = {
+    loadPostSnapshot,
+    recordRevision,
+    ensureInitialRevision,
+    deleteRevisions,
+    diffLines
+};
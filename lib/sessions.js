@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+// Sign-in sessions. Signing in creates a row in sessions and hands out two
+// tokens: a short-lived JWT access token naming the session, and a random
+// refresh token stored (hashed) on the session. Each refresh rotates the
+// refresh token; presenting a rotated-out token again means it was copied,
+// so the whole session is revoked. Revoking a session stops its access
+// tokens straight away (verifyToken checks the session on every request).
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// Refresh cookie is only sent to the auth routes that need it
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function cookieOptions(extra = {}) {
+    return {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        ...extra
+    };
+}
+
+// Short description of the browser and OS from a User-Agent header
+function describeDevice(userAgent) {
+    if (!userAgent) {
+        return 'Unknown device';
+    }
+
+    const browsers = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//],
+        ['curl', /^curl\//]
+    ];
+    const systems = [
+        ['Windows', /Windows/],
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad/],
+        ['macOS', /Mac OS X/],
+        ['Linux', /Linux/]
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) {
+        return 'Unknown device';
+    }
+    return [browser ? browser[0] : 'Browser', system ? `on ${system[0]}` : null].filter(Boolean).join(' ');
+}
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { userId: user.id, email: user.email, tokenVersion: user.token_version || 0, sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+}
+
+// Set both cookies and return the tokens for API clients
+function issueTokens(res, user, sessionId, refreshToken) {
+    const token = signAccessToken(user, sessionId);
+
+    res.cookie('token', token, cookieOptions({ maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000 }));
+    res.cookie('refresh_token', refreshToken, cookieOptions({
+        path: REFRESH_COOKIE_PATH,
+        maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    }));
+
+    return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+}
+
+function clearTokens(res) {
+    res.clearCookie('token', cookieOptions());
+    res.clearCookie('refresh_token', cookieOptions({ path: REFRESH_COOKIE_PATH }));
+}
+
+// Start a session for a user who just signed in. user needs id, email and
+// token_version. twoFactor records that the sign-in passed two-factor (or
+// single sign-on), for teams that require it.
+async function createSession(req, res, user, { twoFactor = false } = {}) {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+
+    const [result] = await db.query(
+        `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, two_factor, expires_at)
+         VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+        [user.id, hashToken(refreshToken), (req.get('user-agent') || '').slice(0, 500), req.ip, twoFactor,
+            REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    // Old sessions are only kept around for a while after they end
+    await db.query(
+        `DELETE FROM sessions
+         WHERE user_id = ? AND (revoked_at < NOW() - INTERVAL 30 DAY OR expires_at < NOW() - INTERVAL 30 DAY)`,
+        [user.id]
+    );
+
+    return issueTokens(res, user, result.insertId, refreshToken);
+}
+
+// Exchange a refresh token for new tokens. Returns null if the token isn't
+// valid (unknown, expired, revoked or reused).
+async function refreshSession(req, res, refreshToken) {
+    const tokenHash = hashToken(refreshToken);
+
+    const [sessions] = await db.query(
+        `SELECT s.id, s.refresh_token_hash, s.revoked_at, s.expires_at < NOW() as expired,
+                u.id as user_id, u.email, u.token_version
+         FROM sessions s
+         JOIN users u ON s.user_id = u.id
+         WHERE s.refresh_token_hash = ? OR s.previous_token_hash = ?`,
+        [tokenHash, tokenHash]
+    );
+
+    if (sessions.length === 0) {
+        return null;
+    }
+
+    const session = sessions[0];
+
+    if (session.refresh_token_hash !== tokenHash) {
+        // A rotated-out token came back: someone else has a copy of it
+        await revokeSession(session.id);
+        return null;
+    }
+
+    if (session.revoked_at || session.expired) {
+        return null;
+    }
+
+    const newRefreshToken = crypto.randomBytes(32).toString('hex');
+
+    // Rotate, unless a concurrent refresh already did
+    const [rotated] = await db.query(
+        `UPDATE sessions
+         SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?,
+             last_used_at = CURRENT_TIMESTAMP, ip_address = ?
+         WHERE id = ? AND refresh_token_hash = ?`,
+        [hashToken(newRefreshToken), req.ip, session.id, tokenHash]
+    );
+
+    if (rotated.affectedRows === 0) {
+        return null;
+    }
+
+    const user = { id: session.user_id, email: session.email, token_version: session.token_version };
+    return issueTokens(res, user, session.id, newRefreshToken);
+}
+
+// Session id behind a refresh token, if any (for logout)
+async function findSessionId(refreshToken) {
+    const [sessions] = await db.query(
+        'SELECT id FROM sessions WHERE refresh_token_hash = ?',
+        [hashToken(refreshToken)]
+    );
+    return sessions.length > 0 ? sessions[0].id : null;
+}
+
+async function revokeSession(sessionId, userId = null) {
+    const [result] = await db.query(
+        `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND revoked_at IS NULL${userId ? ' AND user_id = ?' : ''}`,
+        userId ? [sessionId, userId] : [sessionId]
+    );
+    return result.affectedRows > 0;
+}
+
+// Record that a session has passed two-factor (e.g. right after enrolling)
+async function markTwoFactor(sessionId) {
+    await db.query('UPDATE sessions SET two_factor = TRUE WHERE id = ?', [sessionId]);
+}
+
+// Sign a user out everywhere. Returns how many sessions were ended.
+async function revokeUserSessions(userId) {
+    const [result] = await db.query(
+        'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+        [userId]
+    );
+    return result.affectedRows;
+}
+
+// A user's active sessions, most recently used first
+async function listSessions(userId) {
+    const [sessions] = await db.query(
+        `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY last_used_at DESC`,
+        [userId]
+    );
+
+    return sessions.map(session => ({
+        ...session,
+        device: describeDevice(session.user_agent)
+    }));
+}
+
+module.exports = {
+    createSession,
+    refreshSession,
+    findSessionId,
+    revokeSession,
+    markTwoFactor,
+    revokeUserSessions,
+    listSessions,
+    clearTokens
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const db = require('../config/database');
+const { recordAudit } = require('./audit');
+
+// Accounts and team membership for people who sign in through an external
+// identity provider (OpenID Connect or LDAP). An external account is linked
+// to a KnowHow user in user_identities, matched by email the first time.
+// Teams can opt in to membership rules (teams.sso_*): users whose email
+// domain or groups match are added to the team, members of the team's admin
+// group are made admins, and both are undone when they stop matching.
+
+// Find the KnowHow user for an external account, linking or creating one by
+// email. The caller must have checked that the email belongs to the person.
+async function findOrCreateUser({ issuer, subject, email, firstName, lastName }) {
+    const [identities] = await db.query(
+        `SELECT u.* FROM user_identities ui
+         JOIN users u ON ui.user_id = u.id
+         WHERE ui.issuer = ? AND ui.subject = ?`,
+        [issuer, subject]
+    );
+
+    if (identities.length > 0) {
+        return identities[0];
+    }
+
+    email = email.toLowerCase();
+
+    const [existing] = await db.query('SELECT * FROM users WHERE LOWER(email) = ?', [email]);
+    let user = existing[0];
+
+    if (!user) {
+        // External users get an unusable password; they can set one with "forgot password"
+        const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+        const [result] = await db.query(
+            'INSERT INTO users (email, password_hash, first_name, last_name) VALUES (?, ?, ?, ?)',
+            [email, passwordHash, firstName || email.split('@')[0], lastName || '']
+        );
+
+        const [created] = await db.query('SELECT * FROM users WHERE id = ?', [result.insertId]);
+        user = created[0];
+    }
+
+    await db.query(
+        'INSERT IGNORE INTO user_identities (user_id, issuer, subject) VALUES (?, ?, ?)',
+        [user.id, issuer, subject]
+    );
+
+    return user;
+}
+
+// Is anyone other than userId an admin of the team?
+async function hasOtherAdmin(teamId, userId) {
+    const [admins] = await db.query(
+        `SELECT 1 FROM team_members
+         WHERE team_id = ? AND role = 'admin' AND user_id != ?
+         LIMIT 1`,
+        [teamId, userId]
+    );
+    return admins.length > 0;
+}
+
+// Sync the user's membership of every team with rules: add them to teams
+// whose rules match, make members of a team's admin group admins, and demote
+// or remove them once they no longer match. Memberships the rules created
+// (sso_managed) are demoted or removed; people added by hand stay, and if the
+// admin group promoted them they get their earlier role (sso_prior_role) back.
+// A team's last admin is never demoted or removed. Changes are recorded in
+// the audit log as made by the member signing in.
+async function applyTeamMappings(user, groups) {
+    const [teams] = await db.query(
+        `SELECT id, sso_domains, sso_group, sso_admin_group FROM teams
+         WHERE sso_domains IS NOT NULL OR sso_group IS NOT NULL OR sso_admin_group IS NOT NULL`
+    );
+
+    const domain = user.email.split('@')[1].toLowerCase();
+    const auditContext = { user: { userId: user.id } };
+
+    for (const team of teams) {
+        const domains = (team.sso_domains || '').split(',').map(d => d.trim().toLowerCase()).filter(Boolean);
+        const isAdmin = !!team.sso_admin_group && groups.includes(team.sso_admin_group);
+        const matches = isAdmin || domains.includes(domain) || (!!team.sso_group && groups.includes(team.sso_group));
+
+        const [memberships] = await db.query(
+            `SELECT role, custom_role_id, sso_managed, sso_prior_role, sso_prior_custom_role_id
+             FROM team_members WHERE user_id = ? AND team_id = ?`,
+            [user.id, team.id]
+        );
+        const membership = memberships[0];
+
+        const audit = (action, before, after) => recordAudit(auditContext, {
+            teamId: team.id,
+            action,
+            targetType: 'user',
+            targetId: user.id,
+            before,
+            after: after && { ...after, source: 'sso' }
+        });
+
+        if (!membership) {
+            if (matches) {
+                const role = isAdmin ? 'admin' : 'member';
+                await db.query(
+                    'INSERT INTO team_members (user_id, team_id, role, sso_managed) VALUES (?, ?, ?, TRUE)',
+                    [user.id, team.id, role]
+                );
+                await audit('member.added', null, { role });
+            }
+            continue;
+        }
+
+        const before = { role: membership.role, customRoleId: membership.custom_role_id };
+
+        if (isAdmin && membership.role !== 'admin') {
+            // Someone added by hand keeps the role to go back to
+            const handAdded = !membership.sso_managed;
+            await db.query(
+                `UPDATE team_members
+                 SET role = 'admin', custom_role_id = NULL, sso_prior_role = ?, sso_prior_custom_role_id = ?
+                 WHERE user_id = ? AND team_id = ?`,
+                [
+                    handAdded ? membership.role : null,
+                    handAdded ? membership.custom_role_id : null,
+                    user.id,
+                    team.id
+                ]
+            );
+            await audit('member.role_changed', before, { role: 'admin', customRoleId: null });
+            continue;
+        }
+
+        const promotedOnly = !membership.sso_managed && !!membership.sso_prior_role;
+        if (isAdmin || (!membership.sso_managed && !promotedOnly)) {
+            continue;
+        }
+
+        if (membership.role === 'admin' && !(await hasOtherAdmin(team.id, user.id))) {
+            console.warn(`SSO rules no longer match user ${user.id}, but they're the last admin of team ${team.id}`);
+            continue;
+        }
+
+        if (promotedOnly) {
+            let role = membership.sso_prior_role;
+            let customRoleId = membership.sso_prior_custom_role_id;
+
+            // The custom role may have been deleted since
+            if (role === 'custom') {
+                const [roles] = await db.query(
+                    'SELECT id FROM team_roles WHERE id = ? AND team_id = ?',
+                    [customRoleId, team.id]
+                );
+                if (roles.length === 0) {
+                    role = 'member';
+                    customRoleId = null;
+                }
+            }
+
+            await db.query(
+                `UPDATE team_members
+                 SET role = ?, custom_role_id = ?, sso_prior_role = NULL, sso_prior_custom_role_id = NULL
+                 WHERE user_id = ? AND team_id = ?`,
+                [role, role === 'custom' ? customRoleId : null, user.id, team.id]
+            );
+            await audit('member.role_changed', before, { role, customRoleId: role === 'custom' ? customRoleId : null });
+        } else if (!matches) {
+            await db.query('DELETE FROM team_members WHERE user_id = ? AND team_id = ?', [user.id, team.id]);
+            await audit('member.removed', before, {});
+        } else if (membership.role === 'admin') {
+            await db.query(
+                `UPDATE team_members SET role = 'member' WHERE user_id = ? AND team_id = ?`,
+                [user.id, team.id]
+            );
+            await audit('member.role_changed', before, { role: 'member', customRoleId: null });
+        }
+    }
+}
+
+module.exports = {
+    findOrCreateUser,
+    applyTeamMappings
+};
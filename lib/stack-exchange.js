@@ -0,0 +1,436 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const TurndownService = require('turndown');
+const db = require('../config/database');
+const { rebuildReputation } = require('./reputation');
+const { checkBadges } = require('./badges');
+
+// Import a Stack Exchange data dump (as exported by Stack Exchange sites and
+// Stack Overflow for Teams) into an existing team. A dump is a directory of
+// XML files with one <row ... /> element per record; Posts.xml is required,
+// Users.xml, Comments.xml, Votes.xml and Tags.xml are used when present.
+//
+// Questions and answers keep their scores, creation dates and accepted
+// answers, and their HTML bodies are converted to Markdown. Authors are
+// matched to accounts by email when the dump has one (public dumps don't).
+// Everyone else gets a placeholder account with an unusable password, under
+// their email when there is one so they can claim it with "forgot password".
+// Votes and favorites only come across when the dump says who cast them.
+
+// Posts.PostTypeId values we import
+const POST_TYPES = { question: '1', answer: '2', tagWikiExcerpt: '4' };
+
+// Votes.VoteTypeId values we import
+const VOTE_TYPES = { '2': 'up', '3': 'down' };
+const FAVORITE_VOTE_TYPE = '5';
+
+// Placeholder accounts use a reserved domain so they never match real mail
+const PLACEHOLDER_DOMAIN = 'stackexchange.invalid';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10));
+        }
+        return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+    });
+}
+
+// Stream the <row> elements of a dump file as attribute objects. Attribute
+// values are escaped in the dump, so a row never contains a raw '>'. Yields
+// nothing when the file doesn't exist.
+async function* readRows(file) {
+    if (!fs.existsSync(file)) {
+        return;
+    }
+
+    let buffer = '';
+    for await (const chunk of fs.createReadStream(file, { encoding: 'utf8' })) {
+        buffer += chunk;
+
+        const rowPattern = /<row\s([^>]*?)\/>/g;
+        let match;
+        let consumed = 0;
+        while ((match = rowPattern.exec(buffer)) !== null) {
+            const row = {};
+            for (const [, name, value] of match[1].matchAll(/(\w+)="([^"]*)"/g)) {
+                row[name] = decodeEntities(value);
+            }
+            consumed = rowPattern.lastIndex;
+            yield row;
+        }
+
+        buffer = buffer.slice(consumed);
+    }
+}
+
+// Dump dates are UTC without a zone, e.g. 2008-07-31T21:42:52.667
+function parseDate(value) {
+    return value ? new Date(value.endsWith('Z') ? value : `${value}Z`) : null;
+}
+
+// Tags are "<a><b>" in older dumps and "|a|b|" in newer ones
+function parseTags(value) {
+    if (!value) {
+        return [];
+    }
+    const names = value.includes('<')
+        ? [...value.matchAll(/<([^>]+)>/g)].map(m => m[1])
+        : value.split('|');
+    return [...new Set(names.map(name => name.trim().toLowerCase()).filter(Boolean))];
+}
+
+const turndown = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-',
+    emDelimiter: '*'
+});
+
+function htmlToMarkdown(html) {
+    return html ? turndown.turndown(html).trim() : '';
+}
+
+function splitName(displayName) {
+    const parts = (displayName || '').trim().split(/\s+/).filter(Boolean);
+    return { firstName: parts[0] || 'Unknown', lastName: parts.slice(1).join(' ') };
+}
+
+// Import the dump in dir into the team with teamId, in one transaction so a
+// bad row leaves the team untouched. Only into a team without questions, so
+// it can't run twice. Returns counts of what was imported and of the accounts
+// matched and created.
+async function importStackExchange(dir, teamId) {
+    const [teams] = await db.query('SELECT id, slug FROM teams WHERE id = ?', [teamId]);
+    if (teams.length === 0) {
+        throw new Error(`No team with id ${teamId}`);
+    }
+
+    const postsFile = path.join(dir, 'Posts.xml');
+    if (!fs.existsSync(postsFile)) {
+        throw new Error(`No Posts.xml in ${dir}`);
+    }
+
+    const connection = await db.getConnection();
+    let summary;
+    try {
+        await connection.beginTransaction();
+
+        const [existing] = await connection.query(
+            'SELECT COUNT(*) as count FROM questions WHERE team_id = ?',
+            [teamId]
+        );
+        if (existing[0].count > 0) {
+            throw new Error(`Team ${teamId} already has questions; import into an empty team`);
+        }
+
+        summary = await importRows(connection, dir, teams[0]);
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    await rebuildReputation(teamId);
+    await checkBadges({ teamId });
+
+    return summary;
+}
+
+// The inserts for importStackExchange, all on connection
+async function importRows(connection, dir, team) {
+    const teamId = team.id;
+    const postsFile = path.join(dir, 'Posts.xml');
+
+    const summary = {
+        questions: 0,
+        answers: 0,
+        comments: 0,
+        votes: 0,
+        bookmarks: 0,
+        tags: 0,
+        usersMatched: 0,
+        usersCreated: 0,
+        skipped: 0
+    };
+
+    // Dump user id -> profile, and the KnowHow ids resolved so far
+    const dumpUsers = new Map();
+    for await (const row of readRows(path.join(dir, 'Users.xml'))) {
+        dumpUsers.set(row.Id, row);
+    }
+    const userIds = new Map();
+    const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    // The KnowHow user for a dump user id (or, for deleted users, just a
+    // display name), creating a placeholder and team membership as needed
+    async function resolveUser(dumpUserId, displayName) {
+        const key = dumpUserId ? `id:${dumpUserId}` : `name:${(displayName || '').trim().toLowerCase()}`;
+        if (userIds.has(key)) {
+            return userIds.get(key);
+        }
+
+        const profile = dumpUserId ? dumpUsers.get(dumpUserId) : null;
+        let userId = null;
+
+        if (profile && profile.Email) {
+            const [existing] = await connection.query('SELECT id FROM users WHERE LOWER(email) = ?', [profile.Email.toLowerCase()]);
+            if (existing.length > 0) {
+                userId = existing[0].id;
+                summary.usersMatched++;
+            }
+        }
+
+        if (!userId) {
+            const name = (profile && profile.DisplayName) || displayName || 'Deleted user';
+            const localPart = dumpUserId
+                ? `user-${dumpUserId}`
+                : `name-${crypto.createHash('sha1').update(key).digest('hex').slice(0, 12)}`;
+            const email = (profile && profile.Email) || `${team.slug}-${localPart}@${PLACEHOLDER_DOMAIN}`;
+
+            const [existing] = await connection.query('SELECT id FROM users WHERE LOWER(email) = ?', [email.toLowerCase()]);
+            if (existing.length > 0) {
+                userId = existing[0].id;
+                summary.usersMatched++;
+            } else {
+                const { firstName, lastName } = splitName(name);
+                const [result] = await connection.query(
+                    `INSERT INTO users (email, password_hash, first_name, last_name, bio, location, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        email.toLowerCase(),
+                        passwordHash,
+                        firstName.slice(0, 100),
+                        lastName.slice(0, 100),
+                        profile && profile.AboutMe ? htmlToMarkdown(profile.AboutMe) : null,
+                        profile && profile.Location ? profile.Location.slice(0, 200) : null,
+                        (profile && parseDate(profile.CreationDate)) || new Date()
+                    ]
+                );
+                userId = result.insertId;
+                summary.usersCreated++;
+            }
+        }
+
+        await connection.query(
+            `INSERT IGNORE INTO team_members (user_id, team_id, role, joined_at)
+             VALUES (?, ?, 'member', ?)`,
+            [userId, teamId, (profile && parseDate(profile.CreationDate)) || new Date()]
+        );
+
+        userIds.set(key, userId);
+        return userId;
+    }
+
+    // Tags, and which posts hold their wiki excerpts
+    const tagIds = new Map();
+    const excerptTags = new Map();
+
+    async function resolveTag(name) {
+        if (tagIds.has(name)) {
+            return tagIds.get(name);
+        }
+
+        const [existing] = await connection.query('SELECT id FROM tags WHERE team_id = ? AND name = ?', [teamId, name]);
+        let tagId;
+        if (existing.length > 0) {
+            tagId = existing[0].id;
+        } else {
+            const [result] = await connection.query('INSERT INTO tags (team_id, name) VALUES (?, ?)', [teamId, name]);
+            tagId = result.insertId;
+            summary.tags++;
+        }
+
+        tagIds.set(name, tagId);
+        return tagId;
+    }
+
+    for await (const row of readRows(path.join(dir, 'Tags.xml'))) {
+        const name = row.TagName.trim().toLowerCase().slice(0, 50);
+        await resolveTag(name);
+        if (row.ExcerptPostId) {
+            excerptTags.set(row.ExcerptPostId, name);
+        }
+    }
+
+    // Dump post id -> KnowHow id
+    const questionIds = new Map();
+    const answerIds = new Map();
+    const acceptedAnswers = new Set();
+    const orphanAnswers = [];
+
+    async function insertAnswer(row) {
+        const questionId = questionIds.get(row.ParentId);
+        if (!questionId) {
+            summary.skipped++;
+            return;
+        }
+
+        const created = parseDate(row.CreationDate);
+        const [result] = await connection.query(
+            `INSERT INTO answers (question_id, user_id, body, score, is_accepted, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                questionId,
+                await resolveUser(row.OwnerUserId, row.OwnerDisplayName),
+                htmlToMarkdown(row.Body),
+                parseInt(row.Score) || 0,
+                acceptedAnswers.has(row.Id),
+                created,
+                parseDate(row.LastEditDate) || created
+            ]
+        );
+        answerIds.set(row.Id, result.insertId);
+        summary.answers++;
+    }
+
+    for await (const row of readRows(postsFile)) {
+        if (row.PostTypeId === POST_TYPES.question) {
+            const created = parseDate(row.CreationDate);
+            const closed = parseDate(row.ClosedDate);
+
+            const [result] = await connection.query(
+                `INSERT INTO questions
+                    (team_id, user_id, title, body, view_count, score, is_closed, closed_at,
+                     created_at, updated_at, last_activity_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    teamId,
+                    await resolveUser(row.OwnerUserId, row.OwnerDisplayName),
+                    (row.Title || 'Untitled').slice(0, 500),
+                    htmlToMarkdown(row.Body),
+                    parseInt(row.ViewCount) || 0,
+                    parseInt(row.Score) || 0,
+                    !!closed,
+                    closed,
+                    created,
+                    parseDate(row.LastEditDate) || created,
+                    parseDate(row.LastActivityDate) || created
+                ]
+            );
+            questionIds.set(row.Id, result.insertId);
+            summary.questions++;
+
+            if (row.AcceptedAnswerId) {
+                acceptedAnswers.add(row.AcceptedAnswerId);
+            }
+
+            const tags = [];
+            for (const name of parseTags(row.Tags)) {
+                tags.push(await resolveTag(name.slice(0, 50)));
+            }
+            if (tags.length > 0) {
+                await connection.query(
+                    'INSERT IGNORE INTO question_tags (question_id, tag_id) VALUES ?',
+                    [tags.map(tagId => [result.insertId, tagId])]
+                );
+            }
+        } else if (row.PostTypeId === POST_TYPES.answer) {
+            // Answers normally follow their question; keep the rest for later
+            if (questionIds.has(row.ParentId)) {
+                await insertAnswer(row);
+            } else {
+                orphanAnswers.push(row);
+            }
+        } else if (row.PostTypeId === POST_TYPES.tagWikiExcerpt && excerptTags.has(row.Id)) {
+            await connection.query(
+                'UPDATE tags SET description = ? WHERE team_id = ? AND name = ?',
+                [htmlToMarkdown(row.Body) || null, teamId, excerptTags.get(row.Id)]
+            );
+        }
+    }
+
+    for (const row of orphanAnswers) {
+        await insertAnswer(row);
+    }
+
+    for await (const row of readRows(path.join(dir, 'Comments.xml'))) {
+        const parentType = questionIds.has(row.PostId) ? 'question' : answerIds.has(row.PostId) ? 'answer' : null;
+        if (!parentType) {
+            summary.skipped++;
+            continue;
+        }
+        if (!row.Text) {
+            continue;
+        }
+
+        // Comment text is already Markdown
+        const created = parseDate(row.CreationDate);
+        await connection.query(
+            `INSERT INTO comments (parent_type, parent_id, user_id, body, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+                parentType,
+                (parentType === 'question' ? questionIds : answerIds).get(row.PostId),
+                await resolveUser(row.UserId, row.UserDisplayName),
+                row.Text,
+                created,
+                created
+            ]
+        );
+        summary.comments++;
+    }
+
+    // Scores already come from Posts.xml, so votes don't change them
+    for await (const row of readRows(path.join(dir, 'Votes.xml'))) {
+        const votableType = questionIds.has(row.PostId) ? 'question' : answerIds.has(row.PostId) ? 'answer' : null;
+        if (!row.UserId || !votableType) {
+            continue;
+        }
+
+        const votableId = (votableType === 'question' ? questionIds : answerIds).get(row.PostId);
+        const created = parseDate(row.CreationDate) || new Date();
+
+        if (VOTE_TYPES[row.VoteTypeId]) {
+            const [result] = await connection.query(
+                `INSERT IGNORE INTO votes (votable_type, votable_id, user_id, vote_type, created_at)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [votableType, votableId, await resolveUser(row.UserId), VOTE_TYPES[row.VoteTypeId], created]
+            );
+            summary.votes += result.affectedRows;
+        } else if (row.VoteTypeId === FAVORITE_VOTE_TYPE && votableType === 'question') {
+            const [result] = await connection.query(
+                'INSERT IGNORE INTO bookmarks (user_id, question_id, created_at) VALUES (?, ?, ?)',
+                [await resolveUser(row.UserId), votableId, created]
+            );
+            summary.bookmarks += result.affectedRows;
+        }
+    }
+
+    // Counters, keeping the imported timestamps that would move on update
+    await connection.query(
+        `UPDATE questions q
+         SET q.answer_count = (SELECT COUNT(*) FROM answers a WHERE a.question_id = q.id AND a.deleted_at IS NULL),
+             q.updated_at = q.updated_at,
+             q.last_activity_at = q.last_activity_at
+         WHERE q.team_id = ?`,
+        [teamId]
+    );
+    await connection.query(
+        `UPDATE tags t
+         SET t.question_count = (
+             SELECT COUNT(*) FROM question_tags qt
+             JOIN questions q ON q.id = qt.question_id
+             WHERE qt.tag_id = t.id AND q.deleted_at IS NULL
+         )
+         WHERE t.team_id = ?`,
+        [teamId]
+    );
+
+    return summary;
+}
+
+module.exports = {
+    readRows,
+    htmlToMarkdown,
+    importStackExchange
+};
@@ -0,0 +1,525 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const db = require('../config/database');
+const { rebuildReputation } = require('./reputation');
+const { checkBadges } = require('./badges');
+
+// Team archives: everything one team has (questions, answers, comments, votes,
+// tags, bookmarks, follows, members and their custom roles) as a versioned
+// JSON document, or as NDJSON with a header line and one record per line.
+//
+// Ids in an archive are the exporting instance's and only link records to each
+// other; people are identified by email. Importing creates a new team, matches
+// people to existing accounts by email (creating the missing ones with an
+// unusable password) and gives every record a new id. Counters, reputation and
+// badges are recomputed rather than copied. Revision history, notifications,
+// flags and the audit log stay behind.
+
+const ARCHIVE_FORMAT = 'knowhow-team';
+
+// Bump when the archive layout changes; older archives must keep importing
+const ARCHIVE_VERSION = 1;
+
+// Archive sections in import order, with their NDJSON record type
+const SECTIONS = {
+    users: 'user',
+    roles: 'role',
+    members: 'member',
+    tags: 'tag',
+    questions: 'question',
+    answers: 'answer',
+    comments: 'comment',
+    votes: 'vote',
+    bookmarks: 'bookmark',
+    questionFollows: 'question_follow',
+    tagFollows: 'tag_follow'
+};
+
+// Build the archive for a team (null if there's no such team)
+async function exportTeam(teamId) {
+    const [teams] = await db.query(
+        `SELECT name, slug, company_name, company_size, primary_goal,
+                close_votes_required, flags_to_hide, require_two_factor, created_at
+         FROM teams WHERE id = ?`,
+        [teamId]
+    );
+
+    if (teams.length === 0) {
+        return null;
+    }
+
+    const [roles] = await db.query(
+        'SELECT id, name, permissions, reputation_privileges FROM team_roles WHERE team_id = ? ORDER BY id',
+        [teamId]
+    );
+
+    const [members] = await db.query(
+        `SELECT user_id, role, custom_role_id, joined_at, started_at, ended_at
+         FROM team_members WHERE team_id = ? ORDER BY id`,
+        [teamId]
+    );
+
+    const [tags] = await db.query(
+        'SELECT id, name, description, created_at FROM tags WHERE team_id = ? ORDER BY id',
+        [teamId]
+    );
+
+    const [questions] = await db.query(
+        `SELECT id, user_id, title, body, view_count, is_closed, closed_reason, closed_at, duplicate_of_id,
+                deleted_at, deleted_by, created_at, updated_at, last_activity_at
+         FROM questions WHERE team_id = ? ORDER BY id`,
+        [teamId]
+    );
+
+    const [questionTags] = await db.query(
+        `SELECT qt.question_id, qt.tag_id FROM question_tags qt
+         JOIN questions q ON q.id = qt.question_id
+         WHERE q.team_id = ?`,
+        [teamId]
+    );
+
+    const tagsByQuestion = new Map();
+    for (const qt of questionTags) {
+        tagsByQuestion.set(qt.question_id, [...(tagsByQuestion.get(qt.question_id) || []), qt.tag_id]);
+    }
+
+    const [answers] = await db.query(
+        `SELECT a.id, a.question_id, a.user_id, a.body, a.is_accepted, a.deleted_at, a.deleted_by,
+                a.created_at, a.updated_at
+         FROM answers a
+         JOIN questions q ON q.id = a.question_id
+         WHERE q.team_id = ? ORDER BY a.id`,
+        [teamId]
+    );
+
+    const [comments] = await db.query(
+        `SELECT c.id, c.parent_type, c.parent_id, c.user_id, c.body, c.deleted_at, c.deleted_by,
+                c.created_at, c.updated_at
+         FROM comments c
+         LEFT JOIN answers a ON c.parent_type = 'answer' AND a.id = c.parent_id
+         JOIN questions q ON q.id = IF(c.parent_type = 'question', c.parent_id, a.question_id)
+         WHERE q.team_id = ? ORDER BY c.id`,
+        [teamId]
+    );
+
+    const [votes] = await db.query(
+        `SELECT v.votable_type, v.votable_id, v.user_id, v.vote_type, v.created_at
+         FROM votes v
+         LEFT JOIN answers a ON v.votable_type = 'answer' AND a.id = v.votable_id
+         JOIN questions q ON q.id = IF(v.votable_type = 'question', v.votable_id, a.question_id)
+         WHERE q.team_id = ? ORDER BY v.id`,
+        [teamId]
+    );
+
+    const [bookmarks] = await db.query(
+        `SELECT b.user_id, b.question_id, b.created_at FROM bookmarks b
+         JOIN questions q ON q.id = b.question_id
+         WHERE q.team_id = ? ORDER BY b.id`,
+        [teamId]
+    );
+
+    const [questionFollows] = await db.query(
+        `SELECT f.user_id, f.question_id, f.created_at FROM question_follows f
+         JOIN questions q ON q.id = f.question_id
+         WHERE q.team_id = ? ORDER BY f.id`,
+        [teamId]
+    );
+
+    const [tagFollows] = await db.query(
+        `SELECT f.user_id, f.tag_id, f.created_at FROM tag_follows f
+         JOIN tags t ON t.id = f.tag_id
+         WHERE t.team_id = ? ORDER BY f.id`,
+        [teamId]
+    );
+
+    // Everyone the team's records mention, including people who have left
+    const userIds = new Set([
+        ...members.map(m => m.user_id),
+        ...[...questions, ...answers, ...comments].flatMap(p => [p.user_id, p.deleted_by]),
+        ...[...votes, ...bookmarks, ...questionFollows, ...tagFollows].map(r => r.user_id)
+    ]);
+    userIds.delete(null);
+
+    const [users] = userIds.size > 0
+        ? await db.query(
+            `SELECT id, email, first_name, last_name, work_type, role, avatar_url, bio, location
+             FROM users WHERE id IN (?) ORDER BY id`,
+            [[...userIds]]
+        )
+        : [[]];
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date(),
+        team: teams[0],
+        users,
+        roles,
+        members,
+        tags,
+        questions: questions.map(q => ({ ...q, tags: tagsByQuestion.get(q.id) || [] })),
+        answers,
+        comments,
+        votes,
+        bookmarks,
+        questionFollows,
+        tagFollows
+    };
+}
+
+// The NDJSON form of an archive: a header line with the team, then one line
+// per record, e.g. {"type":"question","id":1,...}
+function archiveToNdjson(archive) {
+    const { format, version, exportedAt, team } = archive;
+    const lines = [JSON.stringify({ format, version, exportedAt, team })];
+
+    for (const [section, type] of Object.entries(SECTIONS)) {
+        for (const record of archive[section]) {
+            lines.push(JSON.stringify({ type, ...record }));
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// Read an archive in either form. Throws if it isn't one this version can import.
+function parseArchive(text) {
+    let archive;
+    try {
+        archive = JSON.parse(text);
+    } catch (error) {
+        archive = null;
+    }
+
+    // Anything but a whole JSON archive is read as NDJSON
+    if (!archive || !Array.isArray(archive.users)) {
+        const lines = text.split('\n').filter(line => line.trim() !== '');
+        const records = lines.map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid JSON on line ${i + 1} of the archive`);
+            }
+        });
+
+        archive = { ...records[0] };
+        const sectionsByType = Object.fromEntries(Object.entries(SECTIONS).map(([section, type]) => [type, section]));
+        for (const section of Object.keys(SECTIONS)) {
+            archive[section] = [];
+        }
+
+        for (const { type, ...record } of records.slice(1)) {
+            if (!sectionsByType[type]) {
+                throw new Error(`Unknown record type in archive: ${type}`);
+            }
+            archive[sectionsByType[type]].push(record);
+        }
+    }
+
+    if (!archive || archive.format !== ARCHIVE_FORMAT || !archive.team) {
+        throw new Error('Not a KnowHow team archive');
+    }
+    if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+        throw new Error(`Unsupported archive version ${archive.version} (this instance reads up to ${ARCHIVE_VERSION})`);
+    }
+
+    for (const section of Object.keys(SECTIONS)) {
+        archive[section] = archive[section] || [];
+    }
+
+    return archive;
+}
+
+// Look up the new id for an archive id; a missing one means a broken archive
+function remap(ids, id, what) {
+    if (id === null || id === undefined) {
+        return null;
+    }
+    if (!ids.has(id)) {
+        throw new Error(`Archive references unknown ${what} ${id}`);
+    }
+    return ids.get(id);
+}
+
+const toDate = value => (value ? new Date(value) : null);
+
+// Recreate an archive (from parseArchive) as a new team. slug and name
+// default to the archive's. Runs in a single transaction, so a failed import
+// leaves nothing behind. Returns { teamId, slug, usersCreated, usersMatched }
+// plus the number of records imported per section.
+async function importTeam(archive, { slug, name } = {}) {
+    const team = archive.team;
+    slug = slug || team.slug;
+
+    const [taken] = await db.query('SELECT id FROM teams WHERE slug = ?', [slug]);
+    if (taken.length > 0) {
+        throw new Error(`A team with the slug "${slug}" already exists; pick another one`);
+    }
+
+    // Counters are recomputed from the records instead of trusting the archive
+    const scores = new Map();
+    for (const vote of archive.votes) {
+        const key = `${vote.votable_type}:${vote.votable_id}`;
+        scores.set(key, (scores.get(key) || 0) + (vote.vote_type === 'up' ? 1 : -1));
+    }
+
+    const answerCounts = new Map();
+    for (const answer of archive.answers.filter(a => !a.deleted_at)) {
+        answerCounts.set(answer.question_id, (answerCounts.get(answer.question_id) || 0) + 1);
+    }
+
+    const tagCounts = new Map();
+    for (const question of archive.questions.filter(q => !q.deleted_at)) {
+        for (const tagId of question.tags || []) {
+            tagCounts.set(tagId, (tagCounts.get(tagId) || 0) + 1);
+        }
+    }
+
+    const ids = {
+        users: new Map(),
+        roles: new Map(),
+        tags: new Map(),
+        questions: new Map(),
+        answers: new Map(),
+        comments: new Map()
+    };
+    const summary = { usersCreated: 0, usersMatched: 0 };
+
+    const connection = await db.getConnection();
+    let teamId;
+    try {
+        await connection.beginTransaction();
+
+        for (const user of archive.users) {
+            if (!user.email) {
+                throw new Error(`Archive user ${user.id} has no email`);
+            }
+            const email = user.email.toLowerCase();
+
+            const [existing] = await connection.query('SELECT id FROM users WHERE LOWER(email) = ?', [email]);
+            if (existing.length > 0) {
+                ids.users.set(user.id, existing[0].id);
+                summary.usersMatched++;
+                continue;
+            }
+
+            // New accounts get an unusable password; they can set one with "forgot password"
+            const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+            const [result] = await connection.query(
+                `INSERT INTO users (email, password_hash, first_name, last_name, work_type, role, avatar_url, bio, location)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    email,
+                    passwordHash,
+                    user.first_name || email.split('@')[0],
+                    user.last_name || '',
+                    user.work_type || null,
+                    user.role || null,
+                    user.avatar_url || null,
+                    user.bio || null,
+                    user.location || null
+                ]
+            );
+            ids.users.set(user.id, result.insertId);
+            summary.usersCreated++;
+        }
+
+        const [teamResult] = await connection.query(
+            `INSERT INTO teams (name, slug, company_name, company_size, primary_goal,
+                                close_votes_required, flags_to_hide, require_two_factor, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                name || team.name,
+                slug,
+                team.company_name || null,
+                team.company_size || null,
+                team.primary_goal || null,
+                team.close_votes_required || 3,
+                team.flags_to_hide === undefined ? 3 : team.flags_to_hide,
+                team.require_two_factor || 'off',
+                toDate(team.created_at) || new Date()
+            ]
+        );
+        teamId = teamResult.insertId;
+
+        for (const role of archive.roles) {
+            const [result] = await connection.query(
+                'INSERT INTO team_roles (team_id, name, permissions, reputation_privileges) VALUES (?, ?, ?, ?)',
+                [teamId, role.name, role.permissions || '', role.reputation_privileges === undefined ? true : role.reputation_privileges]
+            );
+            ids.roles.set(role.id, result.insertId);
+        }
+
+        for (const member of archive.members) {
+            await connection.query(
+                `INSERT INTO team_members (user_id, team_id, role, custom_role_id, joined_at, started_at, ended_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    remap(ids.users, member.user_id, 'user'),
+                    teamId,
+                    member.role || 'member',
+                    remap(ids.roles, member.custom_role_id, 'role'),
+                    toDate(member.joined_at) || new Date(),
+                    toDate(member.started_at),
+                    toDate(member.ended_at)
+                ]
+            );
+        }
+
+        for (const tag of archive.tags) {
+            const [result] = await connection.query(
+                'INSERT INTO tags (team_id, name, description, question_count, created_at) VALUES (?, ?, ?, ?, ?)',
+                [teamId, tag.name, tag.description || null, tagCounts.get(tag.id) || 0, toDate(tag.created_at) || new Date()]
+            );
+            ids.tags.set(tag.id, result.insertId);
+        }
+
+        for (const question of archive.questions) {
+            const [result] = await connection.query(
+                `INSERT INTO questions
+                    (team_id, user_id, title, body, view_count, score, answer_count, is_closed, closed_reason,
+                     closed_at, deleted_at, deleted_by, created_at, updated_at, last_activity_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    teamId,
+                    remap(ids.users, question.user_id, 'user'),
+                    question.title,
+                    question.body,
+                    question.view_count || 0,
+                    scores.get(`question:${question.id}`) || 0,
+                    answerCounts.get(question.id) || 0,
+                    question.is_closed ? 1 : 0,
+                    question.closed_reason || null,
+                    toDate(question.closed_at),
+                    toDate(question.deleted_at),
+                    remap(ids.users, question.deleted_by, 'user'),
+                    toDate(question.created_at) || new Date(),
+                    toDate(question.updated_at) || new Date(),
+                    toDate(question.last_activity_at) || new Date()
+                ]
+            );
+            ids.questions.set(question.id, result.insertId);
+
+            const tagIds = [...new Set((question.tags || []).map(tagId => remap(ids.tags, tagId, 'tag')))];
+            if (tagIds.length > 0) {
+                await connection.query(
+                    'INSERT INTO question_tags (question_id, tag_id) VALUES ?',
+                    [tagIds.map(tagId => [result.insertId, tagId])]
+                );
+            }
+        }
+
+        // Duplicates can point at questions imported after them. Keep the
+        // timestamps that would otherwise move on update.
+        for (const question of archive.questions.filter(q => q.duplicate_of_id)) {
+            await connection.query(
+                `UPDATE questions SET duplicate_of_id = ?, updated_at = updated_at, last_activity_at = last_activity_at
+                 WHERE id = ?`,
+                [remap(ids.questions, question.duplicate_of_id, 'question'), ids.questions.get(question.id)]
+            );
+        }
+
+        for (const answer of archive.answers) {
+            const [result] = await connection.query(
+                `INSERT INTO answers
+                    (question_id, user_id, body, score, is_accepted, deleted_at, deleted_by, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    remap(ids.questions, answer.question_id, 'question'),
+                    remap(ids.users, answer.user_id, 'user'),
+                    answer.body,
+                    scores.get(`answer:${answer.id}`) || 0,
+                    answer.is_accepted ? 1 : 0,
+                    toDate(answer.deleted_at),
+                    remap(ids.users, answer.deleted_by, 'user'),
+                    toDate(answer.created_at) || new Date(),
+                    toDate(answer.updated_at) || new Date()
+                ]
+            );
+            ids.answers.set(answer.id, result.insertId);
+        }
+
+        for (const comment of archive.comments) {
+            const [result] = await connection.query(
+                `INSERT INTO comments
+                    (parent_type, parent_id, user_id, body, deleted_at, deleted_by, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    comment.parent_type,
+                    remap(ids[`${comment.parent_type}s`], comment.parent_id, comment.parent_type),
+                    remap(ids.users, comment.user_id, 'user'),
+                    comment.body,
+                    toDate(comment.deleted_at),
+                    remap(ids.users, comment.deleted_by, 'user'),
+                    toDate(comment.created_at) || new Date(),
+                    toDate(comment.updated_at) || new Date()
+                ]
+            );
+            ids.comments.set(comment.id, result.insertId);
+        }
+
+        const rows = {
+            votes: archive.votes.map(v => [
+                v.votable_type,
+                remap(ids[`${v.votable_type}s`], v.votable_id, v.votable_type),
+                remap(ids.users, v.user_id, 'user'),
+                v.vote_type,
+                toDate(v.created_at) || new Date()
+            ]),
+            bookmarks: archive.bookmarks.map(b => [
+                remap(ids.users, b.user_id, 'user'),
+                remap(ids.questions, b.question_id, 'question'),
+                toDate(b.created_at) || new Date()
+            ]),
+            question_follows: archive.questionFollows.map(f => [
+                remap(ids.users, f.user_id, 'user'),
+                remap(ids.questions, f.question_id, 'question'),
+                toDate(f.created_at) || new Date()
+            ]),
+            tag_follows: archive.tagFollows.map(f => [
+                remap(ids.users, f.user_id, 'user'),
+                remap(ids.tags, f.tag_id, 'tag'),
+                toDate(f.created_at) || new Date()
+            ])
+        };
+
+        const columns = {
+            votes: '(votable_type, votable_id, user_id, vote_type, created_at)',
+            bookmarks: '(user_id, question_id, created_at)',
+            question_follows: '(user_id, question_id, created_at)',
+            tag_follows: '(user_id, tag_id, created_at)'
+        };
+
+        for (const [table, values] of Object.entries(rows)) {
+            if (values.length > 0) {
+                await connection.query(`INSERT IGNORE INTO ${table} ${columns[table]} VALUES ?`, [values]);
+            }
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    // Reputation comes from the votes and accepts; imported badges are backfilled
+    // without notifications, like npm run badges:backfill
+    await rebuildReputation(teamId);
+    await checkBadges({ teamId });
+
+    for (const section of Object.keys(SECTIONS).filter(s => s !== 'users')) {
+        summary[section] = archive[section].length;
+    }
+
+    return { teamId, slug, ...summary };
+}
+
+module.exports = {
+    ARCHIVE_VERSION,
+    exportTeam,
+    archiveToNdjson,
+    parseArchive,
+    importTeam
+};
@@ -0,0 +1,243 @@
+const db = require('../config/database');
+const config = require('../config/trash');
+const { deleteRevisions } = require('./revisions');
+const { deletePostReputation, restorePostReputation } = require('./reputation');
+
+// Soft deletion. Deleting a question, answer or comment sets its deleted_at
+// and deleted_by, and every listing skips it (queries filter on
+// deleted_at IS NULL; answers and comments also go with a deleted question or
+// answer). Counters (answer_count, tag question counts) and reputation are
+// taken back while a post is deleted and given back if it's restored. Team
+// admins see deleted posts in the trash until purgeExpired() removes them for
+// good, config.retentionDays after deletion.
+
+const POST_TYPES = ['question', 'answer', 'comment'];
+
+// A deleted post with its team and whether its parent is deleted too
+async function loadTrashedPost(postType, postId) {
+    const queries = {
+        question: `SELECT q.id, q.user_id, q.team_id, FALSE as parent_deleted
+                   FROM questions q
+                   WHERE q.id = ? AND q.deleted_at IS NOT NULL`,
+        answer: `SELECT a.id, a.user_id, a.question_id, q.team_id, q.deleted_at IS NOT NULL as parent_deleted
+                 FROM answers a
+                 JOIN questions q ON a.question_id = q.id
+                 WHERE a.id = ? AND a.deleted_at IS NOT NULL`,
+        comment: `SELECT c.id, c.user_id, q.team_id,
+                         (q.deleted_at IS NOT NULL OR a.deleted_at IS NOT NULL) as parent_deleted
+                  FROM comments c
+                  LEFT JOIN answers a ON c.parent_type = 'answer' AND a.id = c.parent_id
+                  JOIN questions q ON q.id = IF(c.parent_type = 'question', c.parent_id, a.question_id)
+                  WHERE c.id = ? AND c.deleted_at IS NOT NULL`
+    };
+
+    const [posts] = await db.query(queries[postType], [postId]);
+    return posts[0] || null;
+}
+
+// Tag counts only include live questions
+async function adjustTagCounts(questionId, delta) {
+    await db.query(
+        `UPDATE tags t
+         JOIN question_tags qt ON qt.tag_id = t.id
+         SET t.question_count = GREATEST(0, t.question_count + ?)
+         WHERE qt.question_id = ?`,
+        [delta, questionId]
+    );
+}
+
+// Live answers of a question (the ones that go and come back with it)
+async function liveAnswerIds(questionId) {
+    const [answers] = await db.query(
+        'SELECT id FROM answers WHERE question_id = ? AND deleted_at IS NULL',
+        [questionId]
+    );
+    return answers.map(a => a.id);
+}
+
+// Move a post to the trash. Returns false if it was already deleted.
+async function trashPost(postType, postId, userId) {
+    const table = `${postType}s`;
+    const [result] = await db.query(
+        `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ? AND deleted_at IS NULL`,
+        [userId, postId]
+    );
+
+    if (result.affectedRows === 0) {
+        return false;
+    }
+
+    if (postType === 'question') {
+        await adjustTagCounts(postId, -1);
+        await deletePostReputation('question', [postId]);
+        await deletePostReputation('answer', await liveAnswerIds(postId));
+    } else if (postType === 'answer') {
+        await db.query(
+            `UPDATE questions q JOIN answers a ON a.question_id = q.id
+             SET q.answer_count = GREATEST(0, q.answer_count - 1)
+             WHERE a.id = ?`,
+            [postId]
+        );
+        await deletePostReputation('answer', [postId]);
+    }
+
+    return true;
+}
+
+// Bring a post back from the trash. Posts whose question or answer is still
+// deleted have to wait for it. Returns { restored, error }.
+async function restorePost(postType, postId) {
+    const post = await loadTrashedPost(postType, postId);
+    if (!post) {
+        return { restored: false, error: 'Not in the trash' };
+    }
+    if (post.parent_deleted) {
+        return { restored: false, error: `Restore the ${postType === 'answer' ? 'question' : 'post'} it belongs to first` };
+    }
+
+    await db.query(`UPDATE ${postType}s SET deleted_at = NULL, deleted_by = NULL WHERE id = ?`, [postId]);
+
+    if (postType === 'question') {
+        await adjustTagCounts(postId, 1);
+        await restorePostReputation('question', [postId]);
+        await restorePostReputation('answer', await liveAnswerIds(postId));
+    } else if (postType === 'answer') {
+        await db.query(
+            'UPDATE questions SET answer_count = answer_count + 1 WHERE id = ?',
+            [post.question_id]
+        );
+        await restorePostReputation('answer', [postId]);
+    }
+
+    return { restored: true, post };
+}
+
+async function deleteFlags(postType, postIds) {
+    if (postIds.length === 0) {
+        return;
+    }
+
+    await db.query('DELETE FROM flags WHERE flaggable_type = ? AND flaggable_id IN (?)', [postType, postIds]);
+}
+
+async function deleteComments(parentType, parentIds) {
+    if (parentIds.length === 0) {
+        return;
+    }
+
+    const [comments] = await db.query(
+        'SELECT id FROM comments WHERE parent_type = ? AND parent_id IN (?)',
+        [parentType, parentIds]
+    );
+    await deleteFlags('comment', comments.map(c => c.id));
+    await db.query('DELETE FROM comments WHERE parent_type = ? AND parent_id IN (?)', [parentType, parentIds]);
+}
+
+// Delete a trashed post for good (cascading to its answers, comments, votes
+// and notifications)
+async function purgePost(postType, postId) {
+    if (postType === 'question') {
+        // Revision history, reputation, comments and flags have no foreign key
+        // to the posts, so clear them first
+        const [answers] = await db.query('SELECT id FROM answers WHERE question_id = ?', [postId]);
+        const answerIds = answers.map(a => a.id);
+        await deleteRevisions('question', [postId]);
+        await deleteRevisions('answer', answerIds);
+        await deletePostReputation('question', [postId]);
+        await deletePostReputation('answer', answerIds);
+        await deleteComments('question', [postId]);
+        await deleteComments('answer', answerIds);
+        await deleteFlags('answer', answerIds);
+
+        // Questions marked as duplicates of this one lose the link
+        await db.query('UPDATE questions SET duplicate_of_id = NULL WHERE duplicate_of_id = ?', [postId]);
+    } else if (postType === 'answer') {
+        await deleteRevisions('answer', [postId]);
+        await deletePostReputation('answer', [postId]);
+        await deleteComments('answer', [postId]);
+    }
+
+    await deleteFlags(postType, [postId]);
+    await db.query(`DELETE FROM ${postType}s WHERE id = ? AND deleted_at IS NOT NULL`, [postId]);
+}
+
+// A team's trash, most recently deleted first: { items, total }
+async function getTrash(teamId, postType, { limit = 50, offset = 0 } = {}) {
+    const sources = {
+        question: {
+            from: 'questions p JOIN questions q ON q.id = p.id',
+            columns: 'p.title, NULL as parent_type, NULL as parent_id'
+        },
+        answer: {
+            from: 'answers p JOIN questions q ON q.id = p.question_id',
+            columns: "q.title, 'question' as parent_type, q.id as parent_id"
+        },
+        comment: {
+            from: `comments p
+                   LEFT JOIN answers pa ON p.parent_type = 'answer' AND pa.id = p.parent_id
+                   JOIN questions q ON q.id = IF(p.parent_type = 'question', p.parent_id, pa.question_id)`,
+            columns: 'q.title, p.parent_type, p.parent_id'
+        }
+    };
+    const { from, columns } = sources[postType];
+
+    const [count] = await db.query(
+        `SELECT COUNT(*) as total FROM ${from} WHERE q.team_id = ? AND p.deleted_at IS NOT NULL`,
+        [teamId]
+    );
+
+    const [items] = await db.query(
+        `SELECT p.id, p.body, p.created_at, p.deleted_at, q.id as question_id, ${columns},
+                p.user_id, author.first_name, author.last_name,
+                p.deleted_by, deleter.first_name as deleted_by_first_name, deleter.last_name as deleted_by_last_name,
+                ${config.retentionDays > 0 ? 'p.deleted_at + INTERVAL ? DAY' : 'NULL'} as purge_at
+         FROM ${from}
+         JOIN users author ON author.id = p.user_id
+         LEFT JOIN users deleter ON deleter.id = p.deleted_by
+         WHERE q.team_id = ? AND p.deleted_at IS NOT NULL
+         ORDER BY p.deleted_at DESC
+         LIMIT ? OFFSET ?`,
+        [...(config.retentionDays > 0 ? [config.retentionDays] : []), teamId, limit, offset]
+    );
+
+    return { items, total: count[0].total };
+}
+
+// Purge everything deleted more than the retention period ago. Questions
+// first, so their answers and comments go with them. Posts hidden by flags
+// (deleted_by NULL) wait until a moderator resolves the flags, so flaggers
+// alone can't destroy them.
+async function purgeExpired() {
+    if (config.retentionDays <= 0) {
+        return 0;
+    }
+
+    let purged = 0;
+    for (const postType of POST_TYPES) {
+        const [expired] = await db.query(
+            `SELECT p.id FROM ${postType}s p
+             WHERE p.deleted_at < NOW() - INTERVAL ? DAY
+               AND NOT (p.deleted_by IS NULL AND EXISTS (
+                   SELECT 1 FROM flags f
+                   WHERE f.flaggable_type = ? AND f.flaggable_id = p.id AND f.status = 'pending'
+               ))`,
+            [config.retentionDays, postType]
+        );
+
+        for (const post of expired) {
+            await purgePost(postType, post.id);
+            purged++;
+        }
+    }
+    return purged;
+}
+
+module.exports = {
+    POST_TYPES,
+    trashPost,
+    restorePost,
+    purgePost,
+    loadTrashedPost,
+    getTrash,
+    purgeExpired
+};
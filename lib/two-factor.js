@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const db = require('../config/database');
+
+// Two-factor authentication with time-based one-time passwords (RFC 6238,
+// the codes shown by authenticator apps) and single-use recovery codes.
+//
+// Enrolling stores a secret on the user; it only takes effect once the user
+// confirms a code from their app. After that, a correct password returns a
+// short-lived challenge token instead of a session, and the session is
+// created when the challenge is completed with a code. Sessions remember
+// whether they passed two-factor (sessions.two_factor) so teams can require
+// it (teams.require_two_factor: off, admins or all).
+
+const ISSUER = 'KnowHow';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, for clock drift
+const WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const REQUIREMENTS = ['off', 'admins', 'all'];
+const REQUIRED_MESSAGE = 'This team requires two-factor authentication.';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+function hashCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// The code for one 30-second step (RFC 4226 HOTP with the step as counter)
+function codeForStep(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Step matched by a code, or null
+function matchStep(secret, code) {
+    const currentStep = Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+
+    for (let step = currentStep - WINDOW; step <= currentStep + WINDOW; step++) {
+        const expected = codeForStep(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// Codes are typed with spaces or dashes sometimes
+function normalizeCode(code) {
+    return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+}
+
+function isTotpCode(code) {
+    return new RegExp(`^\\d{${DIGITS}}$`).test(code);
+}
+
+// Check a TOTP code, refusing a code that was already used (same or earlier step)
+async function verifyTotp(userId, secret, code) {
+    const step = matchStep(secret, code);
+    if (step === null) {
+        return false;
+    }
+
+    const [result] = await db.query(
+        'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+        [step, userId, step]
+    );
+    return result.affectedRows > 0;
+}
+
+async function getStatus(userId) {
+    const [users] = await db.query(
+        `SELECT u.totp_enabled_at,
+                (SELECT COUNT(*) FROM two_factor_recovery_codes
+                 WHERE user_id = u.id AND used_at IS NULL) as recovery_codes_left
+         FROM users u WHERE u.id = ?`,
+        [userId]
+    );
+
+    return {
+        enabled: !!users[0].totp_enabled_at,
+        enabledAt: users[0].totp_enabled_at,
+        recoveryCodesLeft: users[0].recovery_codes_left
+    };
+}
+
+// Start enrolling: store a new secret (not active yet) and return what the
+// authenticator app needs
+async function startEnrollment(userId, email) {
+    const secret = base32Encode(crypto.randomBytes(20));
+
+    await db.query(
+        'UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ? AND totp_enabled_at IS NULL',
+        [secret, userId]
+    );
+
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    const uri = `otpauth://totp/${label}?secret=${secret}&issuer=${ISSUER}` +
+        `&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD_SECONDS}`;
+
+    return { secret, uri, qrCode: await QRCode.toDataURL(uri) };
+}
+
+// Replace the user's recovery codes. Returns the new codes (shown once).
+async function generateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    await db.query(
+        'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?',
+        [codes.map(code => [userId, hashCode(normalizeCode(code))])]
+    );
+
+    return codes;
+}
+
+// Finish enrolling with a code from the app. Returns the recovery codes, or
+// null if the code is wrong or enrollment wasn't started.
+async function confirmEnrollment(userId, code) {
+    const [users] = await db.query(
+        'SELECT totp_secret FROM users WHERE id = ? AND totp_enabled_at IS NULL',
+        [userId]
+    );
+
+    code = normalizeCode(code);
+    if (users.length === 0 || !users[0].totp_secret || !isTotpCode(code) ||
+        !(await verifyTotp(userId, users[0].totp_secret, code))) {
+        return null;
+    }
+
+    await db.query('UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP WHERE id = ?', [userId]);
+    return generateRecoveryCodes(userId);
+}
+
+async function disable(userId) {
+    await db.query(
+        'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?',
+        [userId]
+    );
+    await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+}
+
+// Check a code from a user with two-factor enabled: a TOTP code, or an unused
+// recovery code (which is then used up). Returns 'totp', 'recovery' or null.
+async function verifyCode(userId, code) {
+    const [users] = await db.query(
+        'SELECT totp_secret FROM users WHERE id = ? AND totp_enabled_at IS NOT NULL',
+        [userId]
+    );
+
+    if (users.length === 0) {
+        return null;
+    }
+
+    code = normalizeCode(code);
+
+    if (isTotpCode(code)) {
+        return (await verifyTotp(userId, users[0].totp_secret, code)) ? 'totp' : null;
+    }
+
+    const [result] = await db.query(
+        `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+        [userId, hashCode(code)]
+    );
+    return result.affectedRows > 0 ? 'recovery' : null;
+}
+
+// Token proving the password step of a login, exchanged for a session once
+// the code is checked
+function signChallenge(user) {
+    return jwt.sign(
+        { userId: user.id, tokenVersion: user.token_version || 0, purpose: 'two_factor' },
+        process.env.JWT_SECRET,
+        { expiresIn: CHALLENGE_TTL_SECONDS }
+    );
+}
+
+// User id from a challenge token, or null if it's invalid or expired
+async function verifyChallenge(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+
+    if (decoded.purpose !== 'two_factor') {
+        return null;
+    }
+
+    const [users] = await db.query('SELECT * FROM users WHERE id = ?', [decoded.userId]);
+    if (users.length === 0 || users[0].token_version !== decoded.tokenVersion) {
+        return null;
+    }
+    return users[0];
+}
+
+// Whether a team's two-factor requirement blocks req.user. membership needs
+// role and the team's require_two_factor.
+function blocksMember(user, membership) {
+    const requirement = membership.require_two_factor || 'off';
+    const applies = requirement === 'all' || (requirement === 'admins' && membership.role === 'admin');
+    return applies && !user.twoFactor;
+}
+
+module.exports = {
+    REQUIREMENTS,
+    REQUIRED_MESSAGE,
+    getStatus,
+    startEnrollment,
+    confirmEnrollment,
+    generateRecoveryCodes,
+    disable,
+    verifyCode,
+    signChallenge,
+    verifyChallenge,
+    blocksMember
+};
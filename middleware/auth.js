@@ -1,7 +1,49 @@
 const jwt = require('jsonwebtoken');
+const { isApiToken, verifyApiToken, hasScope, allowsTeam, requestDenial } = require('../lib/api-tokens');
+const { REQUIRED_MESSAGE, blocksMember } = require('../lib/two-factor');
+const { ROLE_COLUMNS, ROLE_JOIN, resolveRole } = require('../lib/privileges');
+
+// Decode an access token and check it hasn't been revoked: its session (see
+// lib/sessions) must still be active, and its token_version must match the
+// user's, which is bumped (e.g. on password reset) to invalidate every token
+// issued before. Personal API tokens (lib/api-tokens) are accepted too.
+// Returns the payload (plus twoFactor, see lib/two-factor), or null if the
+// token is invalid.
+const verifyToken = async (token, req = null) => {
+    const db = require('../config/database');
+
+    if (isApiToken(token)) {
+        return verifyApiToken(token, req);
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+
+    if (!decoded.sessionId) {
+        return null;
+    }
+
+    const [rows] = await db.query(
+        `SELECT u.token_version, s.two_factor FROM users u
+         JOIN sessions s ON s.user_id = u.id
+         WHERE u.id = ? AND s.id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+        [decoded.userId, decoded.sessionId]
+    );
+    if (rows.length === 0 || rows[0].token_version !== (decoded.tokenVersion || 0)) {
+        return null;
+    }
+
+    // Whether this session passed two-factor (or single sign-on)
+    decoded.twoFactor = !!rows[0].two_factor;
+    return decoded;
+};
 
 // Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
     const token = req.cookies.token || req.headers['authorization']?.split(' ')[1];
 
     if (!token) {
@@ -9,76 +51,178 @@ const authenticateToken = (req, res, next) => {
     }
 
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = await verifyToken(token, req);
+        if (!decoded) {
+            // 401 tells the client to refresh its access token
+            return res.status(401).json({ error: 'Invalid or expired token.' });
+        }
+
+        const denial = requestDenial(decoded, req);
+        if (denial) {
+            return res.status(403).json({ error: denial });
+        }
+
         req.user = decoded;
         next();
     } catch (error) {
-        return res.status(403).json({ error: 'Invalid or expired token.' });
+        return res.status(500).json({ error: 'Authorization check failed.' });
     }
 };
 
-// Middleware to check if user is team admin
+// Middleware to check if user is team admin (the admin role; custom roles
+// and moderators can't manage the team)
 const requireTeamAdmin = async (req, res, next) => {
     try {
         const db = require('../config/database');
         const teamId = req.params.teamId || req.body.teamId;
 
         const [membership] = await db.query(
-            'SELECT role FROM team_members WHERE user_id = ? AND team_id = ?',
+            `SELECT tm.role, t.require_two_factor FROM team_members tm
+             JOIN teams t ON tm.team_id = t.id
+             WHERE tm.user_id = ? AND tm.team_id = ?`,
             [req.user.userId, teamId]
         );
 
-        if (!membership.length || membership[0].role !== 'admin') {
+        // API tokens also need the admin scope
+        if (!membership.length || membership[0].role !== 'admin' || !hasScope(req.user, 'admin')) {
             return res.status(403).json({ error: 'Admin access required.' });
         }
 
+        if (blocksMember(req.user, membership[0])) {
+            return res.status(403).json({ error: REQUIRED_MESSAGE, code: 'TWO_FACTOR_REQUIRED' });
+        }
+
         next();
     } catch (error) {
         return res.status(500).json({ error: 'Authorization check failed.' });
     }
 };
 
+// Check that req.user belongs to a team and may use it, and attach the
+// membership and its role (see lib/privileges) to req. Any role may read;
+// what else it allows is checked with can(). Sends the error response and
+// returns false if not.
+const checkTeamMember = async (req, res, teamId) => {
+    const db = require('../config/database');
+
+    const [membership] = await db.query(
+        `SELECT tm.*, ${ROLE_COLUMNS}, t.require_two_factor FROM team_members tm
+         JOIN teams t ON tm.team_id = t.id
+         ${ROLE_JOIN}
+         WHERE tm.user_id = ? AND tm.team_id = ?`,
+        [req.user.userId, teamId]
+    );
+
+    if (!membership.length || !allowsTeam(req.user, teamId)) {
+        res.status(403).json({ error: 'Team membership required.' });
+        return false;
+    }
+
+    if (blocksMember(req.user, membership[0])) {
+        res.status(403).json({ error: REQUIRED_MESSAGE, code: 'TWO_FACTOR_REQUIRED' });
+        return false;
+    }
+
+    req.teamMembership = membership[0];
+    req.teamRole = resolveRole(membership[0]);
+    return true;
+};
+
 // Middleware to check if user is team member
 const requireTeamMember = async (req, res, next) => {
     try {
-        const db = require('../config/database');
         const teamId = req.params.teamId || req.body.teamId || req.query.teamId;
 
-        const [membership] = await db.query(
-            'SELECT * FROM team_members WHERE user_id = ? AND team_id = ?',
-            [req.user.userId, teamId]
-        );
+        if (await checkTeamMember(req, res, teamId)) {
+            next();
+        }
+    } catch (error) {
+        return res.status(500).json({ error: 'Authorization check failed.' });
+    }
+};
 
-        if (!membership.length) {
-            return res.status(403).json({ error: 'Team membership required.' });
+// The team that owns each kind of resource. Deleted posts (and posts under a
+// deleted question or answer) aren't found.
+const RESOURCE_TEAM_QUERIES = {
+    question: 'SELECT team_id FROM questions WHERE id = ? AND deleted_at IS NULL',
+    answer: `SELECT q.team_id FROM answers a
+             JOIN questions q ON a.question_id = q.id
+             WHERE a.id = ? AND a.deleted_at IS NULL AND q.deleted_at IS NULL`,
+    comment: `SELECT q.team_id FROM comments c
+              LEFT JOIN answers a ON c.parent_type = 'answer' AND a.id = c.parent_id
+              JOIN questions q ON q.id = IF(c.parent_type = 'question', c.parent_id, a.question_id)
+              WHERE c.id = ? AND c.deleted_at IS NULL AND a.deleted_at IS NULL AND q.deleted_at IS NULL`
+};
+
+// Middleware for routes that take a question, answer or comment ID: look up
+// the team that owns it and require team membership (as requireTeamMember).
+// type is the resource type, or a function returning it from the request
+// (e.g. req => req.query.parentType). The ID is read from idField in the route
+// params, query or body. Sets req.teamId, req.teamMembership and req.teamRole.
+const requireResourceMember = (type, idField = 'id') => async (req, res, next) => {
+    try {
+        const db = require('../config/database');
+        const resourceType = typeof type === 'function' ? type(req) : type;
+        const id = req.params[idField] || req.query[idField] || (req.body && req.body[idField]);
+
+        if (!RESOURCE_TEAM_QUERIES[resourceType]) {
+            return res.status(400).json({ error: `Invalid resource type: ${resourceType}` });
         }
 
-        req.teamMembership = membership[0];
-        next();
+        if (!id) {
+            return res.status(400).json({ error: `${idField} is required` });
+        }
+
+        const [resources] = await db.query(RESOURCE_TEAM_QUERIES[resourceType], [id]);
+
+        if (resources.length === 0) {
+            const name = resourceType.charAt(0).toUpperCase() + resourceType.slice(1);
+            return res.status(404).json({ error: `${name} not found` });
+        }
+
+        req.teamId = resources[0].team_id;
+
+        if (await checkTeamMember(req, res, req.teamId)) {
+            next();
+        }
     } catch (error) {
         return res.status(500).json({ error: 'Authorization check failed.' });
     }
 };
 
 // Optional authentication (for public routes that can use auth if available)
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
     const token = req.cookies.token || req.headers['authorization']?.split(' ')[1];
 
     if (token) {
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            req.user = decoded;
+            const decoded = await verifyToken(token, req);
+            if (decoded && !requestDenial(decoded, req)) {
+                req.user = decoded;
+            }
         } catch (error) {
-            // Invalid token, but that's okay for optional auth
+            // Couldn't check the token, but that's okay for optional auth
         }
     }
 
     next();
 };
 
+// Middleware for routes that need a signed-in user rather than an API token,
+// e.g. managing sessions and tokens
+const requireSession = (req, res, next) => {
+    if (req.user.apiToken) {
+        return res.status(403).json({ error: 'API tokens cannot be used for this request.' });
+    }
+    next();
+};
+
 module.exports = {
+    verifyToken,
     authenticateToken,
     requireTeamAdmin,
     requireTeamMember,
+    requireResourceMember,
+    requireSession,
     optionalAuth
 };
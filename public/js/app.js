@@ -3,8 +3,26 @@
 // API Base URL
 const API_BASE = '/api';
 
+// Access tokens are short-lived. When a request comes back 401, trade the
+// refresh token cookie for a new one and retry once. Concurrent requests
+// share a single refresh.
+const NO_REFRESH_ENDPOINTS = ['/auth/login', '/auth/refresh', '/auth/logout', '/auth/2fa/verify'];
+let refreshPromise = null;
+
+function refreshSession() {
+    if (!refreshPromise) {
+        refreshPromise = fetch(`${API_BASE}/auth/refresh`, { method: 'POST' })
+            .then(response => response.ok)
+            .catch(() => false)
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+}
+
 // Helper function to make authenticated API calls
-async function apiCall(endpoint, options = {}) {
+async function apiCall(endpoint, options = {}, retry = true) {
     const defaultOptions = {
         headers: {
             'Content-Type': 'application/json',
@@ -14,8 +32,21 @@ async function apiCall(endpoint, options = {}) {
 
     try {
         const response = await fetch(`${API_BASE}${endpoint}`, defaultOptions);
+
+        if (response.status === 401 && retry && !NO_REFRESH_ENDPOINTS.includes(endpoint)) {
+            if (await refreshSession()) {
+                return apiCall(endpoint, options, false);
+            }
+        }
+
         const data = await response.json();
 
+        // The team requires two-factor and this session hasn't passed it
+        if (response.status === 403 && data.code === 'TWO_FACTOR_REQUIRED' &&
+            window.location.pathname !== '/two-factor.html') {
+            window.location.href = '/two-factor.html?required';
+        }
+
         if (!response.ok) {
             throw new Error(data.error || 'Request failed');
         }
@@ -105,8 +136,13 @@ function parseMarkdown(text) {
     // Italic
     text = text.replace(/_([^_]+)_/g, '<em>$1</em>');
 
-    // Links
-    text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank">$1</a>');
+    // Links (only http(s), mailto and relative URLs; anything else stays plain text)
+    text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, label, url) => {
+        if (!/^(https?:\/\/|mailto:|\/|#)/i.test(url.trim())) {
+            return label;
+        }
+        return `<a href="${url.replace(/"/g, '&quot;')}" target="_blank" rel="noopener">${label}</a>`;
+    });
 
     // Line breaks
     text = text.replace(/\n/g, '<br>');
@@ -114,6 +150,36 @@ function parseMarkdown(text) {
     return text;
 }
 
+// Live preview of an editor's Markdown, rendered and sanitized by the server
+function attachMarkdownPreview(textarea, preview) {
+    let timer = null;
+
+    const update = async () => {
+        const text = textarea.value;
+        if (!text.trim()) {
+            preview.innerHTML = '';
+            preview.style.display = 'none';
+            return;
+        }
+
+        try {
+            const data = await apiCall('/markdown/preview', {
+                method: 'POST',
+                body: JSON.stringify({ text })
+            });
+            preview.innerHTML = data.html;
+            preview.style.display = 'block';
+        } catch (error) {
+            // Keep showing the last good preview
+        }
+    };
+
+    textarea.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(update, 300);
+    });
+}
+
 // Show notification
 function showNotification(message, type = 'info') {
     const notification = document.createElement('div');
@@ -180,5 +246,6 @@ window.KnowHow = {
     getUserInitials,
     createUserAvatar,
     parseMarkdown,
+    attachMarkdownPreview,
     showNotification
 };
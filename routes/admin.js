@@ -1,9 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, requireTeamAdmin } = require('../middleware/auth');
+const { PRIVILEGES, ACTIONS, ROLES, getThresholds } = require('../lib/privileges');
+const { queueMail, appUrl } = require('../lib/mail');
+const { revokeUserSessions } = require('../lib/sessions');
+const { REQUIREMENTS } = require('../lib/two-factor');
+const { recordAudit, getAuditLog, auditLogCsv } = require('../lib/audit');
+const { POST_TYPES, restorePost, purgePost, loadTrashedPost, getTrash } = require('../lib/trash');
+const trashConfig = require('../config/trash');
+const flags = require('../lib/flags');
+const { recordRevision, ensureInitialRevision } = require('../lib/revisions');
+const { createNotification } = require('./notifications');
+const { exportTeam, archiveToNdjson } = require('../lib/team-archive');
 
 // Get team members with stats (admin only)
 router.get('/:teamId/members', authenticateToken, requireTeamAdmin, async (req, res) => {
@@ -12,13 +23,15 @@ router.get('/:teamId/members', authenticateToken, requireTeamAdmin, async (req,
 
         const [members] = await db.query(
             `SELECT u.id, u.email, u.first_name, u.last_name, u.avatar_url,
-                    tm.role, tm.joined_at,
-                    (SELECT COUNT(*) FROM questions WHERE user_id = u.id AND team_id = ?) as question_count,
+                    u.totp_enabled_at IS NOT NULL as two_factor_enabled,
+                    tm.role, tm.custom_role_id, tr.name as custom_role_name, tm.joined_at, tm.reputation,
+                    (SELECT COUNT(*) FROM questions WHERE user_id = u.id AND team_id = ? AND deleted_at IS NULL) as question_count,
                     (SELECT COUNT(*) FROM answers a
                      JOIN questions q ON a.question_id = q.id
-                     WHERE a.user_id = u.id AND q.team_id = ?) as answer_count
+                     WHERE a.user_id = u.id AND q.team_id = ? AND a.deleted_at IS NULL AND q.deleted_at IS NULL) as answer_count
              FROM users u
              JOIN team_members tm ON u.id = tm.user_id
+             LEFT JOIN team_roles tr ON tr.id = tm.custom_role_id
              WHERE tm.team_id = ?
              ORDER BY tm.joined_at ASC`,
             [teamId, teamId, teamId]
@@ -48,11 +61,15 @@ router.get('/:teamId/members', authenticateToken, requireTeamAdmin, async (req,
     }
 });
 
-// Update member role (admin only)
+// Update member role (admin only). role is a built-in role, or 'custom' with
+// customRoleId set to one of the team's roles.
 router.put('/:teamId/members/:memberId/role',
     authenticateToken,
     requireTeamAdmin,
-    [body('role').isIn(['admin', 'member'])],
+    [
+        body('role').isIn([...Object.keys(ROLES), 'custom']),
+        body('customRoleId').if(body('role').equals('custom')).isInt().toInt()
+    ],
     async (req, res) => {
         try {
             const errors = validationResult(req);
@@ -62,14 +79,35 @@ router.put('/:teamId/members/:memberId/role',
 
             const { teamId, memberId } = req.params;
             const { role } = req.body;
+            const customRoleId = role === 'custom' ? req.body.customRoleId : null;
 
             // Cannot change own role
             if (parseInt(memberId) === req.user.userId) {
                 return res.status(400).json({ error: 'You cannot change your own role' });
             }
 
+            const [member] = await db.query(
+                'SELECT role, custom_role_id FROM team_members WHERE team_id = ? AND user_id = ?',
+                [teamId, memberId]
+            );
+
+            if (member.length === 0) {
+                return res.status(404).json({ error: 'Member not found' });
+            }
+
+            if (customRoleId) {
+                const [customRoles] = await db.query(
+                    'SELECT id FROM team_roles WHERE id = ? AND team_id = ?',
+                    [customRoleId, teamId]
+                );
+
+                if (customRoles.length === 0) {
+                    return res.status(404).json({ error: 'Role not found' });
+                }
+            }
+
             // Check if demoting would leave team without admins
-            if (role === 'member') {
+            if (member[0].role === 'admin' && role !== 'admin') {
                 const [admins] = await db.query(
                     `SELECT COUNT(*) as count FROM team_members
                      WHERE team_id = ? AND role = 'admin' AND user_id != ?`,
@@ -83,12 +121,23 @@ router.put('/:teamId/members/:memberId/role',
                 }
             }
 
-            // Update role
+            // Update role; SSO team rules no longer manage a role set by hand
             await db.query(
-                'UPDATE team_members SET role = ? WHERE team_id = ? AND user_id = ?',
-                [role, teamId, memberId]
+                `UPDATE team_members
+                 SET role = ?, custom_role_id = ?, sso_managed = FALSE, sso_prior_role = NULL, sso_prior_custom_role_id = NULL
+                 WHERE team_id = ? AND user_id = ?`,
+                [role, customRoleId, teamId, memberId]
             );
 
+            await recordAudit(req, {
+                teamId,
+                action: 'member.role_changed',
+                targetType: 'user',
+                targetId: parseInt(memberId),
+                before: { role: member[0].role, customRoleId: member[0].custom_role_id },
+                after: { role, customRoleId }
+            });
+
             res.json({ message: 'Member role updated successfully' });
         } catch (error) {
             console.error('Update member role error:', error);
@@ -138,6 +187,19 @@ router.delete('/:teamId/members/:memberId', authenticateToken, requireTeamAdmin,
             [teamId, memberId]
         );
 
+        await recordAudit(req, {
+            teamId,
+            action: 'member.removed',
+            targetType: 'user',
+            targetId: parseInt(memberId),
+            before: {
+                role: member[0].role,
+                customRoleId: member[0].custom_role_id,
+                reputation: member[0].reputation,
+                joinedAt: member[0].joined_at
+            }
+        });
+
         res.json({ message: 'Member removed successfully' });
     } catch (error) {
         console.error('Remove member error:', error);
@@ -145,6 +207,399 @@ router.delete('/:teamId/members/:memberId', authenticateToken, requireTeamAdmin,
     }
 });
 
+// Sign a member out of every session, e.g. after a lost device (admin only)
+router.post('/:teamId/members/:memberId/logout', authenticateToken, requireTeamAdmin, async (req, res) => {
+    try {
+        const { teamId, memberId } = req.params;
+
+        const [member] = await db.query(
+            'SELECT user_id FROM team_members WHERE team_id = ? AND user_id = ?',
+            [teamId, memberId]
+        );
+
+        if (member.length === 0) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        const revoked = await revokeUserSessions(member[0].user_id);
+
+        await recordAudit(req, {
+            teamId,
+            action: 'member.signed_out',
+            targetType: 'user',
+            targetId: member[0].user_id,
+            after: { sessionsRevoked: revoked }
+        });
+
+        res.json({ message: 'Member signed out of all sessions', revoked });
+    } catch (error) {
+        console.error('Force logout error:', error);
+        res.status(500).json({ error: 'Failed to sign member out' });
+    }
+});
+
+// Roles members can have: the built-in ones and the team's custom roles, with
+// the actions a custom role can grant (admin only)
+router.get('/:teamId/roles', authenticateToken, requireTeamAdmin, async (req, res) => {
+    try {
+        const [customRoles] = await db.query(
+            `SELECT tr.id, tr.name, tr.permissions, tr.reputation_privileges,
+                    (SELECT COUNT(*) FROM team_members WHERE team_id = tr.team_id AND role = 'custom'
+                     AND custom_role_id = tr.id) as member_count
+             FROM team_roles tr
+             WHERE tr.team_id = ?
+             ORDER BY tr.name ASC`,
+            [req.params.teamId]
+        );
+
+        res.json({
+            actions: Object.entries(ACTIONS).map(([action, rule]) => ({
+                action,
+                label: rule.label,
+                reputation: !!PRIVILEGES[action]
+            })),
+            roles: Object.entries(ROLES).map(([name, role]) => ({ name, ...role })),
+            customRoles: customRoles.map(role => ({
+                id: role.id,
+                name: role.name,
+                permissions: role.permissions ? role.permissions.split(',') : [],
+                reputationPrivileges: !!role.reputation_privileges,
+                memberCount: role.member_count
+            }))
+        });
+    } catch (error) {
+        console.error('Get roles error:', error);
+        res.status(500).json({ error: 'Failed to get roles' });
+    }
+});
+
+const customRoleValidators = [
+    body('name').trim().isLength({ min: 1, max: 50 }),
+    body('permissions').isArray(),
+    body('permissions.*').isIn(Object.keys(ACTIONS)),
+    body('reputationPrivileges').optional().isBoolean().toBoolean()
+];
+
+function customRoleSnapshot(role) {
+    return {
+        name: role.name,
+        permissions: role.permissions ? role.permissions.split(',') : [],
+        reputationPrivileges: !!role.reputation_privileges
+    };
+}
+
+// Create or update a custom role. Every role can view, so view is always included.
+async function saveCustomRole(req, res, roleId) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { teamId } = req.params;
+    const { name, reputationPrivileges = true } = req.body;
+    const permissions = [...new Set(['view', ...req.body.permissions])].join(',');
+
+    const [existing] = await db.query(
+        'SELECT id FROM team_roles WHERE team_id = ? AND name = ? AND id != ?',
+        [teamId, name, roleId || 0]
+    );
+
+    if (existing.length > 0) {
+        return res.status(400).json({ error: 'A role with this name already exists' });
+    }
+
+    const after = customRoleSnapshot({ name, permissions, reputation_privileges: reputationPrivileges });
+
+    if (!roleId) {
+        const [result] = await db.query(
+            'INSERT INTO team_roles (team_id, name, permissions, reputation_privileges) VALUES (?, ?, ?, ?)',
+            [teamId, name, permissions, reputationPrivileges]
+        );
+
+        await recordAudit(req, { teamId, action: 'role.created', targetType: 'role', targetId: result.insertId, after });
+
+        return res.status(201).json({ message: 'Role created successfully', id: result.insertId });
+    }
+
+    const [roles] = await db.query('SELECT * FROM team_roles WHERE id = ? AND team_id = ?', [roleId, teamId]);
+    if (roles.length === 0) {
+        return res.status(404).json({ error: 'Role not found' });
+    }
+
+    await db.query(
+        'UPDATE team_roles SET name = ?, permissions = ?, reputation_privileges = ? WHERE id = ?',
+        [name, permissions, reputationPrivileges, roleId]
+    );
+
+    await recordAudit(req, {
+        teamId,
+        action: 'role.updated',
+        targetType: 'role',
+        targetId: roleId,
+        before: customRoleSnapshot(roles[0]),
+        after
+    });
+
+    res.json({ message: 'Role updated successfully' });
+}
+
+// Create a custom role (admin only)
+router.post('/:teamId/roles',
+    authenticateToken,
+    requireTeamAdmin,
+    customRoleValidators,
+    async (req, res) => {
+        try {
+            await saveCustomRole(req, res, null);
+        } catch (error) {
+            console.error('Create role error:', error);
+            res.status(500).json({ error: 'Failed to create role' });
+        }
+    }
+);
+
+// Update a custom role (admin only)
+router.put('/:teamId/roles/:roleId',
+    authenticateToken,
+    requireTeamAdmin,
+    customRoleValidators,
+    async (req, res) => {
+        try {
+            await saveCustomRole(req, res, parseInt(req.params.roleId));
+        } catch (error) {
+            console.error('Update role error:', error);
+            res.status(500).json({ error: 'Failed to update role' });
+        }
+    }
+);
+
+// Delete a custom role that no one has (admin only)
+router.delete('/:teamId/roles/:roleId', authenticateToken, requireTeamAdmin, async (req, res) => {
+    try {
+        const { teamId, roleId } = req.params;
+
+        const [members] = await db.query(
+            `SELECT COUNT(*) as count FROM team_members
+             WHERE team_id = ? AND role = 'custom' AND custom_role_id = ?`,
+            [teamId, roleId]
+        );
+
+        if (members[0].count > 0) {
+            return res.status(400).json({
+                error: 'This role is still assigned to members. Give them another role first.'
+            });
+        }
+
+        const [roles] = await db.query('SELECT * FROM team_roles WHERE id = ? AND team_id = ?', [roleId, teamId]);
+        if (roles.length === 0) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+
+        await db.query('DELETE FROM team_roles WHERE id = ?', [roleId]);
+
+        await recordAudit(req, {
+            teamId,
+            action: 'role.deleted',
+            targetType: 'role',
+            targetId: parseInt(roleId),
+            before: customRoleSnapshot(roles[0])
+        });
+
+        res.json({ message: 'Role deleted successfully' });
+    } catch (error) {
+        console.error('Delete role error:', error);
+        res.status(500).json({ error: 'Failed to delete role' });
+    }
+});
+
+// Get reputation thresholds for privileges (admin only)
+router.get('/:teamId/privileges', authenticateToken, requireTeamAdmin, async (req, res) => {
+    try {
+        const thresholds = await getThresholds(req.params.teamId);
+
+        res.json(Object.entries(PRIVILEGES).map(([action, privilege]) => ({
+            action,
+            label: privilege.label,
+            minReputation: thresholds[action],
+            defaultReputation: privilege.threshold
+        })));
+    } catch (error) {
+        console.error('Get privileges error:', error);
+        res.status(500).json({ error: 'Failed to get privileges' });
+    }
+});
+
+// Set the reputation needed for a privilege (admin only)
+router.put('/:teamId/privileges/:action',
+    authenticateToken,
+    requireTeamAdmin,
+    [body('minReputation').isInt({ min: 0 }).toInt()],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { teamId, action } = req.params;
+            const { minReputation } = req.body;
+
+            if (!PRIVILEGES[action]) {
+                return res.status(404).json({ error: 'Unknown privilege' });
+            }
+
+            const thresholds = await getThresholds(teamId);
+
+            // Back to the default: drop the override
+            if (minReputation === PRIVILEGES[action].threshold) {
+                await db.query(
+                    'DELETE FROM team_privileges WHERE team_id = ? AND action = ?',
+                    [teamId, action]
+                );
+            } else {
+                await db.query(
+                    `INSERT INTO team_privileges (team_id, action, min_reputation) VALUES (?, ?, ?)
+                     ON DUPLICATE KEY UPDATE min_reputation = VALUES(min_reputation)`,
+                    [teamId, action, minReputation]
+                );
+            }
+
+            await recordAudit(req, {
+                teamId,
+                action: 'privilege.updated',
+                targetType: 'privilege',
+                before: { action, minReputation: thresholds[action] },
+                after: { action, minReputation }
+            });
+
+            res.json({ message: 'Privilege updated successfully' });
+        } catch (error) {
+            console.error('Update privilege error:', error);
+            res.status(500).json({ error: 'Failed to update privilege' });
+        }
+    }
+);
+
+// Get team settings (admin only)
+router.get('/:teamId/settings', authenticateToken, requireTeamAdmin, async (req, res) => {
+    try {
+        const [teams] = await db.query(
+            `SELECT close_votes_required, flags_to_hide, sso_domains, sso_group, sso_admin_group, require_two_factor
+             FROM teams WHERE id = ?`,
+            [req.params.teamId]
+        );
+
+        if (teams.length === 0) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        res.json({
+            closeVotesRequired: teams[0].close_votes_required,
+            flagsToHide: teams[0].flags_to_hide,
+            ssoDomains: teams[0].sso_domains ? teams[0].sso_domains.split(',') : [],
+            ssoGroup: teams[0].sso_group,
+            ssoAdminGroup: teams[0].sso_admin_group,
+            requireTwoFactor: teams[0].require_two_factor
+        });
+    } catch (error) {
+        console.error('Get settings error:', error);
+        res.status(500).json({ error: 'Failed to get team settings' });
+    }
+});
+
+// Update team settings (admin only)
+router.put('/:teamId/settings',
+    authenticateToken,
+    requireTeamAdmin,
+    [
+        body('closeVotesRequired').optional().isInt({ min: 1, max: 50 }).toInt(),
+        body('flagsToHide').optional().isInt({ min: 0, max: 50 }).toInt(),
+        body('ssoDomains').optional().isArray({ max: 20 }),
+        body('ssoDomains.*').trim().toLowerCase().isFQDN(),
+        body('ssoGroup').optional({ nullable: true }).trim().isLength({ max: 255 }),
+        body('ssoAdminGroup').optional({ nullable: true }).trim().isLength({ max: 255 }),
+        body('requireTwoFactor').optional().isIn(REQUIREMENTS)
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { closeVotesRequired, flagsToHide, ssoDomains, ssoGroup, ssoAdminGroup, requireTwoFactor } = req.body;
+
+            const updates = [];
+            const params = [];
+
+            if (closeVotesRequired !== undefined) {
+                updates.push('close_votes_required = ?');
+                params.push(closeVotesRequired);
+            }
+
+            // Pending flags that hide a post until a moderator looks at it (0 never hides)
+            if (flagsToHide !== undefined) {
+                updates.push('flags_to_hide = ?');
+                params.push(flagsToHide);
+            }
+
+            // SSO auto-join rules; empty values turn a rule off
+            if (ssoDomains !== undefined) {
+                updates.push('sso_domains = ?');
+                params.push(ssoDomains.length > 0 ? [...new Set(ssoDomains)].join(',') : null);
+            }
+
+            if (ssoGroup !== undefined) {
+                updates.push('sso_group = ?');
+                params.push(ssoGroup || null);
+            }
+
+            if (ssoAdminGroup !== undefined) {
+                updates.push('sso_admin_group = ?');
+                params.push(ssoAdminGroup || null);
+            }
+
+            if (requireTwoFactor !== undefined) {
+                // Don't let admins lock themselves out of this page
+                if (requireTwoFactor !== 'off' && !req.user.twoFactor) {
+                    return res.status(400).json({
+                        error: 'Set up two-factor authentication and sign in with it before requiring it for the team'
+                    });
+                }
+
+                updates.push('require_two_factor = ?');
+                params.push(requireTwoFactor);
+            }
+
+            if (updates.length === 0) {
+                return res.status(400).json({ error: 'No updates provided' });
+            }
+
+            // Audit the changed columns, before and after
+            const columns = updates.map(update => update.split(' = ')[0]);
+            const [before] = await db.query(`SELECT ${columns.join(', ')} FROM teams WHERE id = ?`, [req.params.teamId]);
+            const after = Object.fromEntries(columns.map((column, i) => [column, params[i]]));
+
+            params.push(req.params.teamId);
+            await db.query(`UPDATE teams SET ${updates.join(', ')} WHERE id = ?`, params);
+
+            await recordAudit(req, {
+                teamId: req.params.teamId,
+                action: 'settings.updated',
+                targetType: 'team',
+                targetId: parseInt(req.params.teamId),
+                before: before[0],
+                after
+            });
+
+            res.json({ message: 'Team settings updated successfully' });
+        } catch (error) {
+            console.error('Update settings error:', error);
+            res.status(500).json({ error: 'Failed to update team settings' });
+        }
+    }
+);
+
 // Get pending invites (admin only)
 router.get('/:teamId/invites', authenticateToken, requireTeamAdmin, async (req, res) => {
     try {
@@ -209,17 +664,43 @@ router.post('/:teamId/invites',
             const token = crypto.randomBytes(32).toString('hex');
 
             // Create invite
-            await db.query(
+            const [invite] = await db.query(
                 `INSERT INTO team_invites (team_id, email, invited_by, token)
                  VALUES (?, ?, ?, ?)`,
                 [teamId, email, req.user.userId, token]
             );
 
-            // Get team info for the invite link
-            const [team] = await db.query('SELECT slug FROM teams WHERE id = ?', [teamId]);
+            await recordAudit(req, {
+                teamId,
+                action: 'invite.created',
+                targetType: 'invite',
+                targetId: invite.insertId,
+                after: { email }
+            });
+
+            // Email the invite link. Without APP_URL the admin shares the link themselves.
+            const baseUrl = appUrl();
+            if (baseUrl) {
+                const [team] = await db.query('SELECT name FROM teams WHERE id = ?', [teamId]);
+                const [inviter] = await db.query('SELECT first_name, last_name FROM users WHERE id = ?', [req.user.userId]);
+
+                await queueMail({
+                    to: email,
+                    template: 'invite',
+                    data: {
+                        teamName: team[0].name,
+                        inviterName: `${inviter[0].first_name} ${inviter[0].last_name}`,
+                        link: `${baseUrl}/invite/${token}`,
+                        expiresInDays: 7
+                    }
+                });
+            } else {
+                console.error('Invite email not sent: set APP_URL to send emails with links');
+            }
 
             res.status(201).json({
-                message: 'Invite created successfully',
+                message: baseUrl ? 'Invite sent successfully' : 'Invite created. Share the link below; emails need APP_URL to be set',
+                emailed: !!baseUrl,
                 inviteLink: `/invite/${token}`,
                 token
             });
@@ -251,6 +732,15 @@ router.delete('/:teamId/invites/:inviteId', authenticateToken, requireTeamAdmin,
             ['cancelled', inviteId]
         );
 
+        await recordAudit(req, {
+            teamId,
+            action: 'invite.cancelled',
+            targetType: 'invite',
+            targetId: parseInt(inviteId),
+            before: { email: invite[0].email, status: invite[0].status },
+            after: { email: invite[0].email, status: 'cancelled' }
+        });
+
         res.json({ message: 'Invite cancelled successfully' });
     } catch (error) {
         console.error('Cancel invite error:', error);
@@ -258,4 +748,417 @@ router.delete('/:teamId/invites/:inviteId', authenticateToken, requireTeamAdmin,
     }
 });
 
+// Audit log of admin and moderation actions (admin only). Filters: action
+// (e.g. member.removed, or member. for every member action), actorId,
+// targetType, targetId, from and to (ISO dates). format=csv downloads every
+// matching entry as CSV; otherwise entries are paged with page and limit.
+router.get('/:teamId/audit',
+    authenticateToken,
+    requireTeamAdmin,
+    [
+        query('action').optional().trim().isLength({ max: 50 }),
+        query('actorId').optional().isInt().toInt(),
+        query('targetType').optional().trim().isLength({ max: 30 }),
+        query('targetId').optional().isInt().toInt(),
+        query('from').optional().isISO8601().toDate(),
+        query('to').optional().isISO8601().toDate(),
+        query('format').optional().isIn(['json', 'csv']),
+        query('page').optional().isInt({ min: 1 }).toInt(),
+        query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { teamId } = req.params;
+            const { action, actorId, targetType, targetId, from, to, format, page = 1, limit = 50 } = req.query;
+            const filters = { action, actorId, targetType, targetId, from, to };
+
+            if (format === 'csv') {
+                const { entries } = await getAuditLog(teamId, filters, { limit: null });
+
+                res.set('Content-Type', 'text/csv; charset=utf-8');
+                res.set('Content-Disposition', `attachment; filename="audit-team-${teamId}.csv"`);
+                return res.send(auditLogCsv(entries));
+            }
+
+            const { entries, total } = await getAuditLog(teamId, filters, { limit, offset: (page - 1) * limit });
+
+            res.json({
+                entries,
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            });
+        } catch (error) {
+            console.error('Get audit log error:', error);
+            res.status(500).json({ error: 'Failed to get audit log' });
+        }
+    }
+);
+
+// Deleted questions, answers or comments (type, default question), most
+// recently deleted first (admin only). purge_at is when each one is deleted
+// for good (null if the trash is kept forever).
+router.get('/:teamId/trash',
+    authenticateToken,
+    requireTeamAdmin,
+    [
+        query('type').optional().isIn(POST_TYPES),
+        query('page').optional().isInt({ min: 1 }).toInt(),
+        query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { teamId } = req.params;
+            const { type = 'question', page = 1, limit = 50 } = req.query;
+
+            const { items, total } = await getTrash(teamId, type, { limit, offset: (page - 1) * limit });
+
+            res.json({
+                items,
+                retentionDays: trashConfig.retentionDays,
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            });
+        } catch (error) {
+            console.error('Get trash error:', error);
+            res.status(500).json({ error: 'Failed to get trash' });
+        }
+    }
+);
+
+// Restore a deleted post (admin only). Answers and comments under a deleted
+// question or answer can't be restored until it is.
+router.post('/:teamId/trash/:postType/:postId/restore',
+    authenticateToken,
+    requireTeamAdmin,
+    [
+        param('postType').isIn(POST_TYPES),
+        param('postId').isInt().toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { teamId, postType, postId } = req.params;
+
+            const post = await loadTrashedPost(postType, postId);
+            if (!post || post.team_id !== parseInt(teamId)) {
+                return res.status(404).json({ error: 'Post not found in the trash' });
+            }
+
+            const { restored, error } = await restorePost(postType, postId);
+            if (!restored) {
+                return res.status(400).json({ error });
+            }
+
+            await recordAudit(req, {
+                teamId,
+                action: `${postType}.restored`,
+                targetType: postType,
+                targetId: postId,
+                after: { authorId: post.user_id }
+            });
+
+            res.json({ message: 'Restored successfully' });
+        } catch (error) {
+            console.error('Restore post error:', error);
+            res.status(500).json({ error: 'Failed to restore post' });
+        }
+    }
+);
+
+// Delete a post in the trash for good, without waiting for the retention
+// period (admin only)
+router.delete('/:teamId/trash/:postType/:postId',
+    authenticateToken,
+    requireTeamAdmin,
+    [
+        param('postType').isIn(POST_TYPES),
+        param('postId').isInt().toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { teamId, postType, postId } = req.params;
+
+            const post = await loadTrashedPost(postType, postId);
+            if (!post || post.team_id !== parseInt(teamId)) {
+                return res.status(404).json({ error: 'Post not found in the trash' });
+            }
+
+            await purgePost(postType, postId);
+
+            await recordAudit(req, {
+                teamId,
+                action: `${postType}.purged`,
+                targetType: postType,
+                targetId: postId,
+                before: { authorId: post.user_id }
+            });
+
+            res.json({ message: 'Deleted permanently' });
+        } catch (error) {
+            console.error('Purge post error:', error);
+            res.status(500).json({ error: 'Failed to delete post permanently' });
+        }
+    }
+);
+
+// Moderation queue: posts with pending flags, most flagged first, each with
+// its flags (admin only). hidden means enough flags hid the post.
+router.get('/:teamId/flags',
+    authenticateToken,
+    requireTeamAdmin,
+    [
+        query('page').optional().isInt({ min: 1 }).toInt(),
+        query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { teamId } = req.params;
+            const { page = 1, limit = 20 } = req.query;
+
+            const { items, total } = await flags.getFlagQueue(teamId, { limit, offset: (page - 1) * limit });
+
+            res.json({
+                items,
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            });
+        } catch (error) {
+            console.error('Get flags error:', error);
+            res.status(500).json({ error: 'Failed to get flags' });
+        }
+    }
+);
+
+// Edit a flagged post as a moderator (bringing it back if it was hidden)
+async function editFlaggedPost(req, postType, post) {
+    const { title, body: text, editSummary } = req.body;
+
+    if (postType === 'comment') {
+        await db.query('UPDATE comments SET body = ? WHERE id = ?', [text, post.id]);
+        return;
+    }
+
+    await ensureInitialRevision(postType, post.id);
+
+    if (postType === 'question') {
+        await db.query(
+            'UPDATE questions SET title = COALESCE(?, title), body = COALESCE(?, body) WHERE id = ?',
+            [title || null, text || null, post.id]
+        );
+    } else {
+        await db.query('UPDATE answers SET body = ? WHERE id = ?', [text, post.id]);
+    }
+
+    await recordRevision({
+        postType,
+        postId: post.id,
+        userId: req.user.userId,
+        editSummary: editSummary || 'Edited after being flagged'
+    });
+}
+
+// Shared handler for resolving a flagged post's pending flags with an outcome:
+//   dismissed - the flags were wrong; a hidden post comes back
+//   edited    - fixed with an edit (title, body, editSummary); a hidden post comes back
+//   deleted   - moved to the trash
+//   warned    - the author is notified; the post stays as it is
+// Everyone who flagged it is notified of the outcome.
+function flagOutcomeHandler(outcome) {
+    return async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { teamId, postType, postId } = req.params;
+
+            const post = await flags.loadFlaggedPost(postType, postId);
+            if (!post || post.team_id !== parseInt(teamId)) {
+                return res.status(404).json({ error: 'Post not found' });
+            }
+
+            const pending = await flags.getPendingFlags(postType, postId);
+            if (pending.length === 0) {
+                return res.status(404).json({ error: 'This post has no pending flags' });
+            }
+
+            const hidden = flags.isHidden(post);
+
+            if (outcome === 'edited') {
+                if (post.deleted_at && !hidden) {
+                    return res.status(400).json({ error: 'This post was deleted. Restore it from the trash to edit it.' });
+                }
+                if (postType === 'question' ? !req.body.title && !req.body.body : !req.body.body) {
+                    return res.status(400).json({ error: 'No updates provided' });
+                }
+            }
+
+            if (outcome === 'dismissed' || outcome === 'edited') {
+                const { restored, error } = await flags.unhidePost(postType, post);
+                if (!restored) {
+                    return res.status(400).json({ error });
+                }
+            }
+
+            if (outcome === 'edited') {
+                await editFlaggedPost(req, postType, post);
+            } else if (outcome === 'deleted') {
+                await flags.deleteFlaggedPost(postType, post, req.user.userId);
+            }
+
+            await flags.resolveFlags(pending, outcome, req.user.userId);
+
+            const postIds = {
+                teamId: post.team_id,
+                questionId: post.question_id,
+                answerId: post.answer_id,
+                commentId: post.comment_id
+            };
+
+            if (outcome === 'warned') {
+                await createNotification({
+                    userId: post.user_id,
+                    actorId: req.user.userId,
+                    ...postIds,
+                    type: 'warning',
+                    flagId: pending[0].id
+                });
+            }
+
+            for (const flag of pending) {
+                await createNotification({
+                    userId: flag.user_id,
+                    actorId: req.user.userId,
+                    ...postIds,
+                    type: 'flag_resolved',
+                    flagId: flag.id
+                });
+            }
+
+            await recordAudit(req, {
+                teamId: post.team_id,
+                action: `flag.${outcome}`,
+                targetType: postType,
+                targetId: post.id,
+                before: {
+                    authorId: post.user_id,
+                    hidden,
+                    reasons: pending.map(flag => flag.reason)
+                }
+            });
+
+            res.json({ message: 'Flags resolved', outcome });
+        } catch (error) {
+            console.error('Resolve flags error:', error);
+            res.status(500).json({ error: 'Failed to resolve flags' });
+        }
+    };
+}
+
+const flaggedPostParams = [
+    param('postType').isIn(flags.FLAGGABLE_TYPES),
+    param('postId').isInt().toInt()
+];
+
+router.post('/:teamId/flags/:postType/:postId/dismiss',
+    authenticateToken, requireTeamAdmin, flaggedPostParams, flagOutcomeHandler('dismissed'));
+
+router.post('/:teamId/flags/:postType/:postId/edit',
+    authenticateToken,
+    requireTeamAdmin,
+    [
+        ...flaggedPostParams,
+        body('title').optional().trim().notEmpty().isLength({ max: 500 }),
+        body('body').optional().trim().notEmpty().isLength({ max: 30000 }),
+        body('editSummary').optional().trim().isLength({ max: 300 })
+    ],
+    flagOutcomeHandler('edited')
+);
+
+router.post('/:teamId/flags/:postType/:postId/delete',
+    authenticateToken, requireTeamAdmin, flaggedPostParams, flagOutcomeHandler('deleted'));
+
+router.post('/:teamId/flags/:postType/:postId/warn',
+    authenticateToken, requireTeamAdmin, flaggedPostParams, flagOutcomeHandler('warned'));
+
+// Download everything the team has as an archive that npm run team:import
+// recreates on another instance (admin only). format=ndjson writes one
+// record per line instead of a single JSON document.
+router.get('/:teamId/export',
+    authenticateToken,
+    requireTeamAdmin,
+    [
+        query('format').optional().isIn(['json', 'ndjson'])
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { teamId } = req.params;
+            const format = req.query.format || 'json';
+
+            const archive = await exportTeam(teamId);
+            if (!archive) {
+                return res.status(404).json({ error: 'Team not found' });
+            }
+
+            await recordAudit(req, {
+                teamId,
+                action: 'team.exported',
+                targetType: 'team',
+                targetId: parseInt(teamId),
+                after: { format }
+            });
+
+            const filename = `${archive.team.slug}-${archive.exportedAt.toISOString().slice(0, 10)}.${format}`;
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+            if (format === 'ndjson') {
+                res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+                return res.send(archiveToNdjson(archive));
+            }
+
+            res.set('Content-Type', 'application/json; charset=utf-8');
+            res.send(JSON.stringify(archive));
+        } catch (error) {
+            console.error('Export team error:', error);
+            res.status(500).json({ error: 'Failed to export team' });
+        }
+    }
+);
+
 module.exports = router;
@@ -2,11 +2,20 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
-const { createNotification } = require('./notifications');
+const { authenticateToken, requireResourceMember } = require('../middleware/auth');
+const { quota } = require('../lib/rate-limit');
+const { createNotification, notifyMentions, notifyFollowers, notifyBadges } = require('./notifications');
+const { autoFollowQuestion } = require('./questions');
+const { renderMarkdown } = require('../lib/markdown');
+const { recordRevision, ensureInitialRevision } = require('../lib/revisions');
+const { applyAccept, revokeAccept } = require('../lib/reputation');
+const { can } = require('../lib/privileges');
+const { checkBadges } = require('../lib/badges');
+const { recordAudit } = require('../lib/audit');
+const { trashPost } = require('../lib/trash');
 
 // Get answers for a question
-router.get('/question/:questionId', async (req, res) => {
+router.get('/question/:questionId', authenticateToken, requireResourceMember('question', 'questionId'), async (req, res) => {
     try {
         const { questionId } = req.params;
         const { sort = 'score' } = req.query;
@@ -23,20 +32,22 @@ router.get('/question/:questionId', async (req, res) => {
                     u.id as user_id, u.first_name, u.last_name, u.avatar_url, u.bio
              FROM answers a
              JOIN users u ON a.user_id = u.id
-             WHERE a.question_id = ?
+             WHERE a.question_id = ? AND a.deleted_at IS NULL
              ORDER BY ${orderBy}`,
             [questionId]
         );
 
-        // Get user votes if authenticated
-        if (req.user) {
-            for (const answer of answers) {
-                const [votes] = await db.query(
-                    'SELECT vote_type FROM votes WHERE votable_type = ? AND votable_id = ? AND user_id = ?',
-                    ['answer', answer.id, req.user.userId]
-                );
-                answer.userVote = votes.length > 0 ? votes[0].vote_type : null;
-            }
+        for (const answer of answers) {
+            answer.body_html = renderMarkdown(answer.body);
+        }
+
+        // Get user votes
+        for (const answer of answers) {
+            const [votes] = await db.query(
+                'SELECT vote_type FROM votes WHERE votable_type = ? AND votable_id = ? AND user_id = ?',
+                ['answer', answer.id, req.user.userId]
+            );
+            answer.userVote = votes.length > 0 ? votes[0].vote_type : null;
         }
 
         res.json(answers);
@@ -49,9 +60,10 @@ router.get('/question/:questionId', async (req, res) => {
 // Create new answer
 router.post('/',
     authenticateToken,
+    quota('answers'),
     [
         body('questionId').isInt(),
-        body('body').trim().notEmpty()
+        body('body').trim().notEmpty().isLength({ max: 30000 })
     ],
     async (req, res) => {
         try {
@@ -64,7 +76,7 @@ router.post('/',
 
             // Verify question exists and user is team member
             const [questions] = await db.query(
-                'SELECT team_id, user_id, is_closed FROM questions WHERE id = ?',
+                'SELECT team_id, user_id, is_closed FROM questions WHERE id = ? AND deleted_at IS NULL',
                 [questionId]
             );
 
@@ -75,22 +87,13 @@ router.post('/',
             const question = questions[0];
             const teamId = question.team_id;
 
-            const [membership] = await db.query(
-                'SELECT role FROM team_members WHERE user_id = ? AND team_id = ?',
-                [req.user.userId, teamId]
-            );
-
-            if (membership.length === 0) {
-                return res.status(403).json({ error: 'Not a member of this team' });
+            if (!(await can(req.user, 'post', { teamId }))) {
+                return res.status(403).json({ error: "You can't post in this team" });
             }
 
             // Check if question is closed (allow owner and admin to still answer)
-            if (question.is_closed) {
-                const isOwner = question.user_id === req.user.userId;
-                const isAdmin = membership[0].role === 'admin';
-                if (!isOwner && !isAdmin) {
-                    return res.status(403).json({ error: 'This question is closed and not accepting new answers' });
-                }
+            if (question.is_closed && !(await can(req.user, 'answer_closed', { teamId, ownerId: question.user_id }))) {
+                return res.status(403).json({ error: 'This question is closed and not accepting new answers' });
             }
 
             // Create answer
@@ -105,6 +108,13 @@ router.post('/',
                 [questionId]
             );
 
+            // Revision 1 holds the original text
+            await recordRevision({
+                postType: 'answer',
+                postId: result.insertId,
+                userId: req.user.userId
+            });
+
             // Notify question author about new answer
             await createNotification({
                 userId: question.user_id,
@@ -114,6 +124,28 @@ router.post('/',
                 type: 'answer'
             });
 
+            // Notify mentioned team members, then the question's followers
+            const mentioned = await notifyMentions({
+                teamId,
+                actorId: req.user.userId,
+                questionId,
+                answerId: result.insertId,
+                body
+            });
+
+            await notifyFollowers({
+                actorId: req.user.userId,
+                questionId,
+                answerId: result.insertId,
+                type: 'follow_answer',
+                exclude: [question.user_id, ...mentioned]
+            });
+
+            await autoFollowQuestion(req.user.userId, questionId);
+
+            const awards = await checkBadges({ teamId, userIds: [req.user.userId], event: 'answer' });
+            await notifyBadges({ teamId, awards });
+
             res.status(201).json({
                 message: 'Answer created successfully',
                 answerId: result.insertId
@@ -128,15 +160,25 @@ router.post('/',
 // Update answer
 router.put('/:id',
     authenticateToken,
-    [body('body').trim().notEmpty()],
+    [
+        body('body').trim().notEmpty().isLength({ max: 30000 }),
+        body('editSummary').optional().trim().isLength({ max: 300 })
+    ],
     async (req, res) => {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
             const { id } = req.params;
-            const { body } = req.body;
+            const { body, editSummary } = req.body;
 
-            // Check if user owns the answer
             const [answers] = await db.query(
-                'SELECT user_id, question_id FROM answers WHERE id = ?',
+                `SELECT a.user_id, a.question_id, a.body, q.team_id
+                 FROM answers a
+                 JOIN questions q ON a.question_id = q.id
+                 WHERE a.id = ? AND a.deleted_at IS NULL AND q.deleted_at IS NULL`,
                 [id]
             );
 
@@ -144,22 +186,50 @@ router.put('/:id',
                 return res.status(404).json({ error: 'Answer not found' });
             }
 
-            if (answers[0].user_id !== req.user.userId) {
+            if (!(await can(req.user, 'edit', { teamId: answers[0].team_id, ownerId: answers[0].user_id }))) {
                 return res.status(403).json({ error: 'Not authorized to edit this answer' });
             }
 
+            // Keep the original text if this is the first edit since revisions were introduced
+            await ensureInitialRevision('answer', id);
+
             // Update answer
             await db.query(
                 'UPDATE answers SET body = ? WHERE id = ?',
                 [body, id]
             );
 
+            await recordRevision({
+                postType: 'answer',
+                postId: parseInt(id),
+                userId: req.user.userId,
+                editSummary
+            });
+
             // Update question last activity
             await db.query(
                 'UPDATE questions SET last_activity_at = CURRENT_TIMESTAMP WHERE id = ?',
                 [answers[0].question_id]
             );
 
+            // Notify members newly mentioned by this edit, then the question's followers
+            const mentioned = await notifyMentions({
+                teamId: answers[0].team_id,
+                actorId: req.user.userId,
+                questionId: answers[0].question_id,
+                answerId: parseInt(id),
+                body,
+                previousBody: answers[0].body
+            });
+
+            await notifyFollowers({
+                actorId: req.user.userId,
+                questionId: answers[0].question_id,
+                answerId: parseInt(id),
+                type: 'edited',
+                exclude: mentioned
+            });
+
             res.json({ message: 'Answer updated successfully' });
         } catch (error) {
             console.error('Update answer error:', error);
@@ -173,12 +243,11 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Check if user owns the answer or is team admin
         const [answers] = await db.query(
             `SELECT a.user_id, a.question_id, q.team_id
              FROM answers a
              JOIN questions q ON a.question_id = q.id
-             WHERE a.id = ?`,
+             WHERE a.id = ? AND a.deleted_at IS NULL AND q.deleted_at IS NULL`,
             [id]
         );
 
@@ -188,24 +257,23 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
         const answer = answers[0];
 
-        // Check if user owns it or is admin
-        const [membership] = await db.query(
-            'SELECT role FROM team_members WHERE user_id = ? AND team_id = ?',
-            [req.user.userId, answer.team_id]
-        );
-
-        if (answer.user_id !== req.user.userId && (!membership.length || membership[0].role !== 'admin')) {
+        if (!(await can(req.user, 'delete', { teamId: answer.team_id, ownerId: answer.user_id }))) {
             return res.status(403).json({ error: 'Not authorized to delete this answer' });
         }
 
-        // Delete answer
-        await db.query('DELETE FROM answers WHERE id = ?', [id]);
-
-        // Update question answer count
-        await db.query(
-            'UPDATE questions SET answer_count = answer_count - 1, last_activity_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [answer.question_id]
-        );
+        // Moves it (with its comments) to the team's trash
+        await trashPost('answer', parseInt(id), req.user.userId);
+
+        // Deleting someone else's answer is a moderation action
+        if (answer.user_id !== req.user.userId) {
+            await recordAudit(req, {
+                teamId: answer.team_id,
+                action: 'answer.deleted',
+                targetType: 'answer',
+                targetId: parseInt(id),
+                before: { questionId: answer.question_id, authorId: answer.user_id }
+            });
+        }
 
         res.json({ message: 'Answer deleted successfully' });
     } catch (error) {
@@ -224,7 +292,7 @@ router.post('/:id/unaccept', authenticateToken, async (req, res) => {
             `SELECT a.*, q.team_id, q.user_id as question_owner_id
              FROM answers a
              JOIN questions q ON a.question_id = q.id
-             WHERE a.id = ?`,
+             WHERE a.id = ? AND a.deleted_at IS NULL AND q.deleted_at IS NULL`,
             [id]
         );
 
@@ -239,17 +307,8 @@ router.post('/:id/unaccept', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'Answer is not currently approved' });
         }
 
-        // Check if user is question owner or admin
-        const [membership] = await db.query(
-            'SELECT role FROM team_members WHERE user_id = ? AND team_id = ?',
-            [req.user.userId, answer.team_id]
-        );
-
-        const isQuestionOwner = answer.question_owner_id === req.user.userId;
-        const isAdmin = membership.length > 0 && membership[0].role === 'admin';
-
-        if (!isQuestionOwner && !isAdmin) {
-            return res.status(403).json({ error: 'Only the question author or an admin can remove the approved status' });
+        if (!(await can(req.user, 'unaccept', { teamId: answer.team_id, ownerId: answer.question_owner_id }))) {
+            return res.status(403).json({ error: 'Only the question author, a moderator or an admin can remove the approved status' });
         }
 
         // Unaccept the answer
@@ -258,6 +317,19 @@ router.post('/:id/unaccept', authenticateToken, async (req, res) => {
             [id]
         );
 
+        await revokeAccept(parseInt(id));
+
+        if (answer.question_owner_id !== req.user.userId) {
+            await recordAudit(req, {
+                teamId: answer.team_id,
+                action: 'answer.unaccepted',
+                targetType: 'answer',
+                targetId: answer.id,
+                before: { isAccepted: true },
+                after: { isAccepted: false }
+            });
+        }
+
         res.json({ message: 'Answer approval removed successfully' });
     } catch (error) {
         console.error('Unaccept answer error:', error);
@@ -275,7 +347,7 @@ router.post('/:id/accept', authenticateToken, async (req, res) => {
             `SELECT a.*, q.team_id
              FROM answers a
              JOIN questions q ON a.question_id = q.id
-             WHERE a.id = ?`,
+             WHERE a.id = ? AND a.deleted_at IS NULL AND q.deleted_at IS NULL`,
             [id]
         );
 
@@ -285,13 +357,7 @@ router.post('/:id/accept', authenticateToken, async (req, res) => {
 
         const answer = answers[0];
 
-        // Verify user is a member of the team
-        const [membership] = await db.query(
-            'SELECT * FROM team_members WHERE user_id = ? AND team_id = ?',
-            [req.user.userId, answer.team_id]
-        );
-
-        if (membership.length === 0) {
+        if (!(await can(req.user, 'accept', { teamId: answer.team_id }))) {
             return res.status(403).json({ error: 'Team membership required' });
         }
 
@@ -307,13 +373,40 @@ router.post('/:id/accept', authenticateToken, async (req, res) => {
             [id]
         );
 
-        // Notify answer author that their answer was accepted
-        await createNotification({
+        // Moves the accepted-answer reputation from any previous answer to this one
+        await applyAccept({ answerId: parseInt(id), actorId: req.user.userId });
+
+        const awards = await checkBadges({
+            teamId: answer.team_id,
+            userIds: [...new Set([answer.user_id, req.user.userId])],
+            event: 'accept'
+        });
+
+        // Notify answer author that their answer was accepted, showing a badge it earned them
+        const authorAwards = awards.filter(a => a.userId === answer.user_id);
+        const notified = await createNotification({
             userId: answer.user_id,
+            actorId: req.user.userId,
+            teamId: answer.team_id,
+            questionId: answer.question_id,
+            answerId: parseInt(id),
+            type: 'accepted',
+            badge: authorAwards.length > 0 ? authorAwards[0].badge : null
+        });
+
+        // Any other badges (or all of them, if the author accepted their own answer) get their own notification
+        await notifyBadges({
+            teamId: answer.team_id,
+            awards: notified ? awards.filter(a => a !== authorAwards[0]) : awards
+        });
+
+        // Notify the question's followers
+        await notifyFollowers({
             actorId: req.user.userId,
             questionId: answer.question_id,
             answerId: parseInt(id),
-            type: 'accepted'
+            type: 'follow_accepted',
+            exclude: [answer.user_id]
         });
 
         res.json({ message: 'Answer marked as approved successfully' });
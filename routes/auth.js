@@ -1,12 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
+const validator = require('validator');
 const db = require('../config/database');
+const { verifyToken, authenticateToken, requireSession } = require('../middleware/auth');
+const { queueMail, appUrl } = require('../lib/mail');
+const ldapConfig = require('../config/ldap');
+const ldap = require('../lib/ldap');
+const { signChallenge } = require('../lib/two-factor');
+const { sensitiveLimiter, tooManyRequests, checkLogin, loginFailed, loginSucceeded } = require('../lib/rate-limit');
+const {
+    createSession,
+    refreshSession,
+    findSessionId,
+    revokeSession,
+    revokeUserSessions,
+    listSessions,
+    clearTokens
+} = require('../lib/sessions');
+
+// How long a password reset link stays valid
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Reset tokens are stored hashed, so a leaked table can't be used to reset passwords
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
 
 // Register new user
 router.post('/register',
+    sensitiveLimiter,
     [
         body('email').isEmail().normalizeEmail(),
         body('password').isLength({ min: 6 }),
@@ -37,24 +62,13 @@ router.post('/register',
                 [email, passwordHash, firstName, lastName, workType, role]
             );
 
-            // Generate JWT token
-            const token = jwt.sign(
-                { userId: result.insertId, email },
-                process.env.JWT_SECRET,
-                { expiresIn: '7d' }
-            );
-
-            res.cookie('token', token, {
-                httpOnly: true,
-                secure: process.env.NODE_ENV === 'production',
-                sameSite: 'strict',
-                maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-            });
+            // Start a session
+            const tokens = await createSession(req, res, { id: result.insertId, email, token_version: 0 });
 
             res.status(201).json({
                 message: 'User created successfully',
                 userId: result.insertId,
-                token
+                ...tokens
             });
         } catch (error) {
             console.error('Registration error:', error);
@@ -63,10 +77,35 @@ router.post('/register',
     }
 );
 
-// Login
+// Check a directory login. Returns the KnowHow user, or null if the
+// directory doesn't accept the credentials (or can't be reached, so local
+// accounts can still sign in).
+async function ldapLogin(username, password) {
+    let entry;
+    try {
+        entry = await ldap.authenticate(username, password);
+    } catch (error) {
+        console.error('LDAP login error:', error);
+        return null;
+    }
+
+    if (!entry) {
+        return null;
+    }
+
+    const user = await ldap.userFromEntry(entry);
+    if (!user) {
+        console.warn(`LDAP user ${entry.dn} has no email address; they can't sign in`);
+    }
+    return user;
+}
+
+// Login. With LDAP enabled the email field also accepts a directory username.
 router.post('/login',
     [
-        body('email').isEmail().normalizeEmail(),
+        ldapConfig.enabled
+            ? body('email').trim().notEmpty()
+            : body('email').isEmail().normalizeEmail(),
         body('password').notEmpty()
     ],
     async (req, res) => {
@@ -78,38 +117,54 @@ router.post('/login',
 
             const { email, password } = req.body;
 
-            // Find user
-            const [users] = await db.query('SELECT * FROM users WHERE email = ?', [email]);
-            if (users.length === 0) {
-                return res.status(401).json({ error: 'Invalid email or password' });
+            const retryAfter = await checkLogin(req, email);
+            if (retryAfter) {
+                return tooManyRequests(res, retryAfter, 'Too many sign-in attempts. Please try again later.');
             }
 
-            const user = users[0];
+            let user = ldapConfig.enabled ? await ldapLogin(email, password) : null;
 
-            // Verify password
-            const validPassword = await bcrypt.compare(password, user.password_hash);
-            if (!validPassword) {
-                return res.status(401).json({ error: 'Invalid email or password' });
+            if (!user) {
+                // Emails are stored normalized; with LDAP on, the field wasn't
+                const localEmail = ldapConfig.enabled && validator.isEmail(email)
+                    ? validator.normalizeEmail(email)
+                    : email;
+
+                // Find user
+                const [users] = await db.query('SELECT * FROM users WHERE email = ?', [localEmail]);
+                if (users.length === 0) {
+                    await loginFailed(email);
+                    return res.status(401).json({ error: 'Invalid email or password' });
+                }
+
+                user = users[0];
+
+                // Verify password
+                const validPassword = await bcrypt.compare(password, user.password_hash);
+                if (!validPassword) {
+                    await loginFailed(email);
+                    return res.status(401).json({ error: 'Invalid email or password' });
+                }
             }
 
-            // Generate JWT token
-            const token = jwt.sign(
-                { userId: user.id, email: user.email },
-                process.env.JWT_SECRET,
-                { expiresIn: '7d' }
-            );
+            await loginSucceeded(email);
 
-            res.cookie('token', token, {
-                httpOnly: true,
-                secure: process.env.NODE_ENV === 'production',
-                sameSite: 'strict',
-                maxAge: 7 * 24 * 60 * 60 * 1000
-            });
+            // With two-factor on, the session is created at POST /api/auth/2fa/verify
+            if (user.totp_enabled_at) {
+                return res.json({
+                    message: 'Two-factor authentication required',
+                    twoFactorRequired: true,
+                    challengeToken: signChallenge(user)
+                });
+            }
+
+            // Start a session
+            const tokens = await createSession(req, res, user);
 
             res.json({
                 message: 'Login successful',
                 userId: user.id,
-                token,
+                ...tokens,
                 user: {
                     id: user.id,
                     email: user.email,
@@ -124,16 +179,201 @@ router.post('/login',
     }
 );
 
-// Logout
-router.post('/logout', (req, res) => {
-    res.clearCookie('token', {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict'
-    });
-    res.json({ message: 'Logged out successfully' });
+// Exchange a refresh token (cookie, or refreshToken in the body for API
+// clients) for a new access token and a new refresh token
+router.post('/refresh', async (req, res) => {
+    try {
+        const refreshToken = req.cookies.refresh_token || req.body.refreshToken;
+
+        if (!refreshToken) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        const tokens = await refreshSession(req, res, refreshToken);
+        if (!tokens) {
+            clearTokens(res);
+            return res.status(401).json({ error: 'Session expired. Please sign in again.' });
+        }
+
+        res.json({ message: 'Session refreshed', ...tokens });
+    } catch (error) {
+        console.error('Refresh session error:', error);
+        res.status(500).json({ error: 'Failed to refresh session' });
+    }
+});
+
+// Logout (ends the current session)
+router.post('/logout', async (req, res) => {
+    try {
+        const refreshToken = req.cookies.refresh_token || req.body.refreshToken;
+        const accessToken = req.cookies.token || req.headers['authorization']?.split(' ')[1];
+
+        let sessionId = refreshToken ? await findSessionId(refreshToken) : null;
+        if (!sessionId && accessToken) {
+            const decoded = await verifyToken(accessToken);
+            sessionId = decoded ? decoded.sessionId : null;
+        }
+
+        if (sessionId) {
+            await revokeSession(sessionId);
+        }
+
+        clearTokens(res);
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.userId);
+
+        res.json(sessions.map(session => ({
+            ...session,
+            current: session.id === req.user.sessionId
+        })));
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Failed to get sessions' });
+    }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.id);
+
+        const revoked = await revokeSession(sessionId, req.user.userId);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (sessionId === req.user.sessionId) {
+            clearTokens(res);
+        }
+
+        res.json({ message: 'Session revoked successfully' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
 });
 
+// Request a password reset link
+router.post('/forgot',
+    sensitiveLimiter,
+    [
+        body('email').isEmail().normalizeEmail()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { email } = req.body;
+
+            const [users] = await db.query('SELECT id, email, first_name FROM users WHERE email = ?', [email]);
+
+            const baseUrl = appUrl();
+            if (!baseUrl) {
+                console.error('Password reset email not sent: set APP_URL to send emails with links');
+            } else if (users.length > 0) {
+                const user = users[0];
+                const token = crypto.randomBytes(32).toString('hex');
+
+                await db.query(
+                    `INSERT INTO password_resets (user_id, token_hash, expires_at)
+                     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+                    [user.id, hashToken(token), RESET_TOKEN_TTL_MINUTES]
+                );
+
+                const link = `${baseUrl}/reset-password.html?token=${token}`;
+
+                // Delivered from the outbox, so failures don't reveal which emails have accounts
+                await queueMail({
+                    to: user.email,
+                    template: 'password_reset',
+                    data: { firstName: user.first_name, link, ttlMinutes: RESET_TOKEN_TTL_MINUTES }
+                });
+            }
+
+            // Same response whether or not the account exists
+            res.json({ message: 'If an account exists for that email, we sent a link to reset the password' });
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            res.status(500).json({ error: 'Failed to request password reset' });
+        }
+    }
+);
+
+// Choose a new password with a reset token
+router.post('/reset',
+    sensitiveLimiter,
+    [
+        body('token').trim().notEmpty(),
+        body('password').isLength({ min: 6 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { token, password } = req.body;
+
+            const [resets] = await db.query(
+                `SELECT id, user_id FROM password_resets
+                 WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+                [hashToken(token)]
+            );
+
+            if (resets.length === 0) {
+                return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+            }
+
+            const reset = resets[0];
+
+            // Claim the token; if another request got there first, it's already used
+            const [claimed] = await db.query(
+                'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+                [reset.id]
+            );
+
+            if (claimed.affectedRows === 0) {
+                return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+            }
+
+            const passwordHash = await bcrypt.hash(password, 10);
+
+            // Ending their sessions and bumping token_version signs the user out everywhere
+            await db.query(
+                'UPDATE users SET password_hash = ?, token_version = token_version + 1 WHERE id = ?',
+                [passwordHash, reset.user_id]
+            );
+            await revokeUserSessions(reset.user_id);
+
+            // Any other outstanding links for this user are no longer needed
+            await db.query(
+                'DELETE FROM password_resets WHERE user_id = ? AND used_at IS NULL',
+                [reset.user_id]
+            );
+
+            clearTokens(res);
+
+            res.json({ message: 'Password reset successfully. Please sign in with your new password.' });
+        } catch (error) {
+            console.error('Reset password error:', error);
+            res.status(500).json({ error: 'Failed to reset password' });
+        }
+    }
+);
+
 // Get current user
 router.get('/me', async (req, res) => {
     try {
@@ -143,10 +383,15 @@ router.get('/me', async (req, res) => {
             return res.status(401).json({ error: 'Not authenticated' });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = await verifyToken(token, req);
+        if (!decoded) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
 
         const [users] = await db.query(
-            'SELECT id, email, first_name, last_name, work_type, role, avatar_url, bio, location, created_at FROM users WHERE id = ?',
+            `SELECT id, email, first_name, last_name, work_type, role, avatar_url, bio, location,
+                    auto_follow, digest_frequency, totp_enabled_at IS NOT NULL as two_factor_enabled, created_at
+             FROM users WHERE id = ?`,
             [decoded.userId]
         );
 
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { authenticateToken, requireTeamMember } = require('../middleware/auth');
+const { BADGES } = require('../lib/badges');
+
+// List all badges with how many members of the team have earned each
+router.get('/', authenticateToken, requireTeamMember, async (req, res) => {
+    try {
+        const { teamId } = req.query;
+
+        const [counts] = await db.query(
+            `SELECT badge, COUNT(DISTINCT user_id) as member_count, COUNT(*) as award_count
+             FROM user_badges
+             WHERE team_id = ?
+             GROUP BY badge`,
+            [teamId]
+        );
+
+        res.json(Object.entries(BADGES).map(([key, badge]) => {
+            const count = counts.find(c => c.badge === key);
+            return {
+                badge: key,
+                name: badge.name,
+                description: badge.description,
+                tier: badge.tier,
+                member_count: count ? count.member_count : 0,
+                award_count: count ? count.award_count : 0
+            };
+        }));
+    } catch (error) {
+        console.error('Get badges error:', error);
+        res.status(500).json({ error: 'Failed to get badges' });
+    }
+});
+
+// Members who earned a badge in the team, most recent first
+router.get('/:badge', authenticateToken, requireTeamMember, async (req, res) => {
+    try {
+        const { badge } = req.params;
+        const { teamId } = req.query;
+
+        if (!BADGES[badge]) {
+            return res.status(404).json({ error: 'Badge not found' });
+        }
+
+        const [awards] = await db.query(
+            `SELECT ub.user_id, ub.subject_type, ub.subject_id, ub.awarded_at,
+                    u.first_name, u.last_name, u.avatar_url
+             FROM user_badges ub
+             JOIN users u ON ub.user_id = u.id
+             WHERE ub.team_id = ? AND ub.badge = ?
+             ORDER BY ub.awarded_at DESC`,
+            [teamId, badge]
+        );
+
+        res.json({
+            badge,
+            name: BADGES[badge].name,
+            description: BADGES[badge].description,
+            tier: BADGES[badge].tier,
+            awards
+        });
+    } catch (error) {
+        console.error('Get badge error:', error);
+        res.status(500).json({ error: 'Failed to get badge' });
+    }
+});
+
+module.exports = router;
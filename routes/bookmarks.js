@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireTeamMember, requireResourceMember } = require('../middleware/auth');
 
 // Toggle bookmark (add or remove)
 router.post('/',
@@ -10,6 +10,7 @@ router.post('/',
     [
         body('questionId').isInt()
     ],
+    requireResourceMember('question', 'questionId'),
     async (req, res) => {
         try {
             const errors = validationResult(req);
@@ -38,16 +39,6 @@ router.post('/',
                     bookmarked: false
                 });
             } else {
-                // Verify question exists
-                const [question] = await db.query(
-                    'SELECT id FROM questions WHERE id = ?',
-                    [questionId]
-                );
-
-                if (question.length === 0) {
-                    return res.status(404).json({ error: 'Question not found' });
-                }
-
                 // Add bookmark
                 await db.query(
                     'INSERT INTO bookmarks (user_id, question_id) VALUES (?, ?)',
@@ -69,14 +60,11 @@ router.post('/',
 // Check if question is bookmarked
 router.get('/check',
     authenticateToken,
+    requireResourceMember('question', 'questionId'),
     async (req, res) => {
         try {
             const { questionId } = req.query;
 
-            if (!questionId) {
-                return res.status(400).json({ error: 'questionId is required' });
-            }
-
             const [bookmark] = await db.query(
                 'SELECT id FROM bookmarks WHERE user_id = ? AND question_id = ?',
                 [req.user.userId, questionId]
@@ -95,6 +83,7 @@ router.get('/check',
 // Get user's bookmarked questions for a team
 router.get('/',
     authenticateToken,
+    requireTeamMember,
     async (req, res) => {
         try {
             const { teamId } = req.query;
@@ -120,11 +109,11 @@ router.get('/',
                     u.last_name,
                     u.avatar_url,
                     b.created_at as bookmarked_at,
-                    (SELECT COUNT(*) FROM answers WHERE question_id = q.id AND is_accepted = TRUE) as has_accepted_answer
+                    (SELECT COUNT(*) FROM answers WHERE question_id = q.id AND is_accepted = TRUE AND deleted_at IS NULL) as has_accepted_answer
                 FROM bookmarks b
                 JOIN questions q ON b.question_id = q.id
                 JOIN users u ON q.user_id = u.id
-                WHERE b.user_id = ? AND q.team_id = ?
+                WHERE b.user_id = ? AND q.team_id = ? AND q.deleted_at IS NULL
                 ORDER BY b.created_at DESC
             `, [req.user.userId, teamId]);
 
@@ -2,28 +2,47 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
-const { createNotification } = require('./notifications');
+const { authenticateToken, requireResourceMember } = require('../middleware/auth');
+const { quota } = require('../lib/rate-limit');
+const { createNotification, notifyMentions, notifyFollowers } = require('./notifications');
+const { autoFollowQuestion } = require('./questions');
+const { renderMarkdown } = require('../lib/markdown');
+const { can } = require('../lib/privileges');
+const { recordAudit } = require('../lib/audit');
+const { trashPost } = require('../lib/trash');
+
+// Comments hang off questions and answers
+function requireParent(req, res, next) {
+    const { parentType, parentId } = req.query;
+
+    if (!parentType || !parentId) {
+        return res.status(400).json({ error: 'parentType and parentId required' });
+    }
+    if (!['question', 'answer'].includes(parentType)) {
+        return res.status(400).json({ error: 'Invalid parentType' });
+    }
+    next();
+}
 
 // Get comments for a question or answer
-router.get('/', async (req, res) => {
+router.get('/', authenticateToken, requireParent, requireResourceMember(req => req.query.parentType, 'parentId'), async (req, res) => {
     try {
         const { parentType, parentId } = req.query;
 
-        if (!parentType || !parentId) {
-            return res.status(400).json({ error: 'parentType and parentId required' });
-        }
-
         const [comments] = await db.query(
             `SELECT c.*,
                     u.first_name, u.last_name, u.avatar_url
              FROM comments c
              JOIN users u ON c.user_id = u.id
-             WHERE c.parent_type = ? AND c.parent_id = ?
+             WHERE c.parent_type = ? AND c.parent_id = ? AND c.deleted_at IS NULL
              ORDER BY c.created_at ASC`,
             [parentType, parentId]
         );
 
+        for (const comment of comments) {
+            comment.body_html = renderMarkdown(comment.body);
+        }
+
         res.json(comments);
     } catch (error) {
         console.error('Get comments error:', error);
@@ -34,6 +53,7 @@ router.get('/', async (req, res) => {
 // Create comment
 router.post('/',
     authenticateToken,
+    quota('comments'),
     [
         body('parentType').isIn(['question', 'answer']),
         body('parentId').isInt(),
@@ -56,7 +76,7 @@ router.post('/',
 
             if (parentType === 'question') {
                 const [questions] = await db.query(
-                    'SELECT team_id, user_id FROM questions WHERE id = ?',
+                    'SELECT team_id, user_id FROM questions WHERE id = ? AND deleted_at IS NULL',
                     [parentId]
                 );
                 if (questions.length === 0) {
@@ -69,7 +89,7 @@ router.post('/',
                 const [answers] = await db.query(
                     `SELECT a.user_id, a.question_id, q.team_id FROM answers a
                      JOIN questions q ON a.question_id = q.id
-                     WHERE a.id = ?`,
+                     WHERE a.id = ? AND a.deleted_at IS NULL AND q.deleted_at IS NULL`,
                     [parentId]
                 );
                 if (answers.length === 0) {
@@ -81,13 +101,8 @@ router.post('/',
                 answerId = parentId;
             }
 
-            const [membership] = await db.query(
-                'SELECT * FROM team_members WHERE user_id = ? AND team_id = ?',
-                [req.user.userId, teamId]
-            );
-
-            if (membership.length === 0) {
-                return res.status(403).json({ error: 'Not a member of this team' });
+            if (!(await can(req.user, 'comment', { teamId, ownerId: parentOwnerId }))) {
+                return res.status(403).json({ error: 'Not authorized to comment on this post' });
             }
 
             // Create comment
@@ -112,6 +127,27 @@ router.post('/',
                 type: 'comment'
             });
 
+            // Notify mentioned team members, then the question's followers
+            const mentioned = await notifyMentions({
+                teamId,
+                actorId: req.user.userId,
+                questionId,
+                answerId,
+                commentId: result.insertId,
+                body
+            });
+
+            await notifyFollowers({
+                actorId: req.user.userId,
+                questionId,
+                answerId,
+                commentId: result.insertId,
+                type: 'follow_comment',
+                exclude: [parentOwnerId, ...mentioned]
+            });
+
+            await autoFollowQuestion(req.user.userId, questionId);
+
             res.status(201).json({
                 message: 'Comment created successfully',
                 commentId: result.insertId
@@ -129,7 +165,13 @@ router.delete('/:id', authenticateToken, async (req, res) => {
         const { id } = req.params;
 
         const [comments] = await db.query(
-            'SELECT user_id FROM comments WHERE id = ?',
+            `SELECT c.user_id, c.parent_type, c.parent_id, COALESCE(q.team_id, aq.team_id) as team_id
+             FROM comments c
+             LEFT JOIN questions q ON c.parent_type = 'question' AND q.id = c.parent_id
+             LEFT JOIN answers a ON c.parent_type = 'answer' AND a.id = c.parent_id
+             LEFT JOIN questions aq ON a.question_id = aq.id
+             WHERE c.id = ? AND c.deleted_at IS NULL
+               AND q.deleted_at IS NULL AND a.deleted_at IS NULL AND aq.deleted_at IS NULL`,
             [id]
         );
 
@@ -137,11 +179,26 @@ router.delete('/:id', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'Comment not found' });
         }
 
-        if (comments[0].user_id !== req.user.userId) {
+        const comment = comments[0];
+        const allowed = comment.user_id === req.user.userId ||
+            (comment.team_id && await can(req.user, 'delete', { teamId: comment.team_id, ownerId: comment.user_id }));
+
+        if (!allowed) {
             return res.status(403).json({ error: 'Not authorized to delete this comment' });
         }
 
-        await db.query('DELETE FROM comments WHERE id = ?', [id]);
+        await trashPost('comment', parseInt(id), req.user.userId);
+
+        // Deleting someone else's comment is a moderation action
+        if (comment.user_id !== req.user.userId) {
+            await recordAudit(req, {
+                teamId: comment.team_id,
+                action: 'comment.deleted',
+                targetType: 'comment',
+                targetId: parseInt(id),
+                before: { parentType: comment.parent_type, parentId: comment.parent_id, authorId: comment.user_id }
+            });
+        }
 
         res.json({ message: 'Comment deleted successfully' });
     } catch (error) {
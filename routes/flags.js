@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { can } = require('../lib/privileges');
+const { FLAGGABLE_TYPES, FLAG_REASONS, loadFlaggedPost, hasFlagged, flagPost } = require('../lib/flags');
+
+// Reasons a post can be flagged for, with their labels
+router.get('/reasons', authenticateToken, (req, res) => {
+    res.json(FLAG_REASONS);
+});
+
+// Flag a question, answer or comment for moderators
+router.post('/',
+    authenticateToken,
+    [
+        body('flaggableType').isIn(FLAGGABLE_TYPES),
+        body('flaggableId').isInt(),
+        body('reason').isIn(Object.keys(FLAG_REASONS)),
+        body('note').optional({ nullable: true }).trim().isLength({ max: 500 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { flaggableType, flaggableId, reason, note } = req.body;
+            const userId = req.user.userId;
+
+            const post = await loadFlaggedPost(flaggableType, flaggableId);
+            if (!post || post.deleted_at) {
+                const name = flaggableType.charAt(0).toUpperCase() + flaggableType.slice(1);
+                return res.status(404).json({ error: `${name} not found` });
+            }
+
+            if (!(await can(req.user, 'flag', { teamId: post.team_id }))) {
+                return res.status(403).json({ error: 'Not enough reputation to flag posts in this team' });
+            }
+
+            if (post.user_id === userId) {
+                return res.status(400).json({ error: "You can't flag your own post" });
+            }
+
+            if (await hasFlagged(flaggableType, post.id, userId)) {
+                return res.status(400).json({ error: "You've already flagged this" });
+            }
+
+            const { flagId, hidden } = await flagPost({ postType: flaggableType, post, userId, reason, note });
+
+            res.status(201).json({
+                message: 'Thanks, a moderator will take a look',
+                flagId,
+                hidden
+            });
+        } catch (error) {
+            console.error('Flag post error:', error);
+            res.status(500).json({ error: 'Failed to flag post' });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { renderMarkdown } = require('../lib/markdown');
+
+// Render a live preview for the ask and answer editors
+router.post('/preview',
+    authenticateToken,
+    [body('text').isString().isLength({ max: 65535 })],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            res.json({ html: renderMarkdown(req.body.text) });
+        } catch (error) {
+            console.error('Markdown preview error:', error);
+            res.status(500).json({ error: 'Failed to render preview' });
+        }
+    }
+);
+
+module.exports = router;
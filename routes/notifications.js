@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { searchTeamMembers } = require('./users');
+const { BADGES } = require('../lib/badges');
+
+// Notifications about deleted questions are hidden (they come back if the
+// question is restored), except the outcome of flags, which may be the deletion
+const LIVE_QUESTION = `(n.type IN ('flag_resolved', 'warning') OR NOT EXISTS (
+    SELECT 1 FROM questions dq WHERE dq.id = n.question_id AND dq.deleted_at IS NOT NULL
+))`;
 
 // Get notifications for current user
 router.get('/', authenticateToken, async (req, res) => {
@@ -9,7 +17,7 @@ router.get('/', authenticateToken, async (req, res) => {
         const { limit = 20, offset = 0, unread } = req.query;
         const userId = req.user.userId;
 
-        let whereClause = 'WHERE n.user_id = ?';
+        let whereClause = `WHERE n.user_id = ? AND ${LIVE_QUESTION}`;
         const params = [userId];
 
         if (unread === 'true') {
@@ -19,14 +27,16 @@ router.get('/', authenticateToken, async (req, res) => {
         const [notifications] = await db.query(
             `SELECT n.*,
                     q.title as question_title,
-                    q.team_id,
+                    COALESCE(n.team_id, q.team_id) as team_id,
                     t.slug as team_slug,
                     actor.first_name as actor_first_name,
                     actor.last_name as actor_last_name,
-                    actor.avatar_url as actor_avatar_url
+                    actor.avatar_url as actor_avatar_url,
+                    f.reason as flag_reason, f.status as flag_status
              FROM notifications n
              LEFT JOIN questions q ON n.question_id = q.id
-             LEFT JOIN teams t ON q.team_id = t.id
+             LEFT JOIN flags f ON f.id = n.flag_id
+             LEFT JOIN teams t ON t.id = COALESCE(n.team_id, q.team_id)
              LEFT JOIN users actor ON n.actor_id = actor.id
              ${whereClause}
              ORDER BY n.created_at DESC
@@ -34,6 +44,14 @@ router.get('/', authenticateToken, async (req, res) => {
             [...params, parseInt(limit), parseInt(offset)]
         );
 
+        // Attach the badge's name and tier to badge (and accepted) notifications
+        for (const notification of notifications) {
+            const badge = notification.badge && BADGES[notification.badge];
+            notification.badge = badge
+                ? { key: notification.badge, name: badge.name, description: badge.description, tier: badge.tier }
+                : null;
+        }
+
         // Get total count
         const [countResult] = await db.query(
             `SELECT COUNT(*) as total FROM notifications n ${whereClause}`,
@@ -54,7 +72,7 @@ router.get('/', authenticateToken, async (req, res) => {
 router.get('/unread/count', authenticateToken, async (req, res) => {
     try {
         const [result] = await db.query(
-            'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = FALSE',
+            `SELECT COUNT(*) as count FROM notifications n WHERE n.user_id = ? AND n.is_read = FALSE AND ${LIVE_QUESTION}`,
             [req.user.userId]
         );
 
@@ -140,7 +158,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Helper function to create a notification (exported for use by other routes)
-async function createNotification({ userId, actorId, questionId, answerId, commentId, type }) {
+async function createNotification({ userId, actorId, teamId, questionId, answerId, commentId, type, badge, flagId }) {
     // Don't notify yourself
     if (userId === actorId) {
         return null;
@@ -148,9 +166,19 @@ async function createNotification({ userId, actorId, questionId, answerId, comme
 
     try {
         const [result] = await db.query(
-            `INSERT INTO notifications (user_id, actor_id, question_id, answer_id, comment_id, type)
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [userId, actorId, questionId || null, answerId || null, commentId || null, type]
+            `INSERT INTO notifications (user_id, actor_id, team_id, question_id, answer_id, comment_id, type, badge, flag_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                userId,
+                actorId || null,
+                teamId || null,
+                questionId || null,
+                answerId || null,
+                commentId || null,
+                type,
+                badge || null,
+                flagId || null
+            ]
         );
         return result.insertId;
     } catch (error) {
@@ -159,5 +187,166 @@ async function createNotification({ userId, actorId, questionId, answerId, comme
     }
 }
 
+// Extract @mention handles from a post body, ignoring code spans and fenced blocks
+function extractMentions(text) {
+    if (!text) {
+        return [];
+    }
+
+    const stripped = text
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/`[^`]*`/g, ' ');
+
+    const handles = new Set();
+    const pattern = /(^|[^\w@.])@([a-zA-Z0-9](?:[\w.-]*[a-zA-Z0-9])?)/g;
+    let match;
+    while ((match = pattern.exec(stripped)) !== null) {
+        handles.add(normalizeHandle(match[2]));
+    }
+
+    return [...handles];
+}
+
+// Lowercase and drop separators so "@Jane.Doe", "@jane_doe" and "@janedoe" compare equal
+function normalizeHandle(value) {
+    return (value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Resolve mention handles to team members by email local part, full name or unique first name
+async function resolveMentions(teamId, handles) {
+    if (handles.length === 0) {
+        return [];
+    }
+
+    const members = await searchTeamMembers(teamId, null, null);
+    const resolved = new Map();
+
+    for (const handle of handles) {
+        let matches = members.filter(m =>
+            normalizeHandle(m.email.split('@')[0]) === handle ||
+            normalizeHandle(`${m.first_name}${m.last_name}`) === handle
+        );
+
+        if (matches.length === 0) {
+            matches = members.filter(m => normalizeHandle(m.first_name) === handle);
+        }
+
+        // Ambiguous handles (e.g. two members named Alex) mention nobody
+        if (matches.length === 1) {
+            resolved.set(matches[0].id, matches[0]);
+        }
+    }
+
+    return [...resolved.values()];
+}
+
+// Helper to notify members mentioned in a post body (exported for use by other routes)
+// On edit, pass previousBody so that only newly-mentioned members are notified.
+// Returns the IDs of the users who were notified.
+async function notifyMentions({ teamId, actorId, questionId, answerId, commentId, body, previousBody }) {
+    try {
+        const previous = new Set(extractMentions(previousBody));
+        const handles = extractMentions(body).filter(h => !previous.has(h));
+
+        const alreadyMentioned = new Set(
+            (await resolveMentions(teamId, [...previous])).map(u => u.id)
+        );
+        const mentioned = await resolveMentions(teamId, handles);
+
+        const notified = [];
+        for (const user of mentioned) {
+            if (alreadyMentioned.has(user.id)) {
+                continue;
+            }
+
+            const notificationId = await createNotification({
+                userId: user.id,
+                actorId,
+                questionId,
+                answerId,
+                commentId,
+                type: 'mention'
+            });
+
+            if (notificationId) {
+                notified.push(user.id);
+            }
+        }
+
+        return notified;
+    } catch (error) {
+        console.error('Notify mentions error:', error);
+        return [];
+    }
+}
+
+// Helper to notify everyone following a question (exported for use by other routes)
+// Skips the actor and any users in exclude, e.g. the post owner or mentioned
+// users who were already notified about the same activity.
+async function notifyFollowers({ actorId, questionId, answerId, commentId, type, exclude = [] }) {
+    try {
+        const [followers] = await db.query(
+            'SELECT user_id FROM question_follows WHERE question_id = ?',
+            [questionId]
+        );
+
+        const skip = new Set([actorId, ...exclude]);
+        const notified = [];
+
+        for (const follower of followers) {
+            if (skip.has(follower.user_id)) {
+                continue;
+            }
+
+            const notificationId = await createNotification({
+                userId: follower.user_id,
+                actorId,
+                questionId,
+                answerId,
+                commentId,
+                type
+            });
+
+            if (notificationId) {
+                notified.push(follower.user_id);
+            }
+        }
+
+        return notified;
+    } catch (error) {
+        console.error('Notify followers error:', error);
+        return [];
+    }
+}
+
+// Tell members about badges they were just awarded (see lib/badges)
+async function notifyBadges({ teamId, awards }) {
+    for (const award of awards) {
+        let questionId = null;
+        let answerId = null;
+
+        if (award.subjectType === 'question') {
+            questionId = award.subjectId;
+        } else if (award.subjectType === 'answer') {
+            const [answers] = await db.query('SELECT question_id FROM answers WHERE id = ?', [award.subjectId]);
+            questionId = answers.length > 0 ? answers[0].question_id : null;
+            answerId = award.subjectId;
+        }
+
+        await createNotification({
+            userId: award.userId,
+            actorId: null,
+            teamId,
+            questionId,
+            answerId,
+            type: 'badge',
+            badge: award.badge
+        });
+    }
+}
+
 module.exports = router;
 module.exports.createNotification = createNotification;
+module.exports.notifyMentions = notifyMentions;
+module.exports.notifyFollowers = notifyFollowers;
+module.exports.notifyBadges = notifyBadges;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const config = require('../config/oidc');
+const { appUrl } = require('../lib/mail');
+const { createSession } = require('../lib/sessions');
+const { signChallenge } = require('../lib/two-factor');
+const { startLogin, finishLogin, claimsProveMfa, userFromClaims } = require('../lib/oidc');
+
+// Short-lived cookie holding state, nonce and PKCE verifier between the
+// redirect to the provider and the callback. Lax so it survives the
+// cross-site redirect back.
+const STATE_COOKIE = 'oidc_state';
+const STATE_COOKIE_PATH = '/api/auth/oidc';
+const STATE_TTL_SECONDS = 10 * 60;
+
+// The provider only accepts registered redirect URIs, so falling back to the
+// request's host can't send the code elsewhere
+function redirectUri(req) {
+    const baseUrl = appUrl() || `${req.protocol}://${req.get('host')}`;
+    return config.redirectUri || `${baseUrl}/api/auth/oidc/callback`;
+}
+
+// Only same-site paths, so the login can't be used as an open redirect
+function safeReturnTo(returnTo) {
+    return typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo) ? returnTo : null;
+}
+
+function loginError(res, message) {
+    res.redirect(`/login.html?error=${encodeURIComponent(message)}`);
+}
+
+// Whether SSO is available (for the sign-in page)
+router.get('/config', (req, res) => {
+    res.json({
+        enabled: config.enabled,
+        name: config.enabled ? config.providerName : null
+    });
+});
+
+// Start SSO sign-in: redirect to the provider
+router.get('/login', async (req, res) => {
+    if (!config.enabled) {
+        return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    try {
+        const { url, checks } = await startLogin(redirectUri(req));
+
+        const state = jwt.sign(
+            { ...checks, returnTo: safeReturnTo(req.query.returnTo) },
+            process.env.JWT_SECRET,
+            { expiresIn: STATE_TTL_SECONDS }
+        );
+
+        res.cookie(STATE_COOKIE, state, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'lax',
+            path: STATE_COOKIE_PATH,
+            maxAge: STATE_TTL_SECONDS * 1000
+        });
+
+        res.redirect(url);
+    } catch (error) {
+        console.error('SSO login error:', error);
+        loginError(res, 'Single sign-on is unavailable right now');
+    }
+});
+
+// Provider redirects back here with the authorization code
+router.get('/callback', async (req, res) => {
+    if (!config.enabled) {
+        return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    const stateCookie = req.cookies && req.cookies[STATE_COOKIE];
+    res.clearCookie(STATE_COOKIE, { path: STATE_COOKIE_PATH });
+
+    if (req.query.error) {
+        return loginError(res, req.query.error_description || 'Sign-in was cancelled');
+    }
+
+    let checks;
+    try {
+        checks = jwt.verify(stateCookie, process.env.JWT_SECRET);
+    } catch (error) {
+        return loginError(res, 'Your sign-in attempt expired. Please try again.');
+    }
+
+    try {
+        let claims;
+        try {
+            claims = await finishLogin(req, redirectUri(req), checks);
+        } catch (error) {
+            console.error('SSO callback error:', error);
+            return loginError(res, 'Single sign-on failed. Please try again.');
+        }
+
+        const user = await userFromClaims(claims);
+        if (!user) {
+            return loginError(res, 'Your identity provider did not share a verified email address');
+        }
+
+        // Like a password sign-in, two-factor users still enter their code
+        // unless the provider already did multi-factor. The challenge goes in
+        // the fragment so it stays out of logs and Referer headers.
+        const providerMfa = claimsProveMfa(claims);
+        if (user.totp_enabled_at && !providerMfa) {
+            const fragment = new URLSearchParams({ challenge: signChallenge(user) });
+            if (checks.returnTo) {
+                fragment.set('returnTo', checks.returnTo);
+            }
+            return res.redirect(`/login.html#${fragment}`);
+        }
+
+        await createSession(req, res, user, { twoFactor: providerMfa });
+
+        if (checks.returnTo) {
+            return res.redirect(checks.returnTo);
+        }
+
+        const [teams] = await db.query(
+            `SELECT t.slug FROM teams t
+             JOIN team_members tm ON t.id = tm.team_id
+             WHERE tm.user_id = ?
+             ORDER BY tm.joined_at
+             LIMIT 1`,
+            [user.id]
+        );
+
+        res.redirect(teams.length > 0 ? `/team/${teams[0].slug}/questions` : '/');
+    } catch (error) {
+        console.error('SSO sign-in error:', error);
+        loginError(res, 'Single sign-on failed. Please try again.');
+    }
+});
+
+module.exports = router;
@@ -2,10 +2,19 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken, requireTeamMember, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, requireTeamMember, requireResourceMember, optionalAuth } = require('../middleware/auth');
+const { quota } = require('../lib/rate-limit');
+const { createNotification, notifyMentions, notifyFollowers } = require('./notifications');
+const { renderMarkdown } = require('../lib/markdown');
+const { recordRevision, ensureInitialRevision } = require('../lib/revisions');
+const { can, getPrivileges } = require('../lib/privileges');
+const { CLOSE_REASONS, hasVoted, castVote, getCloseStatus } = require('../lib/close-votes');
+const { mergeQuestions } = require('../lib/merge');
+const { recordAudit } = require('../lib/audit');
+const { trashPost } = require('../lib/trash');
 
 // Get all questions for a team
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requireTeamMember, async (req, res) => {
     try {
         const {
             teamId,
@@ -31,7 +40,7 @@ router.get('/', authenticateToken, async (req, res) => {
             JOIN users u ON q.user_id = u.id
             LEFT JOIN question_tags qt ON q.id = qt.question_id
             LEFT JOIN tags t ON qt.tag_id = t.id
-            WHERE q.team_id = ?
+            WHERE q.team_id = ? AND q.deleted_at IS NULL
         `;
 
         const params = [teamId];
@@ -57,7 +66,7 @@ router.get('/', authenticateToken, async (req, res) => {
             query += ` AND q.answer_count = 0`;
         } else if (filter === 'unanswered') {
             query += ` AND NOT EXISTS (
-                SELECT 1 FROM answers a WHERE a.question_id = q.id AND a.is_accepted = 1
+                SELECT 1 FROM answers a WHERE a.question_id = q.id AND a.is_accepted = 1 AND a.deleted_at IS NULL
             )`;
         }
 
@@ -96,7 +105,7 @@ router.get('/', authenticateToken, async (req, res) => {
         const [questions] = await db.query(query, params);
 
         // Get total count
-        let countQuery = `SELECT COUNT(DISTINCT q.id) as total FROM questions q WHERE q.team_id = ?`;
+        let countQuery = `SELECT COUNT(DISTINCT q.id) as total FROM questions q WHERE q.team_id = ? AND q.deleted_at IS NULL`;
         const countParams = [teamId];
 
         if (tag) {
@@ -116,7 +125,7 @@ router.get('/', authenticateToken, async (req, res) => {
         if (filter === 'no-answers') {
             countQuery += ` AND q.answer_count = 0`;
         } else if (filter === 'unanswered') {
-            countQuery += ` AND NOT EXISTS (SELECT 1 FROM answers a WHERE a.question_id = q.id AND a.is_accepted = 1)`;
+            countQuery += ` AND NOT EXISTS (SELECT 1 FROM answers a WHERE a.question_id = q.id AND a.is_accepted = 1 AND a.deleted_at IS NULL)`;
         }
 
         if (closed === 'true') {
@@ -141,7 +150,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get single question by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requireResourceMember('question'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -150,7 +159,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
                     u.id as user_id, u.first_name, u.last_name, u.avatar_url, u.bio
              FROM questions q
              JOIN users u ON q.user_id = u.id
-             WHERE q.id = ?`,
+             WHERE q.id = ? AND q.deleted_at IS NULL`,
             [id]
         );
 
@@ -159,6 +168,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
         }
 
         const question = questions[0];
+        question.body_html = renderMarkdown(question.body);
 
         // Get tags
         const [tags] = await db.query(
@@ -170,20 +180,33 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
         question.tags = tags;
 
+        // What the viewer may do to others' posts in this team
+        question.privileges = await getPrivileges(req.user, question.team_id);
+
+        // Close notice (reason, voters, duplicate target) and pending close/reopen votes
+        Object.assign(question, await getCloseStatus(question, req.user.userId));
+
+        // Banner pointing at the original, and questions closed as duplicates of this one
+        question.duplicate_of = question.close_notice ? question.close_notice.duplicate_of : null;
+
+        const [duplicates] = await db.query(
+            'SELECT id, title FROM questions WHERE duplicate_of_id = ? AND deleted_at IS NULL ORDER BY created_at DESC',
+            [id]
+        );
+        question.duplicates = duplicates;
+
         // Increment view count
         await db.query(
             'UPDATE questions SET view_count = view_count + 1 WHERE id = ?',
             [id]
         );
 
-        // Get user's vote if authenticated
-        if (req.user) {
-            const [votes] = await db.query(
-                'SELECT vote_type FROM votes WHERE votable_type = ? AND votable_id = ? AND user_id = ?',
-                ['question', id, req.user.userId]
-            );
-            question.userVote = votes.length > 0 ? votes[0].vote_type : null;
-        }
+        // Get user's vote
+        const [votes] = await db.query(
+            'SELECT vote_type FROM votes WHERE votable_type = ? AND votable_id = ? AND user_id = ?',
+            ['question', id, req.user.userId]
+        );
+        question.userVote = votes.length > 0 ? votes[0].vote_type : null;
 
         res.json(question);
     } catch (error) {
@@ -195,10 +218,11 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // Create new question
 router.post('/',
     authenticateToken,
+    quota('questions'),
     [
         body('teamId').isInt(),
         body('title').trim().notEmpty().isLength({ max: 500 }),
-        body('body').trim().notEmpty(),
+        body('body').trim().notEmpty().isLength({ max: 30000 }),
         body('tags').isArray({ min: 1, max: 5 })
     ],
     async (req, res) => {
@@ -210,14 +234,8 @@ router.post('/',
 
             const { teamId, title, body, tags } = req.body;
 
-            // Verify user is team member
-            const [membership] = await db.query(
-                'SELECT * FROM team_members WHERE user_id = ? AND team_id = ?',
-                [req.user.userId, teamId]
-            );
-
-            if (membership.length === 0) {
-                return res.status(403).json({ error: 'Not a member of this team' });
+            if (!(await can(req.user, 'post', { teamId }))) {
+                return res.status(403).json({ error: "You can't post in this team" });
             }
 
             // Create question
@@ -229,36 +247,22 @@ router.post('/',
             const questionId = result.insertId;
 
             // Add tags
-            for (const tagName of tags) {
-                // Get or create tag
-                let [existingTags] = await db.query(
-                    'SELECT id FROM tags WHERE team_id = ? AND name = ?',
-                    [teamId, tagName.toLowerCase()]
-                );
+            await setQuestionTags(questionId, teamId, tags);
 
-                let tagId;
-                if (existingTags.length === 0) {
-                    const [tagResult] = await db.query(
-                        'INSERT INTO tags (team_id, name) VALUES (?, ?)',
-                        [teamId, tagName.toLowerCase()]
-                    );
-                    tagId = tagResult.insertId;
-                } else {
-                    tagId = existingTags[0].id;
-                }
-
-                // Link tag to question
-                await db.query(
-                    'INSERT INTO question_tags (question_id, tag_id) VALUES (?, ?)',
-                    [questionId, tagId]
-                );
+            // Revision 1 holds the original text
+            await recordRevision({
+                postType: 'question',
+                postId: questionId,
+                userId: req.user.userId
+            });
 
-                // Update tag count
-                await db.query(
-                    'UPDATE tags SET question_count = question_count + 1 WHERE id = ?',
-                    [tagId]
-                );
-            }
+            // Notify mentioned team members
+            await notifyMentions({
+                teamId,
+                actorId: req.user.userId,
+                questionId,
+                body
+            });
 
             res.status(201).json({
                 message: 'Question created successfully',
@@ -276,17 +280,22 @@ router.put('/:id',
     authenticateToken,
     [
         body('title').optional().trim().notEmpty().isLength({ max: 500 }),
-        body('body').optional().trim().notEmpty(),
-        body('tags').optional().isString()
+        body('body').optional().trim().notEmpty().isLength({ max: 30000 }),
+        body('tags').optional().isString(),
+        body('editSummary').optional().trim().isLength({ max: 300 })
     ],
     async (req, res) => {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
             const { id } = req.params;
-            const { title, body, tags } = req.body;
+            const { title, body, tags, editSummary } = req.body;
 
-            // Check if user owns the question
             const [questions] = await db.query(
-                'SELECT user_id, team_id FROM questions WHERE id = ?',
+                'SELECT user_id, team_id, body FROM questions WHERE id = ? AND deleted_at IS NULL',
                 [id]
             );
 
@@ -294,12 +303,12 @@ router.put('/:id',
                 return res.status(404).json({ error: 'Question not found' });
             }
 
-            if (questions[0].user_id !== req.user.userId) {
+            const teamId = questions[0].team_id;
+
+            if (!(await can(req.user, 'edit', { teamId, ownerId: questions[0].user_id }))) {
                 return res.status(403).json({ error: 'Not authorized to edit this question' });
             }
 
-            const teamId = questions[0].team_id;
-
             // Update question
             const updates = [];
             const params = [];
@@ -317,6 +326,9 @@ router.put('/:id',
                 return res.status(400).json({ error: 'No updates provided' });
             }
 
+            // Keep the original text if this is the first edit since revisions were introduced
+            await ensureInitialRevision('question', id);
+
             if (updates.length > 0) {
                 params.push(id);
                 await db.query(
@@ -333,56 +345,35 @@ router.put('/:id',
                     .filter(t => t.length > 0)
                     .slice(0, 5); // Max 5 tags
 
-                // Get current tags to update counts
-                const [currentTags] = await db.query(
-                    `SELECT tag_id FROM question_tags WHERE question_id = ?`,
-                    [id]
-                );
-
-                // Decrement counts for old tags
-                for (const currentTag of currentTags) {
-                    await db.query(
-                        'UPDATE tags SET question_count = GREATEST(0, question_count - 1) WHERE id = ?',
-                        [currentTag.tag_id]
-                    );
-                }
+                await setQuestionTags(id, teamId, tagArray);
+            }
 
-                // Remove old tags
-                await db.query('DELETE FROM question_tags WHERE question_id = ?', [id]);
-
-                // Add new tags
-                for (const tagName of tagArray) {
-                    // Get or create tag
-                    let [existingTags] = await db.query(
-                        'SELECT id FROM tags WHERE team_id = ? AND name = ?',
-                        [teamId, tagName.toLowerCase()]
-                    );
-
-                    let tagId;
-                    if (existingTags.length === 0) {
-                        const [tagResult] = await db.query(
-                            'INSERT INTO tags (team_id, name) VALUES (?, ?)',
-                            [teamId, tagName.toLowerCase()]
-                        );
-                        tagId = tagResult.insertId;
-                    } else {
-                        tagId = existingTags[0].id;
-                    }
+            await recordRevision({
+                postType: 'question',
+                postId: parseInt(id),
+                userId: req.user.userId,
+                editSummary
+            });
 
-                    // Link tag to question
-                    await db.query(
-                        'INSERT INTO question_tags (question_id, tag_id) VALUES (?, ?)',
-                        [id, tagId]
-                    );
-
-                    // Update tag count
-                    await db.query(
-                        'UPDATE tags SET question_count = question_count + 1 WHERE id = ?',
-                        [tagId]
-                    );
-                }
+            // Notify members newly mentioned by this edit, then the question's followers
+            let mentioned = [];
+            if (body) {
+                mentioned = await notifyMentions({
+                    teamId,
+                    actorId: req.user.userId,
+                    questionId: parseInt(id),
+                    body,
+                    previousBody: questions[0].body
+                });
             }
 
+            await notifyFollowers({
+                actorId: req.user.userId,
+                questionId: parseInt(id),
+                type: 'edited',
+                exclude: mentioned
+            });
+
             res.json({ message: 'Question updated successfully' });
         } catch (error) {
             console.error('Update question error:', error);
@@ -392,16 +383,10 @@ router.put('/:id',
 );
 
 // Toggle follow question
-router.post('/:id/follow', authenticateToken, async (req, res) => {
+router.post('/:id/follow', authenticateToken, requireResourceMember('question'), async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Check if question exists
-        const [questions] = await db.query('SELECT id FROM questions WHERE id = ?', [id]);
-        if (questions.length === 0) {
-            return res.status(404).json({ error: 'Question not found' });
-        }
-
         // Check if already following
         const [existingFollow] = await db.query(
             'SELECT id FROM question_follows WHERE user_id = ? AND question_id = ?',
@@ -430,7 +415,7 @@ router.post('/:id/follow', authenticateToken, async (req, res) => {
 });
 
 // Check if user follows question
-router.get('/:id/follow', authenticateToken, async (req, res) => {
+router.get('/:id/follow', authenticateToken, requireResourceMember('question'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -446,58 +431,200 @@ router.get('/:id/follow', authenticateToken, async (req, res) => {
     }
 });
 
-// Toggle close question
-router.post('/:id/close', authenticateToken, async (req, res) => {
-    try {
-        const { id } = req.params;
+// Shared handler for close and reopen votes
+function closeVoteHandler(voteType) {
+    return async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
 
-        // Check if question exists and get details
-        const [questions] = await db.query(
-            'SELECT user_id, team_id, is_closed FROM questions WHERE id = ?',
-            [id]
-        );
+            const { id } = req.params;
+            const { reason, duplicateOf } = req.body;
 
-        if (questions.length === 0) {
-            return res.status(404).json({ error: 'Question not found' });
-        }
+            const [questions] = await db.query(
+                'SELECT id, user_id, team_id, is_closed FROM questions WHERE id = ? AND deleted_at IS NULL',
+                [id]
+            );
 
-        const question = questions[0];
+            if (questions.length === 0) {
+                return res.status(404).json({ error: 'Question not found' });
+            }
 
-        // Check if user owns it or is admin
-        const [membership] = await db.query(
-            'SELECT role FROM team_members WHERE user_id = ? AND team_id = ?',
-            [req.user.userId, question.team_id]
-        );
+            const question = questions[0];
+            const resource = { teamId: question.team_id, ownerId: question.user_id };
+
+            if (voteType === 'close' && question.is_closed) {
+                return res.status(400).json({ error: 'Question is already closed' });
+            }
+            if (voteType === 'reopen' && !question.is_closed) {
+                return res.status(400).json({ error: 'Question is not closed' });
+            }
+
+            if (!(await can(req.user, 'close', resource))) {
+                return res.status(403).json({ error: `Not enough reputation to vote to ${voteType} this question` });
+            }
+
+            if (await hasVoted(question.id, req.user.userId, voteType)) {
+                return res.status(400).json({ error: `You have already voted to ${voteType} this question` });
+            }
+
+            // A duplicate must point at another question in the same team
+            if (voteType === 'close' && reason === 'duplicate') {
+                if (!duplicateOf || duplicateOf === question.id) {
+                    return res.status(400).json({ error: 'duplicateOf must be another question' });
+                }
+
+                const [targets] = await db.query(
+                    'SELECT id FROM questions WHERE id = ? AND team_id = ? AND deleted_at IS NULL',
+                    [duplicateOf, question.team_id]
+                );
 
-        if (question.user_id !== req.user.userId && (!membership.length || membership[0].role !== 'admin')) {
-            return res.status(403).json({ error: 'Not authorized to close/reopen this question' });
+                if (targets.length === 0) {
+                    return res.status(400).json({ error: 'Duplicate target question not found in this team' });
+                }
+            }
+
+            // The owner's, moderators' and admins' votes take effect immediately
+            const binding = await can(req.user, 'close_instantly', resource);
+
+            const result = await castVote({
+                question,
+                userId: req.user.userId,
+                voteType,
+                reason: voteType === 'close' ? reason : null,
+                duplicateOf: voteType === 'close' && reason === 'duplicate' ? duplicateOf : null,
+                binding
+            });
+
+            if (result.decided) {
+                const type = voteType === 'close' ? 'closed' : 'reopened';
+
+                await recordAudit(req, {
+                    teamId: question.team_id,
+                    action: `question.${type}`,
+                    targetType: 'question',
+                    targetId: question.id,
+                    before: { isClosed: !!question.is_closed },
+                    after: {
+                        isClosed: voteType === 'close',
+                        reason: voteType === 'close' ? result.closedReason : undefined,
+                        duplicateOf: result.duplicateOfId || undefined,
+                        binding
+                    }
+                });
+
+                // Notify the question author and followers
+                await createNotification({
+                    userId: question.user_id,
+                    actorId: req.user.userId,
+                    questionId: question.id,
+                    type
+                });
+                await notifyFollowers({
+                    actorId: req.user.userId,
+                    questionId: question.id,
+                    type,
+                    exclude: [question.user_id]
+                });
+            }
+
+            const isClosed = voteType === 'close' ? result.decided : !result.decided;
+
+            res.json({
+                is_closed: isClosed,
+                votes: result.count,
+                required: result.required,
+                message: result.decided
+                    ? (isClosed ? 'Question closed' : 'Question reopened')
+                    : `Vote recorded (${result.count} of ${result.required})`
+            });
+        } catch (error) {
+            console.error(`${voteType === 'close' ? 'Close' : 'Reopen'} vote error:`, error);
+            res.status(500).json({ error: `Failed to vote to ${voteType} question` });
         }
+    };
+}
 
-        // Toggle closed status
-        const newStatus = !question.is_closed;
-        await db.query(
-            'UPDATE questions SET is_closed = ? WHERE id = ?',
-            [newStatus, id]
-        );
+// Vote to close a question
+router.post('/:id/close',
+    authenticateToken,
+    [
+        body('reason').isIn(Object.keys(CLOSE_REASONS)),
+        body('duplicateOf').optional({ nullable: true }).isInt().toInt()
+    ],
+    closeVoteHandler('close')
+);
 
-        res.json({
-            is_closed: newStatus,
-            message: newStatus ? 'Question closed' : 'Question reopened'
-        });
-    } catch (error) {
-        console.error('Toggle close error:', error);
-        res.status(500).json({ error: 'Failed to toggle close status' });
+// Vote to reopen a closed question
+router.post('/:id/reopen', authenticateToken, closeVoteHandler('reopen'));
+
+// Merge a duplicate into another question (moderators and admins)
+router.post('/:id/merge',
+    authenticateToken,
+    [body('targetId').isInt().toInt()],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { id } = req.params;
+            const { targetId } = req.body;
+
+            const [sources] = await db.query('SELECT id, team_id FROM questions WHERE id = ? AND deleted_at IS NULL', [id]);
+            if (sources.length === 0) {
+                return res.status(404).json({ error: 'Question not found' });
+            }
+
+            const source = sources[0];
+
+            if (!(await can(req.user, 'merge', { teamId: source.team_id }))) {
+                return res.status(403).json({ error: 'Only moderators and admins can merge questions' });
+            }
+
+            if (targetId === source.id) {
+                return res.status(400).json({ error: 'Cannot merge a question into itself' });
+            }
+
+            const [targets] = await db.query(
+                'SELECT id, team_id FROM questions WHERE id = ? AND team_id = ? AND deleted_at IS NULL',
+                [targetId, source.team_id]
+            );
+            if (targets.length === 0) {
+                return res.status(404).json({ error: 'Target question not found in this team' });
+            }
+
+            await mergeQuestions(source, targets[0]);
+
+            await recordAudit(req, {
+                teamId: source.team_id,
+                action: 'question.merged',
+                targetType: 'question',
+                targetId: source.id,
+                after: { mergedInto: targetId }
+            });
+
+            res.json({
+                message: 'Questions merged successfully',
+                questionId: targetId
+            });
+        } catch (error) {
+            console.error('Merge questions error:', error);
+            res.status(500).json({ error: 'Failed to merge questions' });
+        }
     }
-});
+);
 
 // Delete question
 router.delete('/:id', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Check if user owns the question or is team admin
         const [questions] = await db.query(
-            'SELECT q.user_id, q.team_id FROM questions q WHERE q.id = ?',
+            'SELECT q.user_id, q.team_id, q.title, q.answer_count FROM questions q WHERE q.id = ? AND q.deleted_at IS NULL',
             [id]
         );
 
@@ -507,18 +634,23 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
         const question = questions[0];
 
-        // Check if user owns it or is admin
-        const [membership] = await db.query(
-            'SELECT role FROM team_members WHERE user_id = ? AND team_id = ?',
-            [req.user.userId, question.team_id]
-        );
-
-        if (question.user_id !== req.user.userId && (!membership.length || membership[0].role !== 'admin')) {
+        if (!(await can(req.user, 'delete', { teamId: question.team_id, ownerId: question.user_id }))) {
             return res.status(403).json({ error: 'Not authorized to delete this question' });
         }
 
-        // Delete question (cascades to answers, comments, votes, etc.)
-        await db.query('DELETE FROM questions WHERE id = ?', [id]);
+        // Moves it (with its answers and comments) to the team's trash
+        await trashPost('question', parseInt(id), req.user.userId);
+
+        // Deleting someone else's question is a moderation action
+        if (question.user_id !== req.user.userId) {
+            await recordAudit(req, {
+                teamId: question.team_id,
+                action: 'question.deleted',
+                targetType: 'question',
+                targetId: parseInt(id),
+                before: { title: question.title, authorId: question.user_id, answers: question.answer_count }
+            });
+        }
 
         res.json({ message: 'Question deleted successfully' });
     } catch (error) {
@@ -527,4 +659,73 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// Helper to follow a question on the user's behalf when they answer or comment,
+// unless they have turned auto-follow off (exported for use by other routes)
+async function autoFollowQuestion(userId, questionId) {
+    try {
+        await db.query(
+            `INSERT IGNORE INTO question_follows (user_id, question_id)
+             SELECT id, ? FROM users WHERE id = ? AND auto_follow = TRUE`,
+            [questionId, userId]
+        );
+    } catch (error) {
+        console.error('Auto-follow question error:', error);
+    }
+}
+
+// Helper to replace a question's tags, creating missing tags and keeping
+// tags.question_count in step (exported for use by other routes)
+async function setQuestionTags(questionId, teamId, tagNames) {
+    // Get current tags to update counts
+    const [currentTags] = await db.query(
+        'SELECT tag_id FROM question_tags WHERE question_id = ?',
+        [questionId]
+    );
+
+    // Decrement counts for old tags
+    for (const currentTag of currentTags) {
+        await db.query(
+            'UPDATE tags SET question_count = GREATEST(0, question_count - 1) WHERE id = ?',
+            [currentTag.tag_id]
+        );
+    }
+
+    // Remove old tags
+    await db.query('DELETE FROM question_tags WHERE question_id = ?', [questionId]);
+
+    // Add new tags
+    for (const tagName of new Set(tagNames.map(t => t.toLowerCase()))) {
+        // Get or create tag
+        const [existingTags] = await db.query(
+            'SELECT id FROM tags WHERE team_id = ? AND name = ?',
+            [teamId, tagName]
+        );
+
+        let tagId;
+        if (existingTags.length === 0) {
+            const [tagResult] = await db.query(
+                'INSERT INTO tags (team_id, name) VALUES (?, ?)',
+                [teamId, tagName]
+            );
+            tagId = tagResult.insertId;
+        } else {
+            tagId = existingTags[0].id;
+        }
+
+        // Link tag to question
+        await db.query(
+            'INSERT INTO question_tags (question_id, tag_id) VALUES (?, ?)',
+            [questionId, tagId]
+        );
+
+        // Update tag count
+        await db.query(
+            'UPDATE tags SET question_count = question_count + 1 WHERE id = ?',
+            [tagId]
+        );
+    }
+}
+
 module.exports = router;
+module.exports.autoFollowQuestion = autoFollowQuestion;
+module.exports.setQuestionTags = setQuestionTags;
@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { notifyFollowers } = require('./notifications');
+const { setQuestionTags } = require('./questions');
+const { loadPostSnapshot, recordRevision, ensureInitialRevision, diffLines } = require('../lib/revisions');
+const { can } = require('../lib/privileges');
+
+const POST_TYPES = ['question', 'answer'];
+
+// Load the post, sending an error response and returning null if it is
+// missing or the caller can't see it
+async function loadPostForMember(req, res) {
+    const { postType, postId } = req.params;
+
+    if (!POST_TYPES.includes(postType)) {
+        res.status(400).json({ error: 'postType must be question or answer' });
+        return null;
+    }
+
+    const post = await loadPostSnapshot(postType, postId);
+    if (!post) {
+        res.status(404).json({ error: `${postType === 'question' ? 'Question' : 'Answer'} not found` });
+        return null;
+    }
+
+    if (!(await can(req.user, 'view', { teamId: post.team_id }))) {
+        res.status(403).json({ error: 'Team membership required' });
+        return null;
+    }
+
+    return post;
+}
+
+async function getRevision(postType, postId, revisionNumber) {
+    const [revisions] = await db.query(
+        `SELECT r.*, u.first_name, u.last_name, u.avatar_url
+         FROM post_revisions r
+         JOIN users u ON r.user_id = u.id
+         WHERE r.post_type = ? AND r.post_id = ? AND r.revision_number = ?`,
+        [postType, postId, revisionNumber]
+    );
+    return revisions[0] || null;
+}
+
+// List revisions of a question or answer (newest first)
+router.get('/:postType/:postId', authenticateToken, async (req, res) => {
+    try {
+        const post = await loadPostForMember(req, res);
+        if (!post) {
+            return;
+        }
+
+        const { postType, postId } = req.params;
+
+        const [revisions] = await db.query(
+            `SELECT r.id, r.revision_number, r.user_id, r.title, r.tags, r.edit_summary, r.created_at,
+                    u.first_name, u.last_name, u.avatar_url
+             FROM post_revisions r
+             JOIN users u ON r.user_id = u.id
+             WHERE r.post_type = ? AND r.post_id = ?
+             ORDER BY r.revision_number DESC`,
+            [postType, postId]
+        );
+
+        res.json(revisions);
+    } catch (error) {
+        console.error('Get revisions error:', error);
+        res.status(500).json({ error: 'Failed to get revisions' });
+    }
+});
+
+// Line-level diff between two revisions (defaults to the latest edit)
+router.get('/:postType/:postId/diff', authenticateToken, async (req, res) => {
+    try {
+        const post = await loadPostForMember(req, res);
+        if (!post) {
+            return;
+        }
+
+        const { postType, postId } = req.params;
+
+        const [latest] = await db.query(
+            'SELECT MAX(revision_number) as latest FROM post_revisions WHERE post_type = ? AND post_id = ?',
+            [postType, postId]
+        );
+
+        const to = parseInt(req.query.to) || latest[0].latest;
+        const from = parseInt(req.query.from) || Math.max(1, to - 1);
+
+        const fromRevision = await getRevision(postType, postId, from);
+        const toRevision = await getRevision(postType, postId, to);
+
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        const bodyDiff = diffLines(fromRevision.body, toRevision.body);
+        const fromTags = fromRevision.tags || [];
+        const toTags = toRevision.tags || [];
+
+        res.json({
+            from,
+            to,
+            title: {
+                from: fromRevision.title,
+                to: toRevision.title,
+                changed: fromRevision.title !== toRevision.title
+            },
+            tags: {
+                added: toTags.filter(t => !fromTags.includes(t)),
+                removed: fromTags.filter(t => !toTags.includes(t))
+            },
+            // null when the bodies are too large to diff
+            body: bodyDiff,
+            bodyTooLarge: bodyDiff === null
+        });
+    } catch (error) {
+        console.error('Diff revisions error:', error);
+        res.status(500).json({ error: 'Failed to diff revisions' });
+    }
+});
+
+// Get a single revision
+router.get('/:postType/:postId/:revisionNumber', authenticateToken, async (req, res) => {
+    try {
+        const post = await loadPostForMember(req, res);
+        if (!post) {
+            return;
+        }
+
+        const { postType, postId, revisionNumber } = req.params;
+
+        const revision = await getRevision(postType, postId, revisionNumber);
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        res.json(revision);
+    } catch (error) {
+        console.error('Get revision error:', error);
+        res.status(500).json({ error: 'Failed to get revision' });
+    }
+});
+
+// Roll a post back to an earlier revision (needs the edit privilege)
+router.post('/:postType/:postId/rollback',
+    authenticateToken,
+    [
+        body('revision').isInt({ min: 1 }),
+        body('editSummary').optional().trim().isLength({ max: 300 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const post = await loadPostForMember(req, res);
+            if (!post) {
+                return;
+            }
+
+            const { postType, postId } = req.params;
+            const { revision, editSummary } = req.body;
+
+            if (!(await can(req.user, 'edit', { teamId: post.team_id, ownerId: post.user_id }))) {
+                return res.status(403).json({ error: 'Not authorized to roll back this post' });
+            }
+
+            await ensureInitialRevision(postType, postId);
+
+            const target = await getRevision(postType, postId, revision);
+            if (!target) {
+                return res.status(404).json({ error: 'Revision not found' });
+            }
+
+            let questionId;
+            if (postType === 'question') {
+                questionId = post.id;
+                await db.query(
+                    'UPDATE questions SET title = ?, body = ?, last_activity_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [target.title, target.body, postId]
+                );
+                await setQuestionTags(post.id, post.team_id, target.tags || []);
+            } else {
+                questionId = post.question_id;
+                await db.query('UPDATE answers SET body = ? WHERE id = ?', [target.body, postId]);
+                await db.query(
+                    'UPDATE questions SET last_activity_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [questionId]
+                );
+            }
+
+            await recordRevision({
+                postType,
+                postId: post.id,
+                userId: req.user.userId,
+                editSummary: editSummary || `Rolled back to revision ${target.revision_number}`
+            });
+
+            await notifyFollowers({
+                actorId: req.user.userId,
+                questionId,
+                answerId: postType === 'answer' ? post.id : null,
+                type: 'edited'
+            });
+
+            res.json({ message: `Rolled back to revision ${target.revision_number}` });
+        } catch (error) {
+            console.error('Rollback revision error:', error);
+            res.status(500).json({ error: 'Failed to roll back revision' });
+        }
+    }
+);
+
+module.exports = router;
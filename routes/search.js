@@ -0,0 +1,381 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireTeamMember } = require('../middleware/auth');
+const { searchTeamMembers } = require('./users');
+
+// Ranking weights: full-text relevance is blended with the question's score
+// (log-scaled so heavily voted posts don't drown out better matches) and a
+// boost for questions that have an accepted answer
+const RELEVANCE_WEIGHT = 1;
+const SCORE_WEIGHT = 0.3;
+const ACCEPTED_BOOST = 0.5;
+
+const SNIPPET_LENGTH = 200;
+
+// InnoDB ignores tokens shorter than innodb_ft_min_token_size (3 by default),
+// and a required (+) short token would make every row miss
+const MIN_TERM_LENGTH = 3;
+
+const OPERATORS = ['tag', 'user', 'is', 'answers', 'score', 'created'];
+
+// Split a raw query into free-text terms and inline operators such as
+// tag:mysql, user:me, is:closed, answers:0 or created:>2026-01-01
+function parseSearchQuery(raw) {
+    const tokens = raw.match(/-?"[^"]*"|\S+/g) || [];
+    const terms = [];
+    const filters = { tags: [], users: [], is: [], answers: [], score: [], created: [] };
+
+    for (const token of tokens) {
+        const operator = /^([a-z]+):(.+)$/i.exec(token);
+        if (operator && OPERATORS.includes(operator[1].toLowerCase())) {
+            const name = operator[1].toLowerCase();
+            const value = operator[2];
+
+            if (name === 'answers' || name === 'score') {
+                const comparison = parseComparison(value, /^-?\d+$/);
+                if (comparison) {
+                    filters[name].push({ ...comparison, value: parseInt(comparison.value) });
+                    continue;
+                }
+            } else if (name === 'created') {
+                const comparison = parseComparison(value, /^\d{4}-\d{2}-\d{2}$/);
+                if (comparison) {
+                    filters.created.push(comparison);
+                    continue;
+                }
+            } else if (name === 'tag') {
+                filters.tags.push(value.toLowerCase());
+                continue;
+            } else if (name === 'is' && ['closed', 'open', 'accepted', 'unaccepted', 'unanswered'].includes(value.toLowerCase())) {
+                filters.is.push(value.toLowerCase());
+                continue;
+            } else if (name === 'user') {
+                filters.users.push(value);
+                continue;
+            }
+        }
+
+        // Anything else (including malformed operators) is searched as text
+        const exclude = token.startsWith('-') && token.length > 1;
+        const text = exclude ? token.slice(1) : token;
+
+        // Only letters, digits and underscores survive, so user input can't inject
+        // boolean-mode operators into the MATCH expression
+        const words = text.split(/[^\p{L}\p{N}_]+/u).filter(w => w.length > 0);
+
+        if (text.startsWith('"')) {
+            if (words.length > 0) {
+                terms.push({ text: words.join(' '), phrase: true, exclude });
+            }
+        } else {
+            for (const word of words) {
+                if (word.length >= MIN_TERM_LENGTH) {
+                    terms.push({ text: word, phrase: false, exclude });
+                }
+            }
+        }
+    }
+
+    return { terms, filters };
+}
+
+// Parse ">5", ">=2026-01-01", "0" etc. into { op, value }
+function parseComparison(value, valuePattern) {
+    const match = /^(>=|<=|>|<|=)?(.+)$/.exec(value);
+    if (!match || !valuePattern.test(match[2])) {
+        return null;
+    }
+    return { op: match[1] || '=', value: match[2] };
+}
+
+// Build a MATCH ... AGAINST expression for BOOLEAN MODE: every word is required
+// and prefix-matched, phrases must match exactly, and -terms are excluded
+function buildBooleanQuery(terms) {
+    return terms.map(term => {
+        const prefix = term.exclude ? '-' : '+';
+        return term.phrase ? `${prefix}"${term.text}"` : `${prefix}${term.text}*`;
+    }).join(' ');
+}
+
+// A BOOLEAN MODE expression matching rows that contain any of the terms
+function buildAnyTermQuery(terms) {
+    return terms.map(term => (term.phrase ? `"${term.text}"` : `${term.text}*`)).join(' ');
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Cut a window of text around the first matching term and wrap every match in <mark>
+function buildSnippet(text, terms) {
+    const flat = (text || '').replace(/\s+/g, ' ').trim();
+    const highlights = terms.filter(t => !t.exclude).map(t => escapeRegExp(t.text));
+
+    if (highlights.length === 0) {
+        return escapeHtml(flat.slice(0, SNIPPET_LENGTH)) + (flat.length > SNIPPET_LENGTH ? '...' : '');
+    }
+
+    const pattern = new RegExp(`(${highlights.join('|')})`, 'gi');
+    const first = flat.search(pattern);
+    const start = first > SNIPPET_LENGTH / 4 ? first - SNIPPET_LENGTH / 4 : 0;
+    const window = flat.slice(start, start + SNIPPET_LENGTH);
+
+    const highlighted = window
+        .split(pattern)
+        .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+
+    return (start > 0 ? '...' : '') + highlighted + (start + SNIPPET_LENGTH < flat.length ? '...' : '');
+}
+
+// Search questions, answers and comments within a team
+router.get('/',
+    authenticateToken,
+    requireTeamMember,
+    [
+        query('q').optional().isString(),
+        query('page').optional().isInt({ min: 1 }).toInt(),
+        query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { teamId, q = '', sort = 'relevance', page = 1, limit = 20 } = req.query;
+            const { terms, filters } = parseSearchQuery(q);
+            const booleanQuery = buildBooleanQuery(terms);
+            const hasText = terms.some(t => !t.exclude);
+            const excluded = terms.filter(t => t.exclude);
+
+            const conditions = ['q.team_id = ?', 'q.deleted_at IS NULL'];
+            const whereParams = [teamId];
+
+            if (hasText) {
+                conditions.push(`(
+                    MATCH(q.title, q.body) AGAINST (? IN BOOLEAN MODE)
+                    OR q.id IN (
+                        SELECT a.question_id FROM answers a
+                        WHERE a.deleted_at IS NULL AND MATCH(a.body) AGAINST (? IN BOOLEAN MODE)
+                    )
+                    OR q.id IN (
+                        SELECT c.parent_id FROM comments c
+                        WHERE c.parent_type = 'question' AND c.deleted_at IS NULL AND MATCH(c.body) AGAINST (? IN BOOLEAN MODE)
+                    )
+                    OR q.id IN (
+                        SELECT a.question_id FROM comments c
+                        JOIN answers a ON c.parent_type = 'answer' AND c.parent_id = a.id
+                        WHERE c.deleted_at IS NULL AND a.deleted_at IS NULL AND MATCH(c.body) AGAINST (? IN BOOLEAN MODE)
+                    )
+                )`);
+                whereParams.push(booleanQuery, booleanQuery, booleanQuery, booleanQuery);
+            } else if (excluded.length > 0) {
+                // Boolean mode matches nothing with only -terms, so exclude
+                // questions matching any of them instead
+                conditions.push('NOT MATCH(q.title, q.body) AGAINST (? IN BOOLEAN MODE)');
+                whereParams.push(buildAnyTermQuery(excluded));
+            }
+
+            for (const tag of filters.tags) {
+                conditions.push(`EXISTS (
+                    SELECT 1 FROM question_tags qt
+                    JOIN tags t ON qt.tag_id = t.id
+                    WHERE qt.question_id = q.id AND t.name = ?
+                )`);
+                whereParams.push(tag);
+            }
+
+            for (const user of filters.users) {
+                let userIds;
+                if (user.toLowerCase() === 'me') {
+                    userIds = [req.user.userId];
+                } else if (/^\d+$/.test(user)) {
+                    userIds = [parseInt(user)];
+                } else {
+                    userIds = (await searchTeamMembers(teamId, user, null)).map(u => u.id);
+                }
+
+                if (userIds.length === 0) {
+                    conditions.push('1 = 0');
+                } else {
+                    conditions.push(`q.user_id IN (${userIds.map(() => '?').join(', ')})`);
+                    whereParams.push(...userIds);
+                }
+            }
+
+            for (const state of filters.is) {
+                if (state === 'closed') {
+                    conditions.push('q.is_closed = 1');
+                } else if (state === 'open') {
+                    conditions.push('q.is_closed = 0');
+                } else if (state === 'accepted') {
+                    conditions.push('EXISTS (SELECT 1 FROM answers a WHERE a.question_id = q.id AND a.is_accepted = 1 AND a.deleted_at IS NULL)');
+                } else if (state === 'unaccepted') {
+                    conditions.push('NOT EXISTS (SELECT 1 FROM answers a WHERE a.question_id = q.id AND a.is_accepted = 1 AND a.deleted_at IS NULL)');
+                } else if (state === 'unanswered') {
+                    conditions.push('q.answer_count = 0');
+                }
+            }
+
+            for (const { op, value } of filters.answers) {
+                conditions.push(`q.answer_count ${op} ?`);
+                whereParams.push(value);
+            }
+
+            for (const { op, value } of filters.score) {
+                conditions.push(`q.score ${op} ?`);
+                whereParams.push(value);
+            }
+
+            for (const { op, value } of filters.created) {
+                conditions.push(`DATE(q.created_at) ${op} ?`);
+                whereParams.push(value);
+            }
+
+            const whereClause = conditions.join(' AND ');
+
+            let relevance = '0';
+            const relevanceParams = [];
+            if (hasText) {
+                relevance = `(
+                    MATCH(q.title, q.body) AGAINST (? IN BOOLEAN MODE) * 2
+                    + COALESCE((
+                        SELECT MAX(MATCH(a.body) AGAINST (? IN BOOLEAN MODE))
+                        FROM answers a WHERE a.question_id = q.id AND a.deleted_at IS NULL
+                    ), 0)
+                    + COALESCE((
+                        SELECT MAX(MATCH(c.body) AGAINST (? IN BOOLEAN MODE))
+                        FROM comments c WHERE c.parent_type = 'question' AND c.parent_id = q.id AND c.deleted_at IS NULL
+                    ), 0) * 0.5
+                )`;
+                relevanceParams.push(booleanQuery, booleanQuery, booleanQuery);
+            }
+
+            let orderBy;
+            switch (sort) {
+                case 'newest':
+                    orderBy = 'ranked.created_at DESC';
+                    break;
+                case 'active':
+                    orderBy = 'ranked.last_activity_at DESC';
+                    break;
+                case 'score':
+                    orderBy = 'ranked.score DESC, ranked.created_at DESC';
+                    break;
+                default:
+                    orderBy = 'search_rank DESC, ranked.last_activity_at DESC';
+            }
+
+            const offset = (page - 1) * limit;
+
+            const [questions] = await db.query(
+                `SELECT ranked.*,
+                        (ranked.relevance * ${RELEVANCE_WEIGHT}
+                         + LN(1 + GREATEST(ranked.score, 0)) * ${SCORE_WEIGHT}
+                         + ranked.has_accepted_answer * ${ACCEPTED_BOOST}) AS search_rank
+                 FROM (
+                    SELECT q.*,
+                           u.first_name, u.last_name, u.avatar_url,
+                           (SELECT GROUP_CONCAT(t.name) FROM question_tags qt
+                            JOIN tags t ON qt.tag_id = t.id
+                            WHERE qt.question_id = q.id) AS tags,
+                           EXISTS (SELECT 1 FROM answers a WHERE a.question_id = q.id AND a.is_accepted = 1 AND a.deleted_at IS NULL) AS has_accepted_answer,
+                           ${relevance} AS relevance
+                    FROM questions q
+                    JOIN users u ON q.user_id = u.id
+                    WHERE ${whereClause}
+                 ) ranked
+                 ORDER BY ${orderBy}
+                 LIMIT ? OFFSET ?`,
+                [...relevanceParams, ...whereParams, parseInt(limit), parseInt(offset)]
+            );
+
+            const [countResult] = await db.query(
+                `SELECT COUNT(*) as total FROM questions q WHERE ${whereClause}`,
+                whereParams
+            );
+
+            // Build highlighted snippets, preferring the question itself, then the
+            // best-matching answer, then the best-matching comment
+            if (hasText && questions.length > 0) {
+                const questionIds = questions.map(question => question.id);
+                const termPattern = new RegExp(
+                    terms.filter(t => !t.exclude).map(t => escapeRegExp(t.text)).join('|'),
+                    'i'
+                );
+
+                const [answerMatches] = await db.query(
+                    `SELECT a.id, a.question_id, a.body,
+                            MATCH(a.body) AGAINST (? IN BOOLEAN MODE) AS relevance
+                     FROM answers a
+                     WHERE a.question_id IN (?) AND a.deleted_at IS NULL AND MATCH(a.body) AGAINST (? IN BOOLEAN MODE)
+                     ORDER BY relevance DESC`,
+                    [booleanQuery, questionIds, booleanQuery]
+                );
+
+                const [commentMatches] = await db.query(
+                    `SELECT c.id, c.body, c.parent_type, c.parent_id,
+                            COALESCE(a.question_id, c.parent_id) AS question_id,
+                            MATCH(c.body) AGAINST (? IN BOOLEAN MODE) AS relevance
+                     FROM comments c
+                     LEFT JOIN answers a ON c.parent_type = 'answer' AND c.parent_id = a.id
+                     WHERE ((c.parent_type = 'question' AND c.parent_id IN (?))
+                            OR (c.parent_type = 'answer' AND a.question_id IN (?)))
+                       AND c.deleted_at IS NULL AND a.deleted_at IS NULL
+                       AND MATCH(c.body) AGAINST (? IN BOOLEAN MODE)
+                     ORDER BY relevance DESC`,
+                    [booleanQuery, questionIds, questionIds, booleanQuery]
+                );
+
+                for (const question of questions) {
+                    const answer = answerMatches.find(a => a.question_id === question.id);
+                    const comment = commentMatches.find(c => c.question_id === question.id);
+
+                    if (termPattern.test(question.body) || termPattern.test(question.title) || (!answer && !comment)) {
+                        question.matched_in = 'question';
+                        question.snippet = buildSnippet(question.body, terms);
+                    } else if (answer) {
+                        question.matched_in = 'answer';
+                        question.matched_answer_id = answer.id;
+                        question.snippet = buildSnippet(answer.body, terms);
+                    } else {
+                        question.matched_in = 'comment';
+                        question.matched_comment_id = comment.id;
+                        question.snippet = buildSnippet(comment.body, terms);
+                    }
+                }
+            } else {
+                for (const question of questions) {
+                    question.matched_in = 'question';
+                    question.snippet = buildSnippet(question.body, terms);
+                }
+            }
+
+            res.json({
+                questions,
+                total: countResult[0].total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(countResult[0].total / limit)
+            });
+        } catch (error) {
+            console.error('Search error:', error);
+            res.status(500).json({ error: 'Failed to search' });
+        }
+    }
+);
+
+module.exports = router;
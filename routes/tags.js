@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireTeamMember } = require('../middleware/auth');
 
 // Get all tags for a team
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requireTeamMember, async (req, res) => {
     try {
         const { teamId } = req.query;
 
@@ -27,7 +28,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Search tags by name
-router.get('/search', authenticateToken, async (req, res) => {
+router.get('/search', authenticateToken, requireTeamMember, async (req, res) => {
     try {
         const { teamId, q } = req.query;
 
@@ -50,4 +51,72 @@ router.get('/search', authenticateToken, async (req, res) => {
     }
 });
 
+// Get the tags the current user follows in a team
+router.get('/followed', authenticateToken, requireTeamMember, async (req, res) => {
+    try {
+        const { teamId } = req.query;
+
+        const [tags] = await db.query(
+            `SELECT t.* FROM tags t
+             JOIN tag_follows tf ON tf.tag_id = t.id
+             WHERE tf.user_id = ? AND t.team_id = ?
+             ORDER BY t.name ASC`,
+            [req.user.userId, teamId]
+        );
+
+        res.json(tags);
+    } catch (error) {
+        console.error('Get followed tags error:', error);
+        res.status(500).json({ error: 'Failed to get followed tags' });
+    }
+});
+
+// Toggle following a tag (new questions with it appear in digest emails)
+router.post('/follow',
+    authenticateToken,
+    [
+        body('teamId').isInt(),
+        body('tag').trim().notEmpty()
+    ],
+    requireTeamMember,
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { teamId, tag } = req.body;
+            const userId = req.user.userId;
+
+            const [tags] = await db.query(
+                'SELECT id FROM tags WHERE team_id = ? AND name = ?',
+                [teamId, tag.toLowerCase()]
+            );
+
+            if (tags.length === 0) {
+                return res.status(404).json({ error: 'Tag not found' });
+            }
+
+            const tagId = tags[0].id;
+
+            const [existing] = await db.query(
+                'SELECT id FROM tag_follows WHERE user_id = ? AND tag_id = ?',
+                [userId, tagId]
+            );
+
+            if (existing.length > 0) {
+                await db.query('DELETE FROM tag_follows WHERE user_id = ? AND tag_id = ?', [userId, tagId]);
+                return res.json({ message: 'Tag unfollowed', following: false });
+            }
+
+            await db.query('INSERT INTO tag_follows (user_id, tag_id) VALUES (?, ?)', [userId, tagId]);
+            res.status(201).json({ message: 'Tag followed', following: true });
+        } catch (error) {
+            console.error('Follow tag error:', error);
+            res.status(500).json({ error: 'Failed to follow tag' });
+        }
+    }
+);
+
 module.exports = router;
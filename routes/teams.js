@@ -3,6 +3,8 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { allowsTeam } = require('../lib/api-tokens');
+const { REQUIRED_MESSAGE, blocksMember } = require('../lib/two-factor');
 
 // Create new team
 router.post('/',
@@ -77,14 +79,18 @@ router.get('/:slug', authenticateToken, async (req, res) => {
             [req.user.userId, team.id]
         );
 
-        if (membership.length === 0) {
+        if (membership.length === 0 || !allowsTeam(req.user, team.id)) {
             return res.status(403).json({ error: 'Team membership required' });
         }
 
+        if (blocksMember(req.user, { role: membership[0].role, require_two_factor: team.require_two_factor })) {
+            return res.status(403).json({ error: REQUIRED_MESSAGE, code: 'TWO_FACTOR_REQUIRED' });
+        }
+
         // Get team statistics
         const [stats] = await db.query(
             `SELECT
-                (SELECT COUNT(*) FROM questions WHERE team_id = ?) as question_count,
+                (SELECT COUNT(*) FROM questions WHERE team_id = ? AND deleted_at IS NULL) as question_count,
                 (SELECT COUNT(*) FROM team_members WHERE team_id = ?) as member_count,
                 (SELECT COUNT(*) FROM tags WHERE team_id = ?) as tag_count`,
             [team.id, team.id, team.id]
@@ -105,7 +111,7 @@ router.get('/:slug/members', authenticateToken, async (req, res) => {
     try {
         const { slug } = req.params;
 
-        const [teams] = await db.query('SELECT id FROM teams WHERE slug = ?', [slug]);
+        const [teams] = await db.query('SELECT id, require_two_factor FROM teams WHERE slug = ?', [slug]);
         if (teams.length === 0) {
             return res.status(404).json({ error: 'Team not found' });
         }
@@ -118,19 +124,24 @@ router.get('/:slug/members', authenticateToken, async (req, res) => {
             [req.user.userId, teamId]
         );
 
-        if (membership.length === 0) {
+        if (membership.length === 0 || !allowsTeam(req.user, teamId)) {
             return res.status(403).json({ error: 'Team membership required' });
         }
 
+        if (blocksMember(req.user, { role: membership[0].role, require_two_factor: teams[0].require_two_factor })) {
+            return res.status(403).json({ error: REQUIRED_MESSAGE, code: 'TWO_FACTOR_REQUIRED' });
+        }
+
         const [members] = await db.query(
-            `SELECT u.id, u.email, u.first_name, u.last_name, u.avatar_url, u.bio, tm.role, tm.joined_at,
-                    tm.started_at, tm.ended_at,
-                    (SELECT COUNT(*) FROM questions WHERE user_id = u.id AND team_id = ?) as question_count,
+            `SELECT u.id, u.email, u.first_name, u.last_name, u.avatar_url, u.bio, tm.role,
+                    tr.name as custom_role_name, tm.joined_at, tm.started_at, tm.ended_at, tm.reputation,
+                    (SELECT COUNT(*) FROM questions WHERE user_id = u.id AND team_id = ? AND deleted_at IS NULL) as question_count,
                     (SELECT COUNT(*) FROM answers a
                      JOIN questions q ON a.question_id = q.id
-                     WHERE a.user_id = u.id AND q.team_id = ?) as answer_count
+                     WHERE a.user_id = u.id AND q.team_id = ? AND a.deleted_at IS NULL AND q.deleted_at IS NULL) as answer_count
              FROM users u
              JOIN team_members tm ON u.id = tm.user_id
+             LEFT JOIN team_roles tr ON tr.id = tm.custom_role_id
              WHERE tm.team_id = ?
              ORDER BY tm.joined_at ASC`,
             [teamId, teamId, teamId]
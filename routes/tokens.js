@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const { SCOPES, createApiToken, listApiTokens, deleteApiToken } = require('../lib/api-tokens');
+
+// List the current user's API tokens. Tokens are managed from a signed-in
+// session, never with another token.
+router.get('/', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const tokens = await listApiTokens(req.user.userId);
+        res.json(tokens);
+    } catch (error) {
+        console.error('Get API tokens error:', error);
+        res.status(500).json({ error: 'Failed to get API tokens' });
+    }
+});
+
+// Create an API token (the token is only returned here)
+router.post('/',
+    authenticateToken,
+    requireSession,
+    [
+        body('name').trim().notEmpty().isLength({ max: 100 }),
+        body('scopes').isArray({ min: 1 }),
+        body('scopes.*').isIn(SCOPES),
+        body('teamId').optional({ nullable: true }).isInt(),
+        body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: 365 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { name, scopes, teamId, expiresInDays } = req.body;
+
+            // A team restriction must be one of the user's teams
+            if (teamId) {
+                const [membership] = await db.query(
+                    'SELECT id FROM team_members WHERE user_id = ? AND team_id = ?',
+                    [req.user.userId, teamId]
+                );
+
+                if (membership.length === 0) {
+                    return res.status(403).json({ error: 'Not a member of this team' });
+                }
+            }
+
+            const token = await createApiToken({
+                userId: req.user.userId,
+                name,
+                scopes: [...new Set(scopes)],
+                teamId: teamId ? parseInt(teamId) : null,
+                expiresInDays: expiresInDays ? parseInt(expiresInDays) : null
+            });
+
+            res.status(201).json({
+                message: "API token created. Copy it now; it won't be shown again.",
+                ...token
+            });
+        } catch (error) {
+            console.error('Create API token error:', error);
+            res.status(500).json({ error: 'Failed to create API token' });
+        }
+    }
+);
+
+// Delete (revoke) an API token
+router.delete('/:id', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const deleted = await deleteApiToken(req.params.id, req.user.userId);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+
+        res.json({ message: 'API token deleted successfully' });
+    } catch (error) {
+        console.error('Delete API token error:', error);
+        res.status(500).json({ error: 'Failed to delete API token' });
+    }
+});
+
+module.exports = router;
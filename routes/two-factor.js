@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const { createSession, markTwoFactor } = require('../lib/sessions');
+const twoFactor = require('../lib/two-factor');
+const { tooManyRequests, checkLogin, loginFailed, loginSucceeded } = require('../lib/rate-limit');
+
+// Wrong codes (and wrong passwords when disabling) are throttled like wrong
+// passwords at login, per user, in a scope of their own
+const THROTTLE_SCOPE = 'two_factor';
+
+// Run check (resolving to a truthy method name or null) with throttling.
+// Returns its result, or sends a 429 and returns false.
+async function throttledCheck(req, res, userId, check) {
+    const retryAfter = await checkLogin(req, userId, THROTTLE_SCOPE);
+    if (retryAfter) {
+        tooManyRequests(res, retryAfter, 'Too many attempts. Please try again later.');
+        return false;
+    }
+
+    const method = await check();
+    if (method) {
+        await loginSucceeded(userId, THROTTLE_SCOPE);
+    } else {
+        await loginFailed(userId, THROTTLE_SCOPE);
+    }
+    return method;
+}
+
+// Check a code with throttling. Returns 'totp', 'recovery' or null, or sends
+// a 429 and returns false.
+function checkCode(req, res, userId, code) {
+    return throttledCheck(req, res, userId, () => twoFactor.verifyCode(userId, code));
+}
+
+// Check the account password with the same throttle. Returns 'password' or
+// null, or sends a 429 and returns false.
+function checkPassword(req, res, userId, password) {
+    return throttledCheck(req, res, userId, async () => {
+        const [users] = await db.query('SELECT password_hash FROM users WHERE id = ?', [userId]);
+        const matches = users.length > 0 && !!users[0].password_hash &&
+            await bcrypt.compare(password, users[0].password_hash);
+        return matches ? 'password' : null;
+    });
+}
+
+// Finish signing in: exchange the challenge token from POST /api/auth/login
+// and a code (from the app, or a recovery code) for a session
+router.post('/verify',
+    [
+        body('challengeToken').notEmpty(),
+        body('code').trim().notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const user = await twoFactor.verifyChallenge(req.body.challengeToken);
+            if (!user) {
+                return res.status(401).json({ error: 'Your sign-in attempt expired. Please sign in again.' });
+            }
+
+            const method = await checkCode(req, res, user.id, req.body.code);
+            if (method === false) {
+                return;
+            }
+            if (!method) {
+                return res.status(401).json({ error: 'Invalid code' });
+            }
+
+            const tokens = await createSession(req, res, user, { twoFactor: true });
+
+            res.json({
+                message: 'Login successful',
+                userId: user.id,
+                ...tokens,
+                // Let the user know when they're running low
+                recoveryCodesLeft: method === 'recovery'
+                    ? (await twoFactor.getStatus(user.id)).recoveryCodesLeft
+                    : undefined,
+                user: {
+                    id: user.id,
+                    email: user.email,
+                    firstName: user.first_name,
+                    lastName: user.last_name
+                }
+            });
+        } catch (error) {
+            console.error('Two-factor verify error:', error);
+            res.status(500).json({ error: 'Login failed' });
+        }
+    }
+);
+
+// Two-factor status for the current user
+router.get('/', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const status = await twoFactor.getStatus(req.user.userId);
+        res.json({ ...status, sessionVerified: req.user.twoFactor });
+    } catch (error) {
+        console.error('Get two-factor status error:', error);
+        res.status(500).json({ error: 'Failed to get two-factor status' });
+    }
+});
+
+// Start enrolling: returns the secret, an otpauth:// provisioning URI and a
+// QR code (data URL) of it for authenticator apps
+router.post('/setup', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const status = await twoFactor.getStatus(req.user.userId);
+        if (status.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const enrollment = await twoFactor.startEnrollment(req.user.userId, req.user.email);
+        res.json(enrollment);
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+// Confirm enrollment with a code from the app. Returns the recovery codes
+// (only shown here).
+router.post('/enable',
+    authenticateToken,
+    requireSession,
+    [body('code').trim().notEmpty()],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const recoveryCodes = await twoFactor.confirmEnrollment(req.user.userId, req.body.code);
+            if (!recoveryCodes) {
+                return res.status(400).json({ error: 'Invalid code. Check the time on your device and try again.' });
+            }
+
+            // The user just proved the second factor on this session
+            await markTwoFactor(req.user.sessionId);
+
+            res.json({
+                message: 'Two-factor authentication enabled',
+                recoveryCodes
+            });
+        } catch (error) {
+            console.error('Two-factor enable error:', error);
+            res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+        }
+    }
+);
+
+// Replace the recovery codes (needs a current code)
+router.post('/recovery-codes',
+    authenticateToken,
+    requireSession,
+    [body('code').trim().notEmpty()],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const method = await checkCode(req, res, req.user.userId, req.body.code);
+            if (method === false) {
+                return;
+            }
+            if (!method) {
+                return res.status(400).json({ error: 'Invalid code' });
+            }
+
+            const recoveryCodes = await twoFactor.generateRecoveryCodes(req.user.userId);
+            res.json({ recoveryCodes });
+        } catch (error) {
+            console.error('Regenerate recovery codes error:', error);
+            res.status(500).json({ error: 'Failed to generate recovery codes' });
+        }
+    }
+);
+
+// Turn two-factor off (needs a current code, or the password)
+router.post('/disable',
+    authenticateToken,
+    requireSession,
+    [
+        body('code').optional().trim(),
+        body('password').optional()
+    ],
+    async (req, res) => {
+        try {
+            const { code, password } = req.body;
+
+            let method = null;
+            if (code) {
+                method = await checkCode(req, res, req.user.userId, code);
+            } else if (password) {
+                method = await checkPassword(req, res, req.user.userId, password);
+            }
+            if (method === false) {
+                return;
+            }
+
+            if (!method) {
+                return res.status(400).json({ error: 'Invalid code or password' });
+            }
+
+            await twoFactor.disable(req.user.userId);
+            res.json({ message: 'Two-factor authentication disabled' });
+        } catch (error) {
+            console.error('Two-factor disable error:', error);
+            res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+        }
+    }
+);
+
+module.exports = router;
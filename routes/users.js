@@ -2,10 +2,41 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireTeamMember } = require('../middleware/auth');
+const { can } = require('../lib/privileges');
+const { getUserBadges } = require('../lib/badges');
+const { recordAudit } = require('../lib/audit');
 
-// Get user by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+// Search users (for mentions/notifications)
+// Registered before /:id so that "search" is not treated as a user ID
+router.get('/search', authenticateToken, requireTeamMember, async (req, res) => {
+    try {
+        const { teamId, q } = req.query;
+
+        if (!teamId) {
+            return res.status(400).json({ error: 'teamId is required' });
+        }
+
+        const users = await searchTeamMembers(teamId, q);
+
+        res.json(users);
+    } catch (error) {
+        console.error('Search users error:', error);
+        res.status(500).json({ error: 'Failed to search users' });
+    }
+});
+
+// Activity in a team (teamId) is only shown to its members
+function requireTeamMemberIfTeam(req, res, next) {
+    if (!req.query.teamId) {
+        return next();
+    }
+    requireTeamMember(req, res, next);
+}
+
+// Get user by ID. Only the user themselves and people sharing a team with
+// them can see the profile, and only the teams they share are listed.
+router.get('/:id', authenticateToken, requireTeamMemberIfTeam, async (req, res) => {
     try {
         const { id } = req.params;
         const { teamId } = req.query;
@@ -19,17 +50,28 @@ router.get('/:id', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Get user's teams
+        // Get user's teams (the ones the viewer is also in, unless it's their own
+        // profile, and only its team for a team-restricted API token)
+        const isSelf = users[0].id === req.user.userId;
+        const tokenTeamId = req.user.apiToken ? req.user.apiToken.teamId : null;
         const [teams] = await db.query(
-            `SELECT t.*, tm.role as user_role, tm.started_at, tm.ended_at, tm.joined_at
+            `SELECT t.*, tm.role as user_role, tm.started_at, tm.ended_at, tm.joined_at, tm.reputation
              FROM teams t
              JOIN team_members tm ON t.id = tm.team_id
-             WHERE tm.user_id = ?`,
-            [id]
+             WHERE tm.user_id = ?
+               AND (? OR t.id IN (SELECT team_id FROM team_members WHERE user_id = ?))
+               AND (? IS NULL OR t.id = ?)`,
+            [id, isSelf, req.user.userId, tokenTeamId, tokenTeamId]
         );
 
+        if (!isSelf && !teamId && teams.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
         let questions = [];
         let answers = [];
+        let reputation = null;
+        let badges = [];
 
         // If teamId provided, get user's activity in that team
         if (teamId) {
@@ -40,7 +82,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
                  FROM questions q
                  LEFT JOIN question_tags qt ON q.id = qt.question_id
                  LEFT JOIN tags t ON qt.tag_id = t.id
-                 WHERE q.user_id = ? AND q.team_id = ?
+                 WHERE q.user_id = ? AND q.team_id = ? AND q.deleted_at IS NULL
                  GROUP BY q.id
                  ORDER BY q.created_at DESC`,
                 [id, teamId]
@@ -52,15 +94,21 @@ router.get('/:id', authenticateToken, async (req, res) => {
                 `SELECT a.*, q.title as question_title, q.id as question_id
                  FROM answers a
                  JOIN questions q ON a.question_id = q.id
-                 WHERE a.user_id = ? AND q.team_id = ?
+                 WHERE a.user_id = ? AND q.team_id = ? AND a.deleted_at IS NULL AND q.deleted_at IS NULL
                  ORDER BY a.created_at DESC`,
                 [id, teamId]
             );
             answers = userAnswers;
+
+            const team = teams.find(t => t.id === parseInt(teamId));
+            reputation = team ? team.reputation : null;
+            badges = await getUserBadges(id, teamId);
         }
 
         res.json({
             ...users[0],
+            reputation,
+            badges,
             teams,
             questions,
             answers
@@ -71,6 +119,67 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// Get a user's reputation ledger in a team (newest first)
+router.get('/:id/reputation', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { teamId } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 30));
+
+        if (!teamId) {
+            return res.status(400).json({ error: 'teamId is required' });
+        }
+
+        if (!(await can(req.user, 'view', { teamId }))) {
+            return res.status(403).json({ error: 'Team membership required' });
+        }
+
+        const [members] = await db.query(
+            'SELECT reputation FROM team_members WHERE user_id = ? AND team_id = ?',
+            [id, teamId]
+        );
+
+        if (members.length === 0) {
+            return res.status(404).json({ error: 'User is not a member of this team' });
+        }
+
+        // Voters stay anonymous, so actor_id is not returned
+        const [events] = await db.query(
+            `SELECT e.id, e.event_type, e.post_type, e.post_id, e.points, e.created_at,
+                    COALESCE(q.id, aq.id) as question_id,
+                    COALESCE(q.title, aq.title) as question_title
+             FROM reputation_events e
+             LEFT JOIN questions q ON e.post_type = 'question' AND q.id = e.post_id
+             LEFT JOIN answers a ON e.post_type = 'answer' AND a.id = e.post_id
+             LEFT JOIN questions aq ON a.question_id = aq.id
+             WHERE e.user_id = ? AND e.team_id = ?
+             ORDER BY e.created_at DESC, e.id DESC
+             LIMIT ? OFFSET ?`,
+            [id, teamId, limit, (page - 1) * limit]
+        );
+
+        const [countResult] = await db.query(
+            'SELECT COUNT(*) as total FROM reputation_events WHERE user_id = ? AND team_id = ?',
+            [id, teamId]
+        );
+
+        const total = countResult[0].total;
+
+        res.json({
+            reputation: members[0].reputation,
+            events,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error('Get reputation error:', error);
+        res.status(500).json({ error: 'Failed to get reputation' });
+    }
+});
+
 // Update user profile
 router.put('/profile',
     authenticateToken,
@@ -78,11 +187,18 @@ router.put('/profile',
         body('firstName').optional().trim(),
         body('lastName').optional().trim(),
         body('bio').optional().trim(),
-        body('location').optional().trim()
+        body('location').optional().trim(),
+        body('autoFollow').optional().isBoolean().toBoolean(),
+        body('digestFrequency').optional().isIn(['off', 'daily', 'weekly'])
     ],
     async (req, res) => {
         try {
-            const { firstName, lastName, bio, location } = req.body;
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { firstName, lastName, bio, location, autoFollow, digestFrequency } = req.body;
 
             const updates = [];
             const params = [];
@@ -103,6 +219,18 @@ router.put('/profile',
                 updates.push('location = ?');
                 params.push(location);
             }
+            // Follow questions automatically when answering or commenting on them
+            if (autoFollow !== undefined) {
+                updates.push('auto_follow = ?');
+                params.push(autoFollow);
+            }
+            // Email digest; switching frequency starts the period from now
+            if (digestFrequency !== undefined) {
+                updates.push('last_digest_at = IF(digest_frequency = ?, last_digest_at, CURRENT_TIMESTAMP)');
+                params.push(digestFrequency);
+                updates.push('digest_frequency = ?');
+                params.push(digestFrequency);
+            }
 
             if (updates.length === 0) {
                 return res.status(400).json({ error: 'No updates provided' });
@@ -152,7 +280,7 @@ router.put('/:id/membership/:teamId',
 
             // Verify the target user is a member of the team
             const [membership] = await db.query(
-                'SELECT id FROM team_members WHERE user_id = ? AND team_id = ?',
+                'SELECT started_at, ended_at FROM team_members WHERE user_id = ? AND team_id = ?',
                 [userId, teamId]
             );
 
@@ -183,6 +311,20 @@ router.put('/:id/membership/:teamId',
                 params
             );
 
+            if (!isOwnProfile) {
+                await recordAudit(req, {
+                    teamId,
+                    action: 'member.dates_updated',
+                    targetType: 'user',
+                    targetId: userId,
+                    before: { startedAt: membership[0].started_at, endedAt: membership[0].ended_at },
+                    after: {
+                        startedAt: startedAt === undefined ? membership[0].started_at : startedAt,
+                        endedAt: endedAt === undefined ? membership[0].ended_at : endedAt
+                    }
+                });
+            }
+
             res.json({ message: 'Membership dates updated successfully' });
         } catch (error) {
             console.error('Update membership dates error:', error);
@@ -191,38 +333,33 @@ router.put('/:id/membership/:teamId',
     }
 );
 
-// Search users (for mentions/notifications)
-router.get('/search', authenticateToken, async (req, res) => {
-    try {
-        const { teamId, q } = req.query;
-
-        if (!teamId) {
-            return res.status(400).json({ error: 'teamId is required' });
-        }
-
-        let query = `
-            SELECT u.id, u.email, u.first_name, u.last_name, u.avatar_url
-            FROM users u
-            JOIN team_members tm ON u.id = tm.user_id
-            WHERE tm.team_id = ?
-        `;
-
-        const params = [teamId];
-
-        if (q) {
-            query += ` AND (u.first_name LIKE ? OR u.last_name LIKE ? OR u.email LIKE ?)`;
-            params.push(`%${q}%`, `%${q}%`, `%${q}%`);
-        }
-
-        query += ` ORDER BY u.first_name, u.last_name LIMIT 10`;
+// Helper to look up team members by name or email (exported for use by other routes)
+// Pass limit = null to return every matching member
+async function searchTeamMembers(teamId, q, limit = 10) {
+    let query = `
+        SELECT u.id, u.email, u.first_name, u.last_name, u.avatar_url
+        FROM users u
+        JOIN team_members tm ON u.id = tm.user_id
+        WHERE tm.team_id = ?
+    `;
+
+    const params = [teamId];
+
+    if (q) {
+        query += ` AND (u.first_name LIKE ? OR u.last_name LIKE ? OR u.email LIKE ?)`;
+        params.push(`%${q}%`, `%${q}%`, `%${q}%`);
+    }
 
-        const [users] = await db.query(query, params);
+    query += ` ORDER BY u.first_name, u.last_name`;
 
-        res.json(users);
-    } catch (error) {
-        console.error('Search users error:', error);
-        res.status(500).json({ error: 'Failed to search users' });
+    if (limit !== null) {
+        query += ` LIMIT ?`;
+        params.push(parseInt(limit));
     }
-});
+
+    const [users] = await db.query(query, params);
+    return users;
+}
 
 module.exports = router;
+module.exports.searchTeamMembers = searchTeamMembers;
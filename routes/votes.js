@@ -2,12 +2,27 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
-const { createNotification } = require('./notifications');
+const { authenticateToken, requireResourceMember } = require('../middleware/auth');
+const { quota } = require('../lib/rate-limit');
+const { createNotification, notifyBadges } = require('./notifications');
+const { applyVote, revokeVote } = require('../lib/reputation');
+const { can } = require('../lib/privileges');
+const { checkBadges } = require('../lib/badges');
+
+// Score badges for the post's author, plus any the voter has earned by now
+async function awardVoteBadges(post, voterId) {
+    const awards = await checkBadges({
+        teamId: post.team_id,
+        userIds: [...new Set([post.user_id, voterId])],
+        event: 'vote'
+    });
+    await notifyBadges({ teamId: post.team_id, awards });
+}
 
 // Vote on question or answer
 router.post('/',
     authenticateToken,
+    quota('votes'),
     [
         body('votableType').isIn(['question', 'answer']),
         body('votableId').isInt(),
@@ -23,12 +38,37 @@ router.post('/',
             const { votableType, votableId, voteType } = req.body;
             const userId = req.user.userId;
 
+            // Find the team the post belongs to
+            const [posts] = votableType === 'question'
+                ? await db.query('SELECT team_id, user_id FROM questions WHERE id = ? AND deleted_at IS NULL', [votableId])
+                : await db.query(
+                    `SELECT q.team_id, a.user_id FROM answers a
+                     JOIN questions q ON a.question_id = q.id
+                     WHERE a.id = ? AND a.deleted_at IS NULL AND q.deleted_at IS NULL`,
+                    [votableId]
+                );
+
+            if (posts.length === 0) {
+                return res.status(404).json({ error: `${votableType === 'question' ? 'Question' : 'Answer'} not found` });
+            }
+
+            const post = posts[0];
+
             // Check if user already voted
             const [existingVote] = await db.query(
                 'SELECT * FROM votes WHERE votable_type = ? AND votable_id = ? AND user_id = ?',
                 [votableType, votableId, userId]
             );
 
+            // Casting or changing a vote needs the privilege; taking one back doesn't
+            const removing = existingVote.length > 0 && existingVote[0].vote_type === voteType;
+            const action = voteType === 'up' ? 'vote_up' : 'vote_down';
+            if (!removing && !(await can(req.user, action, { teamId: post.team_id }))) {
+                return res.status(403).json({
+                    error: `Not enough reputation to ${voteType === 'up' ? 'upvote' : 'downvote'} in this team`
+                });
+            }
+
             if (existingVote.length > 0) {
                 // User already voted
                 if (existingVote[0].vote_type === voteType) {
@@ -45,6 +85,8 @@ router.post('/',
                         [scoreChange, votableId]
                     );
 
+                    await revokeVote({ votableType, votableId, voterId: userId });
+
                     return res.json({
                         message: 'Vote removed',
                         action: 'removed',
@@ -64,6 +106,11 @@ router.post('/',
                         [scoreChange, votableId]
                     );
 
+                    // Swap the old vote's reputation for the new one's
+                    await revokeVote({ votableType, votableId, voterId: userId });
+                    await applyVote({ votableType, votableId, voterId: userId, voteType });
+                    await awardVoteBadges(post, userId);
+
                     return res.json({
                         message: 'Vote updated',
                         action: 'updated',
@@ -84,6 +131,9 @@ router.post('/',
                     [scoreChange, votableId]
                 );
 
+                await applyVote({ votableType, votableId, voterId: userId, voteType });
+                await awardVoteBadges(post, userId);
+
                 // Update question last activity and notify on upvote
                 if (votableType === 'question') {
                     await db.query(
@@ -140,14 +190,19 @@ router.post('/',
 // Get user's vote for a specific item
 router.get('/',
     authenticateToken,
+    (req, res, next) => {
+        const { votableType, votableId } = req.query;
+
+        if (!votableType || !votableId) {
+            return res.status(400).json({ error: 'votableType and votableId required' });
+        }
+        next();
+    },
+    requireResourceMember(req => req.query.votableType, 'votableId'),
     async (req, res) => {
         try {
             const { votableType, votableId } = req.query;
 
-            if (!votableType || !votableId) {
-                return res.status(400).json({ error: 'votableType and votableId required' });
-            }
-
             const [votes] = await db.query(
                 'SELECT vote_type FROM votes WHERE votable_type = ? AND votable_id = ? AND user_id = ?',
                 [votableType, votableId, req.user.userId]
@@ -0,0 +1,29 @@
+// Award every badge members already qualify for, e.g. after adding a badge
+// or upgrading. No notifications are sent for backfilled badges.
+// Usage: npm run badges:backfill [-- <teamId>]
+const db = require('../config/database');
+const { checkBadges } = require('../lib/badges');
+
+async function main() {
+    const teamId = process.argv[2] ? parseInt(process.argv[2]) : null;
+
+    if (process.argv[2] && !teamId) {
+        throw new Error(`Invalid team id: ${process.argv[2]}`);
+    }
+
+    const [teams] = teamId
+        ? await db.query('SELECT id, name FROM teams WHERE id = ?', [teamId])
+        : await db.query('SELECT id, name FROM teams ORDER BY id');
+
+    for (const team of teams) {
+        const awards = await checkBadges({ teamId: team.id });
+        console.log(`${team.name}: awarded ${awards.length} badge(s)`);
+    }
+}
+
+main()
+    .catch(error => {
+        console.error('Badge backfill error:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
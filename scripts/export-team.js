@@ -0,0 +1,34 @@
+// Export a team as an archive for npm run team:import. Writes NDJSON when the
+// file name ends in .ndjson, a single JSON document otherwise.
+// Usage: npm run team:export -- <teamId> <file>
+const fs = require('fs');
+const db = require('../config/database');
+const { exportTeam, archiveToNdjson } = require('../lib/team-archive');
+
+async function main() {
+    const teamId = parseInt(process.argv[2]);
+    const file = process.argv[3];
+
+    if (!teamId || !file) {
+        throw new Error('Usage: npm run team:export -- <teamId> <file>');
+    }
+
+    const archive = await exportTeam(teamId);
+    if (!archive) {
+        throw new Error(`No team with id ${teamId}`);
+    }
+
+    fs.writeFileSync(file, file.endsWith('.ndjson') ? archiveToNdjson(archive) : JSON.stringify(archive));
+
+    console.log(
+        `Exported ${archive.team.name}: ${archive.members.length} member(s), ${archive.questions.length} question(s), ` +
+        `${archive.answers.length} answer(s), ${archive.comments.length} comment(s) to ${file}`
+    );
+}
+
+main()
+    .catch(error => {
+        console.error('Team export error:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
@@ -0,0 +1,32 @@
+// Import a Stack Exchange / Stack Overflow for Teams data dump into a team.
+// dir holds the dump's Posts.xml and, optionally, Users.xml, Comments.xml,
+// Votes.xml and Tags.xml. The team must not have any questions yet, and
+// nothing is imported if any record fails.
+// Usage: npm run stackexchange:import -- <dir> <teamId>
+const db = require('../config/database');
+const { importStackExchange } = require('../lib/stack-exchange');
+
+async function main() {
+    const dir = process.argv[2];
+    const teamId = parseInt(process.argv[3]);
+
+    if (!dir || !teamId) {
+        throw new Error('Usage: npm run stackexchange:import -- <dir> <teamId>');
+    }
+
+    const summary = await importStackExchange(dir, teamId);
+
+    console.log(
+        `Imported ${summary.questions} question(s), ${summary.answers} answer(s), ${summary.comments} comment(s), ` +
+        `${summary.votes} vote(s), ${summary.bookmarks} bookmark(s) and ${summary.tags} new tag(s); ` +
+        `${summary.usersMatched} existing and ${summary.usersCreated} placeholder account(s)` +
+        (summary.skipped > 0 ? `; skipped ${summary.skipped} record(s) whose post wasn't in the dump` : '')
+    );
+}
+
+main()
+    .catch(error => {
+        console.error('Stack Exchange import error:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
@@ -0,0 +1,32 @@
+// Recreate a team from an archive (JSON or NDJSON, from the admin page or
+// npm run team:export) as a new team on this instance. People are matched to
+// existing accounts by email; missing accounts are created and can sign in
+// after resetting their password.
+// Usage: npm run team:import -- <file> [slug] [name]
+const fs = require('fs');
+const db = require('../config/database');
+const { parseArchive, importTeam } = require('../lib/team-archive');
+
+async function main() {
+    const [file, slug, name] = process.argv.slice(2);
+
+    if (!file) {
+        throw new Error('Usage: npm run team:import -- <file> [slug] [name]');
+    }
+
+    const archive = parseArchive(fs.readFileSync(file, 'utf8'));
+    const result = await importTeam(archive, { slug, name });
+
+    console.log(
+        `Imported team ${result.slug} (id ${result.teamId}): ${result.members} member(s), ` +
+        `${result.questions} question(s), ${result.answers} answer(s), ${result.comments} comment(s), ` +
+        `${result.votes} vote(s); ${result.usersMatched} existing and ${result.usersCreated} new account(s)`
+    );
+}
+
+main()
+    .catch(error => {
+        console.error('Team import error:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
@@ -0,0 +1,30 @@
+// Rebuild the reputation ledger from votes and accepted answers.
+// Usage: npm run reputation:rebuild [-- <teamId>]
+// Safe to run on a schedule (e.g. nightly) to repair any drift.
+const db = require('../config/database');
+const { rebuildReputation } = require('../lib/reputation');
+
+async function main() {
+    const teamId = process.argv[2] ? parseInt(process.argv[2]) : null;
+
+    if (process.argv[2] && !teamId) {
+        throw new Error(`Invalid team id: ${process.argv[2]}`);
+    }
+
+    await rebuildReputation(teamId);
+
+    const [summary] = await db.query(
+        `SELECT COUNT(*) as events, COUNT(DISTINCT team_id) as teams
+         FROM reputation_events${teamId ? ' WHERE team_id = ?' : ''}`,
+        teamId ? [teamId] : []
+    );
+
+    console.log(`Rebuilt reputation: ${summary[0].events} events across ${summary[0].teams} team(s)`);
+}
+
+main()
+    .catch(error => {
+        console.error('Reputation rebuild error:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
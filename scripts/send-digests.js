@@ -0,0 +1,26 @@
+// Send any digest emails that are due and deliver the outbox right away,
+// instead of waiting for the server's background worker.
+// Usage: npm run digests:send
+const db = require('../config/database');
+const { processOutbox } = require('../lib/mail');
+const { sendDueDigests } = require('../lib/digests');
+
+async function main() {
+    const queued = await sendDueDigests();
+
+    let sent = 0;
+    let batch;
+    do {
+        batch = await processOutbox();
+        sent += batch;
+    } while (batch > 0);
+
+    console.log(`Queued ${queued} digest(s), delivered ${sent} email(s)`);
+}
+
+main()
+    .catch(error => {
+        console.error('Send digests error:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
@@ -6,10 +6,28 @@ require("dotenv").config();
 
 const initializeDatabase = require("./config/init-db");
 const db = require("./config/database");
+const { processOutbox } = require("./lib/mail");
+const { sendDueDigests } = require("./lib/digests");
+const rateLimit = require("./lib/rate-limit");
+const { purgeExpired } = require("./lib/trash");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, trust its X-Forwarded-For so req.ip (used for rate
+// limits and session IPs) is the client's address. e.g. TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    trustProxy === "true"
+      ? true
+      : /^\d+$/.test(trustProxy)
+        ? parseInt(trustProxy, 10)
+        : trustProxy,
+  );
+}
+
 // Security headers (all except HSTS which forces HTTPS)
 app.use(
   helmet({
@@ -23,8 +41,13 @@ app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, "public")));
 
+// Per-IP limit on the API (see lib/rate-limit for login throttling and quotas)
+app.use("/api", rateLimit.apiLimiter);
+
 // Import routes
 const authRoutes = require("./routes/auth");
+const oidcRoutes = require("./routes/oidc");
+const twoFactorRoutes = require("./routes/two-factor");
 const teamRoutes = require("./routes/teams");
 const questionRoutes = require("./routes/questions");
 const answerRoutes = require("./routes/answers");
@@ -35,8 +58,16 @@ const userRoutes = require("./routes/users");
 const bookmarkRoutes = require("./routes/bookmarks");
 const adminRoutes = require("./routes/admin");
 const notificationRoutes = require("./routes/notifications");
+const searchRoutes = require("./routes/search");
+const markdownRoutes = require("./routes/markdown");
+const revisionRoutes = require("./routes/revisions");
+const badgeRoutes = require("./routes/badges");
+const tokenRoutes = require("./routes/tokens");
+const flagRoutes = require("./routes/flags");
 
 // API routes
+app.use("/api/auth/oidc", oidcRoutes);
+app.use("/api/auth/2fa", twoFactorRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/teams", teamRoutes);
 app.use("/api/questions", questionRoutes);
@@ -48,6 +79,12 @@ app.use("/api/users", userRoutes);
 app.use("/api/bookmarks", bookmarkRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/notifications", notificationRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/markdown", markdownRoutes);
+app.use("/api/revisions", revisionRoutes);
+app.use("/api/badges", badgeRoutes);
+app.use("/api/tokens", tokenRoutes);
+app.use("/api/flags", flagRoutes);
 
 // Health check endpoint (for container orchestration / load balancers)
 app.get("/health", async (req, res) => {
@@ -139,10 +176,50 @@ async function startServer() {
     app.listen(PORT, () => {
       // console.log(`✓ Server running on http://localhost:${PORT}`);
     });
+
+    // Deliver queued email every minute and check for due digests hourly
+    setInterval(() => {
+      processOutbox().catch((error) =>
+        console.error("Process outbox error:", error),
+      );
+    }, 60 * 1000);
+    setInterval(
+      () => {
+        sendDueDigests().catch((error) =>
+          console.error("Send digests error:", error),
+        );
+      },
+      60 * 60 * 1000,
+    );
+
+    // Permanently delete posts that have been in the trash past the retention period
+    setInterval(
+      () => {
+        purgeExpired().catch((error) =>
+          console.error("Purge trash error:", error),
+        );
+      },
+      60 * 60 * 1000,
+    );
+
+    // Drop expired rate limit counters
+    setInterval(
+      () => {
+        rateLimit
+          .cleanup()
+          .catch((error) => console.error("Rate limit cleanup error:", error));
+      },
+      10 * 60 * 1000,
+    );
   } catch (error) {
     console.error("Failed to start server:", error);
     process.exit(1);
   }
 }
 
-startServer();
+// Tests load the app without starting the server or the background jobs
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
@@ -0,0 +1,148 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startApp, stopApp, createUser, createTeam, signIn } = require('./helpers/setup');
+const { createApiToken } = require('../lib/api-tokens');
+const { recordRevision } = require('../lib/revisions');
+
+// Every read endpoint must refuse content from a team the caller can't use:
+// both for someone who isn't a member, and for a member whose API token is
+// restricted to another team.
+
+// Marker in every piece of the other team's content, to catch leaks in any
+// response body
+const SECRET = 'team-b-secret';
+
+describe('cross-team access on read endpoints', () => {
+    let app;
+    const ids = {};
+    const tokens = {};
+
+    before(async () => {
+        app = await startApp();
+        const db = require('../config/database');
+
+        const alice = await createUser('alice');
+        const bob = await createUser('bob');
+        const carol = await createUser('carol');
+
+        // alice is only in team A, bob only in team B, carol in both
+        const teamA = await createTeam('team-a', [[alice, 'admin'], [carol, 'member']]);
+        const teamB = await createTeam('team-b', [[bob, 'admin'], [carol, 'member']]);
+        ids.bob = bob.id;
+        ids.teamB = teamB.id;
+
+        const [question] = await db.query(
+            'INSERT INTO questions (team_id, user_id, title, body) VALUES (?, ?, ?, ?)',
+            [teamB.id, bob.id, `How do we rotate the ${SECRET} keys?`, `Asking about ${SECRET}`]
+        );
+        ids.question = question.insertId;
+
+        const [answer] = await db.query(
+            'INSERT INTO answers (question_id, user_id, body) VALUES (?, ?, ?)',
+            [ids.question, bob.id, `Answer about ${SECRET}`]
+        );
+        ids.answer = answer.insertId;
+        await db.query('UPDATE questions SET answer_count = 1 WHERE id = ?', [ids.question]);
+
+        // As the routes do when a post is created
+        await recordRevision({ postType: 'question', postId: ids.question, userId: bob.id });
+        await recordRevision({ postType: 'answer', postId: ids.answer, userId: bob.id });
+
+        await db.query(
+            `INSERT INTO comments (parent_type, parent_id, user_id, body)
+             VALUES ('question', ?, ?, ?), ('answer', ?, ?, ?)`,
+            [ids.question, bob.id, `Comment about ${SECRET}`, ids.answer, bob.id, `Comment about ${SECRET}`]
+        );
+
+        const [tag] = await db.query(
+            'INSERT INTO tags (team_id, name, description, question_count) VALUES (?, ?, ?, 1)',
+            [teamB.id, SECRET, `Tag about ${SECRET}`]
+        );
+        await db.query('INSERT INTO question_tags (question_id, tag_id) VALUES (?, ?)', [ids.question, tag.insertId]);
+        await db.query('INSERT INTO tag_follows (user_id, tag_id) VALUES (?, ?), (?, ?)', [bob.id, tag.insertId, carol.id, tag.insertId]);
+
+        await db.query(
+            `INSERT INTO votes (votable_type, votable_id, user_id, vote_type)
+             VALUES ('question', ?, ?, 'up'), ('answer', ?, ?, 'up')`,
+            [ids.question, carol.id, ids.answer, carol.id]
+        );
+        await db.query(
+            'INSERT INTO bookmarks (user_id, question_id) VALUES (?, ?), (?, ?)',
+            [bob.id, ids.question, carol.id, ids.question]
+        );
+
+        // carol's token works, just not in team B
+        const restricted = await createApiToken({
+            userId: carol.id,
+            name: 'team A only',
+            scopes: ['read'],
+            teamId: teamA.id
+        });
+
+        tokens.member = await signIn(app, bob);
+        tokens.nonMember = await signIn(app, alice);
+        tokens.restricted = restricted.token;
+    });
+
+    after(async () => {
+        await stopApp();
+    });
+
+    // Paths into team B, built once the fixtures exist
+    const routes = {
+        'GET /api/questions/:id': () => `/api/questions/${ids.question}`,
+        'GET /api/questions?teamId': () => `/api/questions?teamId=${ids.teamB}`,
+        'GET /api/questions/:id/follow': () => `/api/questions/${ids.question}/follow`,
+        'GET /api/answers/question/:questionId': () => `/api/answers/question/${ids.question}`,
+        'GET /api/comments on a question': () => `/api/comments?parentType=question&parentId=${ids.question}`,
+        'GET /api/comments on an answer': () => `/api/comments?parentType=answer&parentId=${ids.answer}`,
+        'GET /api/votes on a question': () => `/api/votes?votableType=question&votableId=${ids.question}`,
+        'GET /api/votes on an answer': () => `/api/votes?votableType=answer&votableId=${ids.answer}`,
+        'GET /api/tags': () => `/api/tags?teamId=${ids.teamB}`,
+        'GET /api/tags/search': () => `/api/tags/search?teamId=${ids.teamB}&q=secret`,
+        'GET /api/tags/followed': () => `/api/tags/followed?teamId=${ids.teamB}`,
+        'GET /api/users/search': () => `/api/users/search?teamId=${ids.teamB}&q=bob`,
+        'GET /api/users/:id': () => `/api/users/${ids.bob}`,
+        'GET /api/users/:id?teamId': () => `/api/users/${ids.bob}?teamId=${ids.teamB}`,
+        'GET /api/users/:id/reputation': () => `/api/users/${ids.bob}/reputation?teamId=${ids.teamB}`,
+        'GET /api/search': () => `/api/search?teamId=${ids.teamB}&q=secret`,
+        'GET /api/revisions/:postType/:postId': () => `/api/revisions/question/${ids.question}`,
+        'GET /api/revisions/:postType/:postId/diff': () => `/api/revisions/question/${ids.question}/diff`,
+        'GET /api/revisions/:postType/:postId/:revisionNumber': () => `/api/revisions/question/${ids.question}/1`,
+        'GET /api/revisions of an answer': () => `/api/revisions/answer/${ids.answer}`,
+        'GET /api/bookmarks': () => `/api/bookmarks?teamId=${ids.teamB}`,
+        'GET /api/bookmarks/check': () => `/api/bookmarks/check?questionId=${ids.question}`
+    };
+
+    function get(path, token) {
+        return request(app).get(path).set('Authorization', `Bearer ${token}`);
+    }
+
+    // So a denial below means the check worked, not that the fixtures are broken
+    describe('a team member', () => {
+        for (const [name, path] of Object.entries(routes)) {
+            it(`can use ${name}`, async () => {
+                const res = await get(path(), tokens.member);
+                assert.equal(res.status, 200, JSON.stringify(res.body));
+            });
+        }
+    });
+
+    const callers = {
+        'a non-member': 'nonMember',
+        'a token restricted to another team': 'restricted'
+    };
+
+    for (const [caller, token] of Object.entries(callers)) {
+        describe(caller, () => {
+            for (const [name, path] of Object.entries(routes)) {
+                it(`is denied ${name}`, async () => {
+                    const res = await get(path(), tokens[token]);
+                    assert.ok([403, 404].includes(res.status), `got ${res.status}: ${JSON.stringify(res.body)}`);
+                    assert.ok(!JSON.stringify(res.body).includes(SECRET), 'response leaks team B content');
+                });
+            }
+        });
+    }
+});
@@ -0,0 +1,98 @@
+const mysql = require('mysql2/promise');
+const bcrypt = require('bcrypt');
+const request = require('supertest');
+
+// Integration tests run the app against a real MySQL server (DB_HOST,
+// DB_PORT, DB_USER, DB_PASSWORD) in a database of their own, dropped and
+// recreated on every run. Its name must end in _test so a misconfigured run
+// can't wipe real data.
+const TEST_DB_NAME = process.env.TEST_DB_NAME || 'knowhow_test';
+
+// Set before .env is loaded, which doesn't override them
+process.env.DB_NAME = TEST_DB_NAME;
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+require('dotenv').config();
+
+const PASSWORD = 'password123';
+
+async function resetDatabase() {
+    if (!/^\w+_test$/.test(TEST_DB_NAME)) {
+        throw new Error(`TEST_DB_NAME must end in _test, got ${TEST_DB_NAME}`);
+    }
+
+    let connection;
+    try {
+        connection = await mysql.createConnection({
+            host: process.env.DB_HOST || 'localhost',
+            user: process.env.DB_USER || 'root',
+            password: process.env.DB_PASSWORD || '',
+            port: process.env.DB_PORT || 3306
+        });
+    } catch (error) {
+        throw new Error(`Integration tests need a MySQL server (set DB_HOST, DB_USER, DB_PASSWORD): ${error.message}`);
+    }
+
+    try {
+        await connection.query(`DROP DATABASE IF EXISTS \`${TEST_DB_NAME}\``);
+        await connection.query(`CREATE DATABASE \`${TEST_DB_NAME}\``);
+    } finally {
+        await connection.end();
+    }
+
+    await require('../../config/init-db')();
+}
+
+// Recreate the test database and load the app (without starting the server)
+async function startApp() {
+    await resetDatabase();
+    return require('../../server');
+}
+
+async function stopApp() {
+    await require('../../config/database').end();
+}
+
+async function createUser(name) {
+    const db = require('../../config/database');
+    const passwordHash = await bcrypt.hash(PASSWORD, 4);
+    const email = `${name}@example.com`;
+
+    const [result] = await db.query(
+        'INSERT INTO users (email, password_hash, first_name, last_name) VALUES (?, ?, ?, ?)',
+        [email, passwordHash, name, 'Test']
+    );
+    return { id: result.insertId, email };
+}
+
+async function createTeam(slug, members) {
+    const db = require('../../config/database');
+
+    const [result] = await db.query('INSERT INTO teams (name, slug) VALUES (?, ?)', [slug, slug]);
+    for (const [user, role] of members) {
+        await db.query(
+            'INSERT INTO team_members (user_id, team_id, role) VALUES (?, ?, ?)',
+            [user.id, result.insertId, role]
+        );
+    }
+    return { id: result.insertId, slug };
+}
+
+// Sign in through the API; returns the access token
+async function signIn(app, user) {
+    const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: PASSWORD });
+
+    if (res.status !== 200 || !res.body.token) {
+        throw new Error(`Sign-in as ${user.email} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+    return res.body.token;
+}
+
+module.exports = {
+    startApp,
+    stopApp,
+    createUser,
+    createTeam,
+    signIn
+};